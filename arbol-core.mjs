@@ -0,0 +1,2243 @@
+/**
+ * Núcleo de los árboles de expresiones, sin dependencias del DOM
+ * Lo importan la página (arbol.js) y las pruebas (node --test)
+ */
+
+import { Translator } from './arbol-i18n.mjs';
+
+/**
+ * Error de análisis sintáctico de una expresión
+ * Guarda la columna (base 1) donde se detectó el problema
+ */
+class ExpressionParseError extends Error {
+    /**
+     * @param {string} message - Descripción del error
+     * @param {number|null} position - Columna (base 1) donde ocurrió el error, o null si no aplica
+     */
+    constructor(message, position) {
+        super(message);
+        this.name = 'ExpressionParseError';
+        this.position = position;   // Columna del token problemático
+    }
+}
+
+/**
+ * Analizador de expresiones infijas, prefijas y postfijas
+ * Convierte un texto como "(5∗10)/((3−8)+5)" en nodos {value, id, children}
+ * usando escalada de precedencia (precedence climbing)
+ */
+class ExpressionParser {
+    /**
+     * @param {Translator} i18n - Catálogo de los mensajes de error (en español si no se indica)
+     */
+    constructor(i18n = new Translator()) {
+        this.i18n = i18n;       // Lo comparten el árbol y el reescritor que usan este analizador
+
+        // Tabla de operadores y funciones: aridad (número de hijos) y, para los
+        // operadores, precedencia y asociatividad. Las funciones variádicas aceptan
+        // "arity" o más argumentos; en prefija y postfija se escribe el número si
+        // difiere del declarado (ej: max/3), porque "max a b c" sería ambiguo
+        this.operators = {
+            '+': { arity: 2, precedence: 1, associativity: 'left' },
+            '-': { arity: 2, precedence: 1, associativity: 'left' },
+            '*': { arity: 2, precedence: 2, associativity: 'left' },
+            '/': { arity: 2, precedence: 2, associativity: 'left' },
+            'neg': { arity: 1, precedence: 3, associativity: 'right' },   // Menos unario: −x
+            '^': { arity: 2, precedence: 4, associativity: 'right' },
+            'sqrt': { arity: 1, function: true },
+            'sin': { arity: 1, function: true },
+            'cos': { arity: 1, function: true },
+            'tan': { arity: 1, function: true },
+            'ln': { arity: 1, function: true },
+            'abs': { arity: 1, function: true },
+            'max': { arity: 2, variadic: true, function: true },
+            'min': { arity: 2, variadic: true, function: true }
+        };
+
+        // Variantes Unicode que se normalizan a su operador ASCII
+        this.operatorAliases = {
+            '∗': '*', '×': '*', '·': '*',
+            '−': '-', '–': '-',
+            '÷': '/'
+        };
+
+        this.tokens = [];       // Tokens de la expresión actual
+        this.index = 0;         // Posición del token actual
+        this.nextId = 0;        // Contador para generar IDs únicos de nodos
+    }
+
+    /**
+     * Indica si un valor es un operador binario que se escribe entre sus operandos
+     * @param {string} value - Valor del nodo o token
+     * @returns {boolean} true para + − ∗ / ^
+     */
+    isBinary(value) {
+        const info = this.operators[value];
+        return Boolean(info) && !info.function && info.arity === 2;
+    }
+
+    /**
+     * Indica si un valor es una función (sqrt, sin, max...)
+     * @param {string} value - Valor del nodo o token
+     * @returns {boolean} true si aparece en la tabla como función
+     */
+    isFunction(value) {
+        const info = this.operators[value];
+        return Boolean(info) && Boolean(info.function);
+    }
+
+    /**
+     * Indica si un valor es un literal numérico (con signo opcional)
+     * @param {string} value - Valor del nodo
+     * @returns {boolean} true para números como 10, -3 o 2.5
+     */
+    isNumber(value) {
+        return /^-?(\d+\.?\d*|\.\d+)$/.test(value);
+    }
+
+    /**
+     * Indica si un valor es un nombre de variable (no reservado para operadores ni funciones)
+     * @param {string} value - Valor del nodo
+     * @returns {boolean} true para nombres como x, y o velocidad
+     */
+    isVariable(value) {
+        return /^[A-Za-z_]\w*$/.test(value) && !this.operators[value];
+    }
+
+    /**
+     * Describe cuántos hijos admite un operador, para los mensajes de error
+     * @param {string} value - Operador o función
+     * @returns {string} Ej: "2 operandos" o "al menos 2 argumentos"
+     */
+    describeArity(value) {
+        const info = this.operators[value];
+        const noun = info.function ? 'arguments' : 'operands';
+        return this.i18n.t(info.variadic ? `arity.atLeast.${noun}` : `arity.${noun}`, { count: info.arity });
+    }
+
+    /**
+     * Comprueba si un operador admite una cantidad de hijos
+     * @param {string} value - Operador o función
+     * @param {number} count - Número de hijos
+     * @returns {boolean} true si la aridad es válida
+     */
+    acceptsArity(value, count) {
+        const info = this.operators[value];
+        return info.variadic ? count >= info.arity : count === info.arity;
+    }
+
+    /**
+     * Token que representa a un nodo en notación prefija o postfija
+     * Las funciones variádicas llevan el número de argumentos si no es el declarado (ej: max/3)
+     * @param {Object} node - Nodo del árbol
+     * @returns {string} Token del nodo
+     */
+    tokenName(node) {
+        const info = this.operators[node.value];
+        if (info && info.variadic && node.children.length !== info.arity) {
+            return `${node.value}/${node.children.length}`;
+        }
+        return node.value;
+    }
+
+    /**
+     * Divide el texto en tokens, registrando la columna de cada uno
+     * @param {string} text - Expresión a dividir
+     * @returns {Array} Lista de tokens {type, value, position}
+     */
+    tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            // Ignorar espacios en blanco
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Números enteros o decimales (ej: 10, 3.5, .5)
+            if (/[0-9.]/.test(char)) {
+                const match = /^(\d+\.?\d*|\.\d+)/.exec(text.slice(i));
+                if (!match) {
+                    throw new ExpressionParseError(this.i18n.t('parse.malformedNumber', { column: i + 1 }), i + 1);
+                }
+                tokens.push({ type: 'number', value: match[0], position: i + 1 });
+                i += match[0].length;
+                continue;
+            }
+
+            // Nombres de funciones y variables (ej: sqrt, max, x)
+            if (/[A-Za-z_]/.test(char)) {
+                const name = /^[A-Za-z_]\w*/.exec(text.slice(i))[0];
+                tokens.push({ type: 'identifier', value: name, position: i + 1 });
+                i += name.length;
+                continue;
+            }
+
+            // Operadores (ASCII o Unicode)
+            const operator = this.operatorAliases[char] || char;
+            if (this.isBinary(operator)) {
+                tokens.push({ type: 'operator', value: operator, position: i + 1 });
+                i++;
+                continue;
+            }
+
+            // Paréntesis y comas entre argumentos
+            if (char === '(' || char === ')' || char === ',') {
+                const types = { '(': 'lparen', ')': 'rparen', ',': 'comma' };
+                tokens.push({ type: types[char], value: char, position: i + 1 });
+                i++;
+                continue;
+            }
+
+            throw new ExpressionParseError(this.i18n.t('parse.unexpectedChar', { char: char, column: i + 1 }), i + 1);
+        }
+
+        // Token final para simplificar el análisis
+        tokens.push({ type: 'end', value: '', position: text.length + 1 });
+        return tokens;
+    }
+
+    /**
+     * Analiza una expresión infija completa y construye su árbol
+     * @param {string} text - Expresión infija
+     * @returns {Object} Nodo raíz del árbol
+     */
+    parse(text) {
+        this.tokens = this.tokenize(text);
+        this.index = 0;
+        this.nextId = 0;
+
+        if (this.peek().type === 'end') {
+            throw new ExpressionParseError(this.i18n.t('parse.empty'), 1);
+        }
+
+        const root = this.parseExpression(1);
+
+        // Todo el texto debe haberse consumido
+        const extra = this.peek();
+        if (extra.type !== 'end') {
+            throw new ExpressionParseError(this.i18n.t('parse.unexpectedToken', { token: extra.value, column: extra.position }), extra.position);
+        }
+
+        return root;
+    }
+
+    /**
+     * Analiza una secuencia de operaciones binarias con precedencia mínima dada
+     * @param {number} minPrecedence - Precedencia mínima aceptada
+     * @returns {Object} Nodo del subárbol analizado
+     */
+    parseExpression(minPrecedence) {
+        let left = this.parseUnary();
+
+        while (true) {
+            const token = this.peek();
+            const info = token.type === 'operator' ? this.operators[token.value] : null;
+            if (!info || info.precedence < minPrecedence) break;
+
+            this.advance();
+
+            // Los operadores asociativos por la izquierda exigen mayor precedencia a la derecha
+            const nextMin = info.associativity === 'left' ? info.precedence + 1 : info.precedence;
+            const right = this.parseExpression(nextMin);
+
+            const node = this.createNode(token.value);
+            node.children = [left, right];
+            left = node;
+        }
+
+        return left;
+    }
+
+    /**
+     * Analiza un operando con signos unarios opcionales
+     * El menos seguido directamente de un número se integra en el literal (ej: -3),
+     * salvo que el número sea la base de una potencia (−2^2 = −(2^2));
+     * en los demás casos se crea un nodo neg, que liga más fuerte que ∗ y / pero menos que ^
+     * @returns {Object} Nodo del operando
+     */
+    parseUnary() {
+        const token = this.peek();
+
+        if (token.type === 'operator' && (token.value === '-' || token.value === '+')) {
+            this.advance();
+            const precedence = this.operators.neg.precedence;
+            if (token.value === '+') return this.parseExpression(precedence);
+
+            // Negar un literal directamente
+            const next = this.peek();
+            const after = this.tokens[this.index + 1];
+            if (next.type === 'number' && after.value !== '^') {
+                this.advance();
+                return this.createNode('-' + next.value);
+            }
+
+            const negation = this.createNode('neg');
+            negation.children = [this.parseExpression(precedence)];
+            return negation;
+        }
+
+        return this.parsePrimary();
+    }
+
+    /**
+     * Analiza un número, una variable, una llamada a función o una expresión entre paréntesis
+     * @returns {Object} Nodo del operando
+     */
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'number') {
+            this.advance();
+            return this.createNode(token.value);
+        }
+
+        if (token.type === 'identifier') {
+            this.advance();
+            if (this.isFunction(token.value)) return this.parseCall(token);
+            if (this.operators[token.value]) {
+                throw new ExpressionParseError(
+                    this.i18n.t('parse.reserved', { name: token.value, column: token.position }),
+                    token.position
+                );
+            }
+            if (this.peek().type === 'lparen') {
+                throw new ExpressionParseError(this.i18n.t('parse.unknownFunction', { name: token.value, column: token.position }), token.position);
+            }
+            return this.createNode(token.value);                // Variable
+        }
+
+        if (token.type === 'lparen') {
+            this.advance();
+            const inner = this.parseExpression(1);
+            this.expectClosing(token);
+            return inner;
+        }
+
+        if (token.type === 'end') {
+            throw new ExpressionParseError(this.i18n.t('parse.missingOperandAtEnd', { column: token.position }), token.position);
+        }
+
+        throw new ExpressionParseError(this.i18n.t('parse.expectedOperand', { token: token.value, column: token.position }), token.position);
+    }
+
+    /**
+     * Analiza los argumentos de una función: nombre(arg1, arg2, ...)
+     * @param {Object} nameToken - Token con el nombre de la función (ya consumido)
+     * @returns {Object} Nodo de la función con un hijo por argumento
+     */
+    parseCall(nameToken) {
+        const opening = this.peek();
+        if (opening.type !== 'lparen') {
+            throw new ExpressionParseError(
+                this.i18n.t('parse.functionNeedsParens', { name: nameToken.value, column: nameToken.position }),
+                opening.position
+            );
+        }
+        this.advance();
+
+        const node = this.createNode(nameToken.value);
+        node.children.push(this.parseExpression(1));
+        while (this.peek().type === 'comma') {
+            this.advance();
+            node.children.push(this.parseExpression(1));
+        }
+        this.expectClosing(opening);
+
+        if (!this.acceptsArity(node.value, node.children.length)) {
+            throw new ExpressionParseError(
+                this.i18n.t('parse.functionArity', {
+                    name: node.value, column: nameToken.position,
+                    arity: this.describeArity(node.value), count: node.children.length
+                }),
+                nameToken.position
+            );
+        }
+
+        return node;
+    }
+
+    /**
+     * Consume el ')' que cierra un paréntesis abierto
+     * @param {Object} opening - Token del '(' correspondiente
+     */
+    expectClosing(opening) {
+        const closing = this.peek();
+        if (closing.type !== 'rparen') {
+            throw new ExpressionParseError(
+                this.i18n.t('parse.expectedClosing', { column: closing.position, opening: opening.position }),
+                closing.position
+            );
+        }
+        this.advance();
+    }
+
+    /**
+     * Divide una expresión prefija o postfija en palabras separadas por espacios
+     * Cada palabra debe ser un número (se admite signo, ej: -3), una variable,
+     * un operador o una función (las variádicas pueden indicar su aridad, ej: max/3)
+     * @param {string} text - Expresión en notación prefija o postfija
+     * @param {string} notationName - Nombre de la notación para los mensajes de error
+     * @returns {Array} Lista de tokens {type, value, arity, position}
+     */
+    splitWords(text, notationName) {
+        const tokens = [];
+        const wordPattern = /\S+/g;
+        let match;
+
+        while ((match = wordPattern.exec(text)) !== null) {
+            const word = match[0];
+            const position = match.index + 1;
+            const operator = this.operatorAliases[word] || word;
+            const withArity = /^([A-Za-z_]\w*)\/(\d+)$/.exec(word);
+
+            if (this.operators[operator]) {
+                tokens.push({ type: 'operator', value: operator, arity: this.operators[operator].arity, position: position });
+            } else if (withArity && this.operators[withArity[1]]) {
+                // Aridad explícita: solo las funciones variádicas la admiten
+                const [, name, count] = withArity;
+                if (!this.acceptsArity(name, Number(count)) || !this.operators[name].variadic) {
+                    throw new ExpressionParseError(
+                        this.i18n.t('parse.wordArity', { word: word, column: position, name: name, arity: this.describeArity(name) }),
+                        position
+                    );
+                }
+                tokens.push({ type: 'operator', value: name, arity: Number(count), position: position });
+            } else if (/^[+\-−]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+                // Normalizar el signo menos Unicode y descartar el signo +
+                const value = word.replace(/^−/, '-').replace(/^\+/, '');
+                tokens.push({ type: 'number', value: value, position: position });
+            } else if (this.isVariable(word)) {
+                tokens.push({ type: 'variable', value: word, position: position });
+            } else if (/[()]/.test(word)) {
+                throw new ExpressionParseError(
+                    this.i18n.t('parse.parensInNotation', { notation: notationName, word: word, column: position }),
+                    position
+                );
+            } else {
+                throw new ExpressionParseError(this.i18n.t('parse.unknownToken', { word: word, column: position }), position);
+            }
+        }
+
+        if (tokens.length === 0) {
+            throw new ExpressionParseError(this.i18n.t('parse.empty'), 1);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Reconstruye el árbol a partir de una expresión prefija (ej: / ∗ 5 10 + − 3 8 5)
+     * @param {string} text - Expresión prefija con tokens separados por espacios
+     * @returns {Object} Nodo raíz del árbol
+     */
+    parsePrefix(text) {
+        this.tokens = this.splitWords(text, this.i18n.t('parse.prefix'));
+        this.index = 0;
+        this.nextId = 0;
+
+        const root = this.parsePrefixNode(null);
+
+        // Si quedan tokens, hay operandos u operadores de más
+        if (this.index < this.tokens.length) {
+            const extra = this.tokens[this.index];
+            throw new ExpressionParseError(
+                this.i18n.t('parse.extraToken', { token: extra.value, column: extra.position }),
+                extra.position
+            );
+        }
+
+        return root;
+    }
+
+    /**
+     * Construye recursivamente un subárbol prefijo: operador seguido de sus operandos
+     * La cantidad de operandos la fija la tabla de operadores (o la aridad explícita, ej: max/3)
+     * @param {Object|null} parentToken - Operador que espera este operando (para los errores)
+     * @returns {Object} Nodo del subárbol
+     */
+    parsePrefixNode(parentToken) {
+        if (this.index >= this.tokens.length) {
+            throw new ExpressionParseError(
+                this.i18n.t('parse.missingOperands', { operator: parentToken.value, column: parentToken.position }),
+                parentToken.position
+            );
+        }
+
+        const token = this.advance();
+        const node = this.createNode(token.value);
+
+        if (token.type === 'operator') {
+            for (let i = 0; i < token.arity; i++) {
+                node.children.push(this.parsePrefixNode(token));   // Operandos de izquierda a derecha
+            }
+        }
+
+        return node;
+    }
+
+    /**
+     * Reconstruye el árbol a partir de una expresión postfija (ej: 5 10 ∗ 3 8 − 5 + /)
+     * Usa una pila: los operandos se apilan y cada operador combina tantos como su aridad
+     * @param {string} text - Expresión postfija con tokens separados por espacios
+     * @returns {Object} Nodo raíz del árbol
+     */
+    parsePostfix(text) {
+        const tokens = this.splitWords(text, this.i18n.t('parse.postfix'));
+        const stack = [];
+        this.nextId = 0;
+
+        tokens.forEach(token => {
+            const node = this.createNode(token.value);
+            node.token = token;  // Token de origen, para señalar operandos sobrantes
+
+            if (token.type === 'operator') {
+                if (stack.length < token.arity) {
+                    throw new ExpressionParseError(
+                        this.i18n.t('parse.notEnoughOperands', {
+                            operator: token.value, column: token.position, arity: token.arity, count: stack.length
+                        }),
+                        token.position
+                    );
+                }
+                node.children = stack.splice(stack.length - token.arity);   // Los últimos apilados, en orden
+            }
+
+            stack.push(node);
+        });
+
+        // Al final debe quedar exactamente un árbol; si no, se señala
+        // el primer token de la segunda subexpresión que quedó sin combinar
+        if (stack.length > 1) {
+            let first = stack[1];
+            while (first.children.length > 0) first = first.children[0];
+            const extra = first.token;
+            throw new ExpressionParseError(
+                this.i18n.t('parse.extraOperands', { token: extra.value, column: extra.position, count: stack.length - 1 }),
+                extra.position
+            );
+        }
+
+        this.removeTokens(stack[0]);
+        return stack[0];
+    }
+
+    /**
+     * Elimina la referencia temporal al token de origen de cada nodo
+     * @param {Object} node - Nodo actual
+     */
+    removeTokens(node) {
+        delete node.token;
+        node.children.forEach(child => this.removeTokens(child));
+    }
+
+    /**
+     * Reconstruye un árbol a partir de su serialización JSON {value, children}
+     * (también acepta el formato anterior {value, left, right})
+     * Comprueba que sea una expresión bien formada: cada operador con tantos hijos
+     * como indica su aridad, y números o variables en las hojas
+     * @param {Object} data - Árbol serializado (ya analizado con JSON.parse)
+     * @returns {Object} Nodo raíz con IDs nuevos
+     */
+    fromJSON(data) {
+        this.nextId = 0;
+
+        const build = (entry, path) => {
+            if (!entry || typeof entry !== 'object' || typeof entry.value !== 'string') {
+                throw new ExpressionParseError(this.i18n.t('json.missingValue', { path: path }), null);
+            }
+
+            const operator = this.operatorAliases[entry.value] || entry.value;
+            const node = this.createNode(operator);
+            const children = Array.isArray(entry.children) ? entry.children : [entry.left, entry.right].filter(Boolean);
+
+            if (this.operators[operator]) {
+                if (!this.acceptsArity(operator, children.length)) {
+                    throw new ExpressionParseError(
+                        this.i18n.t('json.arity', { operator: entry.value, path: path, arity: this.describeArity(operator), count: children.length }),
+                        null
+                    );
+                }
+                node.children = children.map((child, i) => build(child, `${path}.children[${i}]`));
+            } else if (this.isNumber(entry.value) || this.isVariable(entry.value)) {
+                if (children.length > 0) {
+                    throw new ExpressionParseError(this.i18n.t('json.leafWithChildren', { value: entry.value, path: path }), null);
+                }
+            } else {
+                throw new ExpressionParseError(this.i18n.t('json.unknownValue', { value: entry.value, path: path }), null);
+            }
+
+            return node;
+        };
+
+        return build(data, this.i18n.t('json.root'));
+    }
+
+    /**
+     * Convierte una expresión infija a postfija con el algoritmo shunting-yard de Dijkstra
+     * Registra cada paso: la regla aplicada, la pila de operadores y la cola de salida
+     * @param {string} text - Expresión infija
+     * @returns {Object} {states, postfix}: pasos del algoritmo y tokens postfijos resultantes
+     */
+    shuntingYard(text) {
+        const tokens = this.tokenize(text);
+        const stack = [];          // Pila de operadores {value, precedence, associativity, label}
+        const output = [];         // Cola de salida (tokens postfijos)
+        const states = [];
+        let expectOperand = true;  // true si el siguiente token debe ser un operando
+
+        // Registra una instantánea del estado del algoritmo
+        const record = (token, rule, emitted = false, pushed = false) => {
+            states.push({
+                token: token,
+                rule: rule,
+                stack: stack.map(entry => entry.label),
+                output: [...output],
+                emitted: emitted,     // true si este paso agregó un token a la salida
+                pushed: pushed        // true si este paso apiló un operador
+            });
+        };
+
+        // Pasa el operador de la cima de la pila a la salida; la regla recibe su símbolo como {op}
+        const popToOutput = (token, key, params = {}) => {
+            const entry = stack.pop();
+            output.push(entry.value);
+            record(token, this.i18n.t(key, { ...params, op: entry.label }), true);
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token.type === 'number') {
+                output.push(token.value);
+                record(token, this.i18n.t('shunting.number', { value: token.value }), true);
+                expectOperand = false;
+            } else if (token.type === 'identifier' && this.isFunction(token.value)) {
+                // La función espera en la pila hasta que se cierre su paréntesis
+                stack.push({ value: token.value, precedence: 0, label: token.value, function: true });
+                record(token, this.i18n.t('shunting.function', { name: token.value }), false, true);
+            } else if (token.type === 'identifier') {
+                output.push(token.value);
+                record(token, this.i18n.t('shunting.variable', { name: token.value }), true);
+                expectOperand = false;
+            } else if (token.type === 'operator' && expectOperand) {
+                // Signo unario: igual que el analizador, se integra en el número si lo hay
+                // (salvo que el número sea la base de una potencia)
+                if (token.value === '-' && tokens[i + 1].type === 'number' && tokens[i + 2].value !== '^') {
+                    output.push('-' + tokens[i + 1].value);
+                    record(token, this.i18n.t('shunting.negativeNumber', { value: tokens[i + 1].value }), true);
+                    i++;
+                    expectOperand = false;
+                } else if (token.value === '-') {
+                    // Menos unario sobre una subexpresión: se apila el operador neg
+                    const info = this.operators.neg;
+                    stack.push({ value: 'neg', precedence: info.precedence, associativity: info.associativity, label: 'neg' });
+                    record(token, this.i18n.t('shunting.negate'), false, true);
+                } else {
+                    record(token, this.i18n.t('shunting.unaryPlus'));
+                }
+            } else if (token.type === 'operator') {
+                // Operador binario: desapilar los de mayor precedencia (o igual, si es asociativo por la izquierda)
+                const info = this.operators[token.value];
+                while (stack.length > 0 && stack[stack.length - 1].value !== '(') {
+                    const top = stack[stack.length - 1];
+                    const popsTop = top.precedence > info.precedence ||
+                        (top.precedence === info.precedence && info.associativity === 'left');
+                    if (!popsTop) break;
+                    popToOutput(token, 'shunting.popHigher', { operator: token.value });
+                }
+                stack.push({ value: token.value, precedence: info.precedence, associativity: info.associativity, label: token.value });
+                record(token, this.i18n.t('shunting.pushOperator', { operator: token.value }), false, true);
+                expectOperand = true;
+            } else if (token.type === 'lparen') {
+                // Si abre los argumentos de una función, cuenta cuántos recibe
+                const top = stack[stack.length - 1];
+                const call = top && top.function && tokens[i - 1].type === 'identifier' ? top : null;
+                stack.push({ value: '(', precedence: 0, label: '(', call: call, arguments: 1 });
+                record(token, this.i18n.t('shunting.leftParen'), false, true);
+                expectOperand = true;
+            } else if (token.type === 'comma') {
+                // Separador de argumentos: vaciar hasta el paréntesis de la función
+                while (stack.length > 0 && stack[stack.length - 1].value !== '(') {
+                    popToOutput(token, 'shunting.commaPop');
+                }
+                if (stack.length === 0 || !stack[stack.length - 1].call) {
+                    throw new ExpressionParseError(this.i18n.t('parse.commaOutside', { column: token.position }), token.position);
+                }
+                stack[stack.length - 1].arguments++;
+                record(token, this.i18n.t('shunting.comma'));
+                expectOperand = true;
+            } else if (token.type === 'rparen') {
+                // Vaciar la pila hasta el paréntesis izquierdo correspondiente
+                while (stack.length > 0 && stack[stack.length - 1].value !== '(') {
+                    popToOutput(token, 'shunting.rightParenPop');
+                }
+                if (stack.length === 0) {
+                    throw new ExpressionParseError(this.i18n.t('parse.unopenedParen', { column: token.position }), token.position);
+                }
+                const paren = stack.pop();
+                record(token, this.i18n.t('shunting.rightParen'));
+
+                // Cerrar una llamada: la función pasa a la salida con su número de argumentos
+                if (paren.call) {
+                    const call = stack.pop();
+                    const name = this.tokenName({ value: call.value, children: new Array(paren.arguments) });
+                    output.push(name);
+                    record(token, this.i18n.t('shunting.callEnd', { name: name }), true);
+                }
+                expectOperand = false;
+            } else {
+                // Fin de la entrada: vaciar la pila
+                while (stack.length > 0) {
+                    if (stack[stack.length - 1].value === '(') {
+                        throw new ExpressionParseError(this.i18n.t('parse.unclosedParen', { column: token.position }), token.position);
+                    }
+                    popToOutput(token, 'shunting.endPop');
+                }
+                record(token, this.i18n.t('shunting.end'));
+            }
+        }
+
+        return { states: states, postfix: output };
+    }
+
+    /**
+     * Devuelve el token actual sin consumirlo
+     * @returns {Object} Token actual
+     */
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * Consume el token actual y avanza al siguiente
+     * @returns {Object} Token consumido
+     */
+    advance() {
+        return this.tokens[this.index++];
+    }
+
+    /**
+     * Crea un nodo con la misma forma que ExpressionTreeVisualizer.createNode
+     * @param {string} value - Valor del nodo (operador, función, número o variable)
+     * @returns {Object} Nodo nuevo con ID único
+     */
+    createNode(value) {
+        return {
+            value: value,
+            id: `n${this.nextId++}`,
+            children: [],
+            element: null
+        };
+    }
+}
+
+/**
+ * Error de evaluación de una expresión (división entre cero, resultado no finito)
+ * Guarda el nodo del árbol donde se produjo el problema
+ */
+class EvaluationError extends Error {
+    /**
+     * @param {string} message - Descripción del error
+     * @param {Object} node - Nodo del árbol que no se pudo evaluar
+     */
+    constructor(message, node) {
+        super(message);
+        this.name = 'EvaluationError';
+        this.node = node;           // Nodo donde falló la evaluación
+    }
+}
+
+/**
+ * Número racional exacto con numerador y denominador enteros (BigInt)
+ * Se usa en el modo de fracciones exactas para que 50/−3 no se redondee
+ */
+class Fraction {
+    /**
+     * @param {bigint} numerator - Numerador
+     * @param {bigint} denominator - Denominador (distinto de cero)
+     */
+    constructor(numerator, denominator = 1n) {
+        // Mantener el signo en el numerador y la fracción simplificada
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+        const divisor = Fraction.gcd(numerator < 0n ? -numerator : numerator, denominator) || 1n;
+        this.numerator = numerator / divisor;
+        this.denominator = denominator / divisor;
+    }
+
+    /**
+     * Máximo común divisor (algoritmo de Euclides)
+     * @param {bigint} a - Primer entero no negativo
+     * @param {bigint} b - Segundo entero no negativo
+     * @returns {bigint} MCD de a y b
+     */
+    static gcd(a, b) {
+        while (b !== 0n) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+
+    /**
+     * Convierte un literal decimal (ej: "-3.25", ".5") en fracción exacta
+     * @param {string} text - Literal numérico
+     * @returns {Fraction} Fracción equivalente
+     */
+    static fromString(text) {
+        const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(text);
+        const sign = match[1] === '-' ? -1n : 1n;
+        const decimals = match[3] || '';
+        const digits = (match[2] || '0') + decimals;
+        return new Fraction(sign * BigInt(digits), 10n ** BigInt(decimals.length));
+    }
+
+    add(other) {
+        return new Fraction(
+            this.numerator * other.denominator + other.numerator * this.denominator,
+            this.denominator * other.denominator
+        );
+    }
+
+    subtract(other) {
+        return new Fraction(
+            this.numerator * other.denominator - other.numerator * this.denominator,
+            this.denominator * other.denominator
+        );
+    }
+
+    multiply(other) {
+        return new Fraction(this.numerator * other.numerator, this.denominator * other.denominator);
+    }
+
+    divide(other) {
+        return new Fraction(this.numerator * other.denominator, this.denominator * other.numerator);
+    }
+
+    isZero() {
+        return this.numerator === 0n;
+    }
+
+    negate() {
+        return new Fraction(-this.numerator, this.denominator);
+    }
+
+    abs() {
+        return this.numerator < 0n ? this.negate() : this;
+    }
+
+    /**
+     * Compara con otra fracción
+     * @param {Fraction} other - Fracción con la que comparar
+     * @returns {number} -1, 0 o 1 según sea menor, igual o mayor
+     */
+    compare(other) {
+        const difference = this.subtract(other).numerator;
+        return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+    }
+
+    /**
+     * Potencia con exponente entero (negativo: inversa)
+     * @param {bigint} exponent - Exponente entero; con base cero debe ser no negativo
+     * @returns {Fraction} Fracción elevada al exponente
+     */
+    pow(exponent) {
+        const power = exponent < 0n ? -exponent : exponent;
+        const result = new Fraction(this.numerator ** power, this.denominator ** power);
+        return exponent < 0n ? new Fraction(result.denominator, result.numerator) : result;
+    }
+
+    /**
+     * Número de bits del mayor de numerador y denominador
+     * Permite estimar el tamaño de una potencia antes de calcularla
+     * @returns {number} Bits necesarios para escribir el mayor de los dos enteros
+     */
+    bitLength() {
+        const numerator = this.numerator < 0n ? -this.numerator : this.numerator;
+        const largest = numerator > this.denominator ? numerator : this.denominator;
+        return largest.toString(2).length;
+    }
+
+    /**
+     * Raíz cuadrada exacta, si numerador y denominador son cuadrados perfectos
+     * @returns {Fraction|null} Raíz exacta, o null si no es racional
+     */
+    sqrt() {
+        const numeratorRoot = Fraction.isqrt(this.numerator);
+        const denominatorRoot = Fraction.isqrt(this.denominator);
+        if (numeratorRoot ** 2n !== this.numerator || denominatorRoot ** 2n !== this.denominator) return null;
+        return new Fraction(numeratorRoot, denominatorRoot);
+    }
+
+    /**
+     * Raíz cuadrada entera (por defecto) con el método de Newton
+     * @param {bigint} n - Entero no negativo
+     * @returns {bigint} Mayor entero r con r² ≤ n
+     */
+    static isqrt(n) {
+        if (n < 2n) return n;
+        let x = n;
+        let y = (x + 1n) / 2n;
+        while (y < x) {
+            [x, y] = [y, (y + n / y) / 2n];
+        }
+        return x;
+    }
+
+    /**
+     * Valor aproximado como número de punto flotante
+     * Numerador y denominador se reducen antes de dividir para que no se conviertan en Infinity
+     * @returns {number} Aproximación decimal (±Infinity o 0 si no cabe en un número de punto flotante)
+     */
+    toNumber() {
+        const shift = BigInt(Math.max(0, this.bitLength() - 1000));
+        return Number(this.numerator >> shift) / Number(this.denominator >> shift);
+    }
+
+    /**
+     * Representación textual: entero (ej: "-5") o fracción (ej: "-50/3")
+     * @returns {string} Fracción como texto
+     */
+    toString() {
+        return this.denominator === 1n ? `${this.numerator}` : `${this.numerator}/${this.denominator}`;
+    }
+
+    /**
+     * Literal decimal exacto (ej: "-0.25"), si el denominador solo tiene los factores 2 y 5
+     * @returns {string|null} Literal decimal, o null si la fracción es periódica (ej: 1/3)
+     */
+    toDecimalString() {
+        let rest = this.denominator;
+        let digits = 0;
+        for (const factor of [2n, 5n]) {
+            let count = 0;
+            while (rest % factor === 0n) {
+                rest /= factor;
+                count++;
+            }
+            digits = Math.max(digits, count);
+        }
+        if (rest !== 1n) return null;
+
+        // Escalar a un entero con tantos decimales como haga falta y colocar la coma
+        const scaled = this.numerator * 10n ** BigInt(digits) / this.denominator;
+        if (digits === 0) return `${scaled}`;
+        const sign = scaled < 0n ? '-' : '';
+        const text = `${scaled < 0n ? -scaled : scaled}`.padStart(digits + 1, '0');
+        return `${sign}${text.slice(0, -digits)}.${text.slice(-digits)}`;
+    }
+}
+
+/**
+ * Transformaciones simbólicas del árbol: simplificación y derivación
+ * Cada regla reescribe un solo subárbol; el resultado es la lista de pasos
+ * que llevan del árbol original al final, para poder animarlos uno a uno
+ */
+class ExpressionRewriter {
+    /**
+     * @param {ExpressionParser} parser - Analizador con la tabla de operadores
+     * @param {Function} evaluate - Recibe un subárbol sin variables y devuelve su valor exacto (Fraction) o null
+     */
+    constructor(parser, evaluate) {
+        this.parser = parser;
+        this.i18n = parser.i18n;            // Nombres de las reglas en el idioma del analizador
+        this.evaluate = evaluate;
+        this.maxSteps = 300;                // Límite de reescrituras por transformación
+        this.maxLiteralLength = 15;         // Las constantes más largas no se pliegan
+        this.nextId = 0;                    // Contador para los IDs de los árboles generados
+        this.assumedDefined = [];           // Subárboles que se suponen definidos (los del original, al derivar)
+
+        // Reglas de simplificación, en orden de prioridad; el nombre es su clave en el catálogo
+        // Cada regla recibe un nodo y devuelve el subárbol que lo reemplaza, o null si no aplica
+        this.simplificationRules = [
+            { name: 'rule.foldConstants', apply: node => this.foldConstant(node) },
+            { name: 'rule.addZero', apply: node => this.binary(node, '+', (a, b) =>
+                this.isLiteral(b, 0) ? a : (this.isLiteral(a, 0) ? b : null)) },
+            { name: 'rule.subtractZero', apply: node => this.binary(node, '-', (a, b) =>
+                this.isLiteral(b, 0) ? a : null) },
+            { name: 'rule.subtractFromZero', apply: node => this.binary(node, '-', (a, b) =>
+                this.isLiteral(a, 0) ? this.node('neg', b) : null) },
+            { name: 'rule.subtractSame', apply: node => this.binary(node, '-', (a, b) =>
+                this.sameTree(a, b) && this.isDefined(a) ? this.node('0') : null) },
+            { name: 'rule.addSame', apply: node => this.binary(node, '+', (a, b) =>
+                this.sameTree(a, b) ? this.node('*', this.node('2'), a) : null) },
+            { name: 'rule.addOpposite', apply: node => this.binary(node, '+', (a, b) => {
+                const opposite = this.opposite(b);
+                return opposite ? this.node('-', a, opposite) : null;
+            }) },
+            { name: 'rule.subtractOpposite', apply: node => this.binary(node, '-', (a, b) => {
+                const opposite = this.opposite(b);
+                return opposite ? this.node('+', a, opposite) : null;
+            }) },
+            { name: 'rule.multiplyZero', apply: node => this.binary(node, '*', (a, b) =>
+                (this.isLiteral(a, 0) && this.isDefined(b)) || (this.isLiteral(b, 0) && this.isDefined(a)) ? this.node('0') : null) },
+            { name: 'rule.multiplyOne', apply: node => this.binary(node, '*', (a, b) =>
+                this.isLiteral(b, 1) ? a : (this.isLiteral(a, 1) ? b : null)) },
+            { name: 'rule.multiplyMinusOne', apply: node => this.binary(node, '*', (a, b) =>
+                this.isLiteral(b, -1) ? this.node('neg', a) : (this.isLiteral(a, -1) ? this.node('neg', b) : null)) },
+            { name: 'rule.negativeFactor', apply: node => this.binary(node, '*', (a, b) => {
+                if (a.value === 'neg') return this.node('neg', this.node('*', a.children[0], b));
+                if (b.value === 'neg') return this.node('neg', this.node('*', a, b.children[0]));
+                return null;
+            }) },
+            { name: 'rule.multiplySame', apply: node => this.binary(node, '*', (a, b) =>
+                this.sameTree(a, b) ? this.node('^', a, this.node('2')) : null) },
+            { name: 'rule.groupConstants', apply: node => this.binary(node, '*', (a, b) =>
+                this.isNumberLeaf(a) && b.value === '*' && this.isNumberLeaf(b.children[0])
+                    ? this.node('*', this.node('*', a, b.children[0]), b.children[1])
+                    : null) },
+            { name: 'rule.divideOne', apply: node => this.binary(node, '/', (a, b) =>
+                this.isLiteral(b, 1) ? a : null) },
+            { name: 'rule.zeroDividend', apply: node => this.binary(node, '/', (a, b) =>
+                this.isLiteral(a, 0) && this.isNonZeroConstant(b) ? this.node('0') : null) },
+            { name: 'rule.divideSame', apply: node => this.binary(node, '/', (a, b) =>
+                this.sameTree(a, b) && this.isNonZeroConstant(b) ? this.node('1') : null) },
+            { name: 'rule.exponentOne', apply: node => this.binary(node, '^', (a, b) =>
+                this.isLiteral(b, 1) ? a : null) },
+            { name: 'rule.exponentZero', apply: node => this.binary(node, '^', (a, b) =>
+                this.isLiteral(b, 0) && this.isDefined(a) ? this.node('1') : null) },
+            { name: 'rule.baseOne', apply: node => this.binary(node, '^', (a, b) =>
+                this.isLiteral(a, 1) && this.isDefined(b) ? this.node('1') : null) },
+            { name: 'rule.doubleNegation', apply: node =>
+                node.value === 'neg' && node.children[0].value === 'neg' ? node.children[0].children[0] : null }
+        ];
+    }
+
+    /**
+     * Simplifica el árbol aplicando las reglas de abajo hacia arriba hasta que ninguna aplique
+     * @param {Object} tree - Raíz del árbol
+     * @returns {Array} Pasos {tree, path, rule, before, after}; el primero es el árbol original
+     */
+    simplify(tree) {
+        const original = this.copyTree(tree);
+        const steps = [{ tree: original, path: null, rule: this.i18n.t('rewrite.original'), before: null, after: null }];
+        this.rewriteAll(steps, (root) => this.findRewrite(root, this.simplificationRules));
+        return steps;
+    }
+
+    /**
+     * Deriva el árbol respecto de una variable y simplifica el resultado
+     * La derivada pendiente de un subárbol u se representa con un nodo d/dx(u),
+     * que las reglas de derivación van empujando hacia las hojas hasta hacerlo desaparecer
+     * @param {Object} tree - Raíz del árbol
+     * @param {string} variable - Nombre de la variable, ej: "x"
+     * @returns {Array} Pasos {tree, path, rule, before, after}; el primero es d/dx del árbol original
+     * @throws {EvaluationError} Si el árbol contiene una función que no se sabe derivar
+     */
+    differentiate(tree, variable) {
+        const operator = `d/d${variable}`;
+        const original = this.copyTree(tree);
+        const root = this.node(operator, original);
+        const steps = [{ tree: root, path: [], rule: this.i18n.t('rewrite.derive', { variable: variable }), before: original, after: root }];
+
+        // Primero las reglas de derivación, de la raíz hacia las hojas; después, la simplificación
+        const rules = [{ name: 'rule.derivative', apply: node => node.value === operator ? this.derive(node.children[0], variable, operator) : null }];
+        this.rewriteAll(steps, (current) => this.findRewrite(current, rules, 'pre'));
+
+        // La derivada solo tiene sentido donde la función está definida, y con ella sus subárboles:
+        // los productos por cero que deja la regla del producto (ej: 0 ∗ ln(x)) se pueden anular
+        this.assumedDefined = this.subtrees(original);
+        try {
+            this.rewriteAll(steps, (current) => this.findRewrite(current, this.simplificationRules));
+        } finally {
+            this.assumedDefined = [];
+        }
+        return steps;
+    }
+
+    /**
+     * Aplica reescrituras de una en una, agregando un paso por cada una, hasta que no quede ninguna
+     * @param {Array} steps - Pasos hechos hasta ahora (el último contiene el árbol actual)
+     * @param {Function} find - Recibe la raíz y devuelve {path, rule, replacement} o null
+     */
+    rewriteAll(steps, find) {
+        while (steps.length <= this.maxSteps) {
+            const current = steps[steps.length - 1].tree;
+            const match = find(current);
+            if (!match) return;
+
+            const tree = this.copyTree(this.replaceAt(current, match.path, match.replacement));
+            steps.push({
+                tree: tree,
+                path: match.path,
+                rule: match.rule,
+                before: this.subtreeAt(current, match.path),
+                after: this.subtreeAt(tree, match.path)
+            });
+        }
+    }
+
+    /**
+     * Busca el primer nodo al que se le puede aplicar una regla
+     * @param {Object} root - Raíz del árbol
+     * @param {Array} rules - Reglas {name (clave del catálogo), apply} en orden de prioridad; apply devuelve el reemplazo,
+     *                        o {rule, tree} si el paso lleva un nombre propio (ej: las de derivación)
+     * @param {string} order - 'post' (primero los hijos) o 'pre' (primero el padre)
+     * @returns {Object|null} {path, rule, replacement}, o null si ninguna regla aplica
+     */
+    findRewrite(root, rules, order = 'post') {
+        const visit = (node, path) => {
+            const tryRules = () => {
+                for (const rule of rules) {
+                    const replacement = rule.apply(node);
+                    if (replacement && replacement.tree) return { path: path, rule: replacement.rule, replacement: replacement.tree };
+                    if (replacement) return { path: path, rule: this.i18n.t(rule.name), replacement: replacement };
+                }
+                return null;
+            };
+
+            if (order === 'pre') {
+                const match = tryRules();
+                if (match) return match;
+            }
+            for (let index = 0; index < node.children.length; index++) {
+                const match = visit(node.children[index], [...path, index]);
+                if (match) return match;
+            }
+            return order === 'post' ? tryRules() : null;
+        };
+        return visit(root, []);
+    }
+
+    /**
+     * Regla de derivación para d/dx(u), según el nodo u
+     * @param {Object} u - Subárbol a derivar
+     * @param {string} variable - Variable de derivación
+     * @param {string} operator - Valor del nodo de derivada pendiente, ej: "d/dx"
+     * @returns {Object} {rule, tree}: nombre de la regla y subárbol que reemplaza a d/dx(u)
+     * @throws {EvaluationError} Si u usa una función que no se sabe derivar
+     */
+    derive(u, variable, operator) {
+        const d = (child) => this.node(operator, child);
+        const rule = (key, tree) => ({ rule: this.i18n.t(key, { variable: variable }), tree: tree });
+        const [a, b] = u.children;
+
+        if (u.children.length === 0 && u.value === variable) return rule('derive.variable', this.node('1'));
+        if (!this.dependsOn(u, variable)) return rule('derive.constant', this.node('0'));
+
+        switch (u.value) {
+            case '+':
+                return rule('derive.sum', this.node('+', d(a), d(b)));
+            case '-':
+                return rule('derive.difference', this.node('-', d(a), d(b)));
+            case 'neg':
+                return rule('derive.negation', this.node('neg', d(a)));
+            case '*':
+                return rule('derive.product',
+                    this.node('+', this.node('*', d(a), b), this.node('*', a, d(b))));
+            case '/':
+                return rule('derive.quotient',
+                    this.node('/',
+                        this.node('-', this.node('*', d(a), b), this.node('*', a, d(b))),
+                        this.node('^', b, this.node('2'))));
+            case '^':
+                if (!this.dependsOn(b, variable)) {
+                    return rule('derive.power',
+                        this.node('*', this.node('*', b, this.node('^', a, this.node('-', b, this.node('1')))), d(a)));
+                }
+                if (!this.dependsOn(a, variable)) {
+                    return rule('derive.exponential',
+                        this.node('*', this.node('*', u, this.node('ln', a)), d(b)));
+                }
+                return rule('derive.logarithmic',
+                    this.node('*', u, this.node('+',
+                        this.node('*', d(b), this.node('ln', a)),
+                        this.node('/', this.node('*', b, d(a)), a))));
+            case 'sqrt':
+                return rule('derive.sqrt',
+                    this.node('/', d(a), this.node('*', this.node('2'), u)));
+            case 'sin':
+                return rule('derive.sin', this.node('*', this.node('cos', a), d(a)));
+            case 'cos':
+                return rule('derive.cos', this.node('*', this.node('neg', this.node('sin', a)), d(a)));
+            case 'tan':
+                return rule('derive.tan',
+                    this.node('/', d(a), this.node('^', this.node('cos', a), this.node('2'))));
+            case 'ln':
+                return rule('derive.ln', this.node('/', d(a), a));
+            case 'abs':
+                return rule('derive.abs', this.node('*', this.node('/', a, u), d(a)));
+            default:
+                throw new EvaluationError(this.i18n.t('derive.unsupported', { name: this.parser.tokenName(u) }), u);
+        }
+    }
+
+    /**
+     * Plegado de constantes: una operación cuyos hijos son todos números se reemplaza por su valor,
+     * siempre que sea exacto y se pueda escribir como literal decimal (1 / 4 → 0.25, pero 1 / 3 no)
+     * @param {Object} node - Nodo candidato
+     * @returns {Object|null} Hoja con el valor, o null si no se puede plegar
+     */
+    foldConstant(node) {
+        if (node.children.length === 0 || !this.parser.operators[node.value]) return null;
+        if (!node.children.every(child => this.isNumberLeaf(child))) return null;
+
+        const value = this.evaluate(node);
+        const literal = value ? value.toDecimalString() : null;
+        if (literal === null || literal.length > this.maxLiteralLength) return null;
+        return this.node(literal);
+    }
+
+    /**
+     * Aplica una regla solo si el nodo es el operador binario indicado
+     * @param {Object} node - Nodo candidato
+     * @param {string} operator - Operador que debe tener el nodo
+     * @param {Function} rewrite - Recibe (izquierdo, derecho) y devuelve el reemplazo o null
+     * @returns {Object|null} Reemplazo, o null si no aplica
+     */
+    binary(node, operator, rewrite) {
+        return node.value === operator ? rewrite(node.children[0], node.children[1]) : null;
+    }
+
+    /**
+     * Opuesto de un subárbol que ya está negado: −y → y, y el literal −3 → 3
+     * @param {Object} node - Subárbol
+     * @returns {Object|null} Subárbol sin el signo, o null si no está negado
+     */
+    opposite(node) {
+        if (node.value === 'neg') return node.children[0];
+        if (this.isNumberLeaf(node) && node.value.startsWith('-')) return this.node(node.value.slice(1));
+        return null;
+    }
+
+    /**
+     * @param {Object} node - Nodo
+     * @returns {boolean} true si es una hoja numérica
+     */
+    isNumberLeaf(node) {
+        return node.children.length === 0 && this.parser.isNumber(node.value);
+    }
+
+    /**
+     * @param {Object} node - Nodo
+     * @param {number} value - Valor buscado
+     * @returns {boolean} true si es una hoja numérica con ese valor (ej: "1.0" vale 1)
+     */
+    isLiteral(node, value) {
+        return this.isNumberLeaf(node) && parseFloat(node.value) === value;
+    }
+
+    /**
+     * @param {Object} node - Subárbol
+     * @returns {boolean} true si es constante y su valor exacto no es cero (el divisor no se anula)
+     */
+    isNonZeroConstant(node) {
+        const value = this.evaluate(node);
+        return value !== null && !value.isZero();
+    }
+
+    /**
+     * Indica si un subárbol tiene valor para cualquier valor de sus variables, para poder anularlo
+     * sin perder un error (0 ∗ (1/0) no vale 0). Las constantes se evalúan; con variables solo se
+     * admiten operaciones definidas en todos los reales y potencias de exponente natural
+     * @param {Object} node - Subárbol
+     * @returns {boolean} true si el subárbol está definido siempre
+     */
+    isDefined(node) {
+        if (this.assumedDefined.some(subtree => this.sameTree(subtree, node))) return true;
+        if (node.children.length === 0) return this.parser.isNumber(node.value) || this.parser.isVariable(node.value);
+        if (this.evaluate(node) !== null) return true;
+
+        const [, exponent] = node.children;
+        const total = ['+', '-', '*', 'neg', 'abs', 'max', 'min', 'sin', 'cos'].includes(node.value) ||
+            (node.value === '^' && this.isNumberLeaf(exponent) && /^\d+$/.test(exponent.value));
+        return total && node.children.every(child => this.isDefined(child));
+    }
+
+    /**
+     * @param {Object} node - Raíz
+     * @returns {Array} Todos los subárboles, en preorden
+     */
+    subtrees(node) {
+        return [node, ...node.children.flatMap(child => this.subtrees(child))];
+    }
+
+    /**
+     * @param {Object} node - Subárbol
+     * @param {string} variable - Nombre de la variable
+     * @returns {boolean} true si alguna hoja del subárbol es la variable
+     */
+    dependsOn(node, variable) {
+        if (node.children.length === 0) return node.value === variable;
+        return node.children.some(child => this.dependsOn(child, variable));
+    }
+
+    /**
+     * Compara dos subárboles por estructura y valores
+     * @param {Object} a - Primer subárbol
+     * @param {Object} b - Segundo subárbol
+     * @returns {boolean} true si son iguales
+     */
+    sameTree(a, b) {
+        return a.value === b.value &&
+            a.children.length === b.children.length &&
+            a.children.every((child, index) => this.sameTree(child, b.children[index]));
+    }
+
+    /**
+     * Crea un nodo con sus hijos (sin ID: se asigna al copiar el árbol)
+     * @param {string} value - Valor del nodo
+     * @param {...Object} children - Hijos
+     * @returns {Object} Nodo {value, children}
+     */
+    node(value, ...children) {
+        return { value: value, children: children };
+    }
+
+    /**
+     * Copia un árbol asignando IDs nuevos a todos sus nodos
+     * @param {Object} node - Raíz del árbol
+     * @returns {Object} Copia independiente
+     */
+    copyTree(node) {
+        return {
+            value: node.value,
+            id: `r${this.nextId++}`,
+            children: node.children.map(child => this.copyTree(child)),
+            element: null
+        };
+    }
+
+    /**
+     * @param {Object} root - Raíz del árbol
+     * @param {Array} path - Camino de índices de hijos desde la raíz
+     * @returns {Object} Subárbol en ese camino
+     */
+    subtreeAt(root, path) {
+        return path.reduce((node, index) => node.children[index], root);
+    }
+
+    /**
+     * Reemplaza el subárbol de un camino sin modificar el árbol original
+     * (se copian solo los nodos del camino)
+     * @param {Object} root - Raíz del árbol
+     * @param {Array} path - Camino desde la raíz
+     * @param {Object} subtree - Nuevo subárbol
+     * @returns {Object} Nueva raíz
+     */
+    replaceAt(root, path, subtree) {
+        if (path.length === 0) return subtree;
+        const [index, ...rest] = path;
+        const children = root.children.slice();
+        children[index] = this.replaceAt(root.children[index], rest, subtree);
+        return { value: root.value, children: children };
+    }
+}
+
+/**
+ * Operaciones sobre árboles de expresiones que no dependen del DOM:
+ * construcción, recorridos, notaciones y evaluación
+ * La página las usa a través de ExpressionTreeVisualizer; las pruebas, directamente
+ */
+class ExpressionTree {
+    /**
+     * @param {ExpressionParser} parser - Analizador con la tabla de operadores
+     */
+    constructor(parser = new ExpressionParser()) {
+        this.parser = parser;
+        this.i18n = parser.i18n;            // Mensajes de evaluación y formato de los números
+        
+        // Símbolos tipográficos para mostrar los operadores
+        this.operatorSymbols = { '+': '+', '-': '−', '*': '∗', '/': '/', '^': '^' };
+
+        // Comparación de dos árboles
+        this.commutativeOperators = new Set(['+', '*']);       // Sus operandos pueden intercambiarse
+        this.sampleValues = [0.7, 1.9, 3.4, 0.35, -1.3];        // Puntos de prueba para las variables
+
+        // Recorridos recursivos: orden de las líneas de su pseudocódigo
+        this.recursiveTraversals = {
+            preorder: ['visit', 'left', 'right'],
+            inorder: ['left', 'visit', 'right'],
+            postorder: ['left', 'right', 'visit'],
+            reversePreorder: ['visit', 'right', 'left'],
+            reverseInorder: ['right', 'visit', 'left'],
+            reversePostorder: ['right', 'left', 'visit']
+        };
+    }
+
+    /**
+     * Construye el árbol de una expresión
+     * @param {string} expression - Expresión, ej: (5∗10)/((3−8)+5) o / ∗ 5 10 + − 3 8 5
+     * @param {string} notation - Notación de la entrada: 'infix', 'prefix' o 'postfix'
+     * @returns {Object} Nodo raíz
+     * @throws {ExpressionParseError} Si la expresión no es válida
+     */
+    build(expression, notation = 'infix') {
+        switch (notation) {
+            case 'prefix':
+                return this.parser.parsePrefix(expression);   // Notación prefija
+            case 'postfix':
+                return this.parser.parsePostfix(expression);  // Notación postfija
+            default:
+                return this.parser.parse(expression);         // Notación infija
+        }
+    }
+
+    /**
+     * Devuelve los hijos de un nodo, de izquierda a derecha
+     * @param {Object} node - Nodo del árbol
+     * @returns {Array} Hijos del nodo
+     */
+    nodeChildren(node) {
+        return node.children;
+    }
+
+    /**
+     * Indica si un nodo se escribe entre sus dos operandos en la notación infija (ej: a + b)
+     * Las hojas, el menos unario y las funciones se escriben antes que sus hijos
+     * @param {Object} node - Nodo del árbol
+     * @returns {boolean} true para los operadores binarios
+     */
+    isInfixNode(node) {
+        return node.children.length === 2 && this.parser.isBinary(node.value);
+    }
+
+    /**
+     * Serializa el árbol como {value, children}, sin IDs ni referencias al DOM
+     * @param {Object} node - Nodo actual
+     * @returns {Object} Árbol serializable
+     */
+    serializeTree(node) {
+        return {
+            value: node.value,
+            children: node.children.map(child => this.serializeTree(child))
+        };
+    }
+
+    /**
+     * Busca un nodo por su ID
+     * @param {Object} node - Raíz del subárbol donde buscar
+     * @param {string} id - ID buscado
+     * @returns {Object|null} Nodo encontrado o null
+     */
+    findNode(node, id) {
+        if (!node) return null;  // Caso base: nodo nulo
+        if (node.id === id) return node;
+        
+        for (const child of node.children) {
+            const found = this.findNode(child, id);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Camino desde la raíz hasta un nodo, como lista de posiciones de hijo (ej: [0, 1])
+     * @param {Object} node - Raíz del subárbol donde buscar
+     * @param {string} id - ID buscado
+     * @returns {Array|null} Camino al nodo o null si no está
+     */
+    findPath(node, id) {
+        if (!node) return null;  // Caso base: nodo nulo
+        if (node.id === id) return [];
+        
+        for (let i = 0; i < node.children.length; i++) {
+            const path = this.findPath(node.children[i], id);
+            if (path) return [i, ...path];
+        }
+        return null;
+    }
+
+    /**
+     * Devuelve el subárbol que está en un camino dado
+     * @param {Object} root - Raíz del árbol (serializado)
+     * @param {Array} path - Camino desde la raíz
+     * @returns {Object} Subárbol en ese camino
+     */
+    subtreeAt(root, path) {
+        return path.reduce((node, index) => node.children[index], root);
+    }
+
+    /**
+     * Reemplaza el subárbol que está en un camino dado
+     * @param {Object} root - Raíz del árbol (serializado)
+     * @param {Array} path - Camino desde la raíz
+     * @param {Object} subtree - Nuevo subárbol
+     * @returns {Object} Raíz resultante (cambia si el camino está vacío)
+     */
+    replaceAt(root, path, subtree) {
+        if (path.length === 0) return subtree;
+        this.subtreeAt(root, path.slice(0, -1)).children[path[path.length - 1]] = subtree;
+        return root;
+    }
+
+    /**
+     * Recorrido preorden: Raíz → Izquierda → Derecha
+     * @param {Object} node - Nodo actual
+     * @returns {Array} Array de nodos en orden preorden
+     */
+    preorderTraversal(node) {
+        if (!node) return [];  // Caso base: nodo nulo
+        
+        const result = [];
+        result.push(node);     // 1. Visitar la raíz primero
+        
+        // 2. Recorrer cada subárbol, de izquierda a derecha
+        node.children.forEach(child => {
+            result.push(...this.preorderTraversal(child));
+        });
+        
+        return result;
+    }
+
+    /**
+     * Recorrido infijo: Izquierda → Raíz → Derecha
+     * Sigue el orden de lectura de la notación infija: el menos unario y las
+     * funciones se visitan antes que sus argumentos, ej: max(a, b)
+     * @param {Object} node - Nodo actual
+     * @returns {Array} Array de nodos en orden infijo
+     */
+    inorderTraversal(node) {
+        if (!node) return [];  // Caso base: nodo nulo
+        
+        const result = [];
+        const [first, ...rest] = node.children;
+        const infix = this.isInfixNode(node);
+        
+        // 1. Recorrer subárbol izquierdo recursivamente (solo en operadores binarios)
+        if (infix) {
+            result.push(...this.inorderTraversal(first));
+        }
+        
+        result.push(node);     // 2. Visitar la raíz en el medio
+        
+        // 3. Recorrer el resto de los subárboles recursivamente
+        (infix ? rest : node.children).forEach(child => {
+            result.push(...this.inorderTraversal(child));
+        });
+        
+        return result;
+    }
+
+    /**
+     * Recorrido postorden: Izquierda → Derecha → Raíz
+     * @param {Object} node - Nodo actual
+     * @returns {Array} Array de nodos en orden postorden
+     */
+    postorderTraversal(node) {
+        if (!node) return [];  // Caso base: nodo nulo
+        
+        const result = [];
+        
+        // 1. Recorrer cada subárbol, de izquierda a derecha
+        node.children.forEach(child => {
+            result.push(...this.postorderTraversal(child));
+        });
+        
+        result.push(node);     // 2. Visitar la raíz al final
+        
+        return result;
+    }
+
+    /**
+     * Recorrido preorden inverso: Raíz → Derecha → Izquierda
+     * @param {Object} node - Nodo actual
+     * @returns {Array} Array de nodos en orden preorden inverso
+     */
+    reversePreorderTraversal(node) {
+        if (!node) return [];  // Caso base: nodo nulo
+        
+        const result = [];
+        result.push(node);     // 1. Visitar la raíz primero
+        
+        // 2. Recorrer cada subárbol, de derecha a izquierda
+        [...node.children].reverse().forEach(child => {
+            result.push(...this.reversePreorderTraversal(child));
+        });
+        
+        return result;
+    }
+
+    /**
+     * Recorrido infijo inverso: Derecha → Raíz → Izquierda
+     * Es el recorrido infijo leído al revés; el menos unario y las funciones
+     * se visitan después de sus argumentos
+     * @param {Object} node - Nodo actual
+     * @returns {Array} Array de nodos en orden infijo inverso
+     */
+    reverseInorderTraversal(node) {
+        if (!node) return [];  // Caso base: nodo nulo
+        
+        const result = [];
+        const [first, ...rest] = node.children;
+        const infix = this.isInfixNode(node);
+        
+        // 1. Recorrer los subárboles de la derecha, del último al primero
+        [...(infix ? rest : node.children)].reverse().forEach(child => {
+            result.push(...this.reverseInorderTraversal(child));
+        });
+        
+        result.push(node);     // 2. Visitar la raíz en el medio
+        
+        // 3. Recorrer subárbol izquierdo recursivamente (solo en operadores binarios)
+        if (infix) {
+            result.push(...this.reverseInorderTraversal(first));
+        }
+        
+        return result;
+    }
+
+    /**
+     * Recorrido postorden inverso: Derecha → Izquierda → Raíz
+     * @param {Object} node - Nodo actual
+     * @returns {Array} Array de nodos en orden postorden inverso
+     */
+    reversePostorderTraversal(node) {
+        if (!node) return [];  // Caso base: nodo nulo
+        
+        const result = [];
+        
+        // 1. Recorrer cada subárbol, de derecha a izquierda
+        [...node.children].reverse().forEach(child => {
+            result.push(...this.reversePostorderTraversal(child));
+        });
+        
+        result.push(node);     // 2. Visitar la raíz al final
+        
+        return result;
+    }
+
+    /**
+     * Recorrido de Euler: rodea el árbol pasando por cada nodo al bajar (pre),
+     * entre un hijo y el siguiente (in) y al subir (post); las hojas se visitan una vez
+     * Los recorridos preorden, infijo y postorden emiten los nodos en uno de esos momentos
+     * @param {Object} node - Nodo raíz
+     * @returns {Array} Eventos {node, moment, edge}; edge es la arista recorrida justo antes
+     *                  ({id, direction: 'down'|'up'}) o null
+     */
+    eulerTour(node) {
+        const events = [];
+        let pendingEdge = null;    // Arista recorrida desde el último evento
+        
+        const emit = (current, moment) => {
+            events.push({ node: current, moment: moment, edge: pendingEdge });
+            pendingEdge = null;
+        };
+        
+        const walk = (current) => {
+            const children = this.nodeChildren(current);
+            if (children.length === 0) {
+                emit(current, 'leaf');                       // Hoja: pre, in y post a la vez
+                return;
+            }
+            
+            emit(current, 'pre');                            // 1. Al llegar desde el padre
+            children.forEach((child, i) => {
+                if (i > 0) emit(current, 'in');              // 2. Entre un hijo y el siguiente
+                const edgeId = `edge-${current.id}-${child.id}`;
+                pendingEdge = { id: edgeId, direction: 'down' };
+                walk(child);
+                pendingEdge = { id: edgeId, direction: 'up' };
+            });
+            emit(current, 'post');                           // 3. Al volver del último hijo
+        };
+        
+        if (node) walk(node);
+        return events;
+    }
+
+    /**
+     * Traza de la recursión de un recorrido: cada llamada, visita y retorno, con la pila de llamadas en ese momento
+     * Cada llamada ejecuta las líneas de su pseudocódigo en orden; "izquierda" es el primer hijo y "derecha"
+     * el resto (en infijo, los operandos antes y después del nodo). Las visitas salen en el mismo orden
+     * que en el recorrido correspondiente, ej: preorderTraversal
+     * @param {Object} node - Nodo raíz
+     * @param {string} type - Recorrido: una clave de recursiveTraversals, ej: 'preorder'
+     * @returns {Array} Eventos {type: 'call'|'visit'|'return', node, stack}; stack va de la base a la cima
+     *                  y cada llamada indica la línea que ejecuta ('call', 'visit', 'left', 'right' o 'return')
+     */
+    recursionTrace(node, type) {
+        const lines = this.recursiveTraversals[type];
+        const reverse = type.startsWith('reverse');
+        const inorder = type === 'inorder' || type === 'reverseInorder';
+        const events = [];
+        const stack = [];
+
+        const record = (kind, current) => {
+            events.push({ type: kind, node: current, stack: stack.map(frame => ({ ...frame })) });
+        };
+
+        const call = (current) => {
+            const frame = { node: current, line: 'call' };
+            stack.push(frame);
+            record('call', current);
+
+            // Hijos de cada línea: en infijo, solo los operadores binarios tienen operando izquierdo
+            const [first, ...rest] = current.children;
+            const infix = !inorder || this.isInfixNode(current);
+            const subtrees = {
+                left: first && infix ? [first] : [],
+                right: infix ? rest : current.children
+            };
+            if (reverse) subtrees.right = [...subtrees.right].reverse();
+
+            lines.forEach(line => {
+                frame.line = line;
+                if (line === 'visit') {
+                    record('visit', current);
+                } else {
+                    subtrees[line].forEach(child => call(child));
+                }
+            });
+
+            frame.line = 'return';
+            record('return', current);
+            stack.pop();
+        };
+
+        if (node) call(node);
+        return events;
+    }
+
+    /**
+     * Une los valores de los nodos de un recorrido en una notación
+     * @param {Array} traversal - Nodos en orden de visita
+     * @returns {string} Valores separados por espacios
+     */
+    notationFromTraversal(traversal) {
+        return traversal.map(node => this.parser.tokenName(node)).join(' ');
+    }
+
+    /**
+     * Genera la notación prefija (preorden) como string
+     * @param {Object} node - Nodo actual
+     * @returns {string} Notación prefija
+     */
+    preorderResult(node) {
+        if (!node) return '';  // Caso base: nodo nulo
+        
+        let result = this.parser.tokenName(node);  // 1. Agregar valor de la raíz primero
+        
+        // 2. Agregar el resultado de cada subárbol, de izquierda a derecha
+        node.children.forEach(child => {
+            result += ' ' + this.preorderResult(child);
+        });
+        
+        return result;
+    }
+
+    /**
+     * Genera la notación infija (infijo) como string
+     * Los paréntesis se agregan según el estilo elegido, de modo que volver a
+     * analizar el resultado produce exactamente el mismo árbol
+     * @param {Object} node - Nodo actual
+     * @param {string} style - 'minimal' (solo los paréntesis necesarios) o 'full' (todas las operaciones)
+     * @returns {string} Notación infija
+     */
+    inorderResult(node, style = 'minimal') {
+        if (!node) return '';  // Caso base: nodo nulo
+        if (style === 'full') return this.parenthesizedResult(node);
+        if (node.children.length === 0) return node.value;  // Hoja: número o variable
+        
+        const operand = (child, index) => {
+            const text = this.inorderResult(child, style);
+            return this.needsParentheses(node, child, index) ? `(${text})` : text;
+        };
+        
+        // Funciones: nombre(arg1, arg2, ...); también la derivada pendiente d/dx(u) de las transformaciones
+        if (this.parser.isFunction(node.value) || !this.parser.operators[node.value]) {
+            return `${node.value}(${node.children.map(child => this.inorderResult(child, style)).join(', ')})`;
+        }
+        
+        // Menos unario: se escribe delante del operando
+        if (node.value === 'neg') {
+            return '-' + operand(node.children[0], 0);
+        }
+        
+        // Operadores binarios: 1. operando izquierdo, 2. operador en el medio, 3. operando derecho
+        return `${operand(node.children[0], 0)} ${node.value} ${operand(node.children[1], 1)}`;
+    }
+
+    /**
+     * Indica si un hijo necesita paréntesis dentro de la notación infija mínima
+     * Hacen falta si el hijo tiene menor precedencia que el padre, o la misma
+     * precedencia en el lado contrario a la asociatividad del padre,
+     * ej: el operando derecho de 8 − (3 − 5) o el izquierdo de (2 ^ 3) ^ 2
+     * Un literal negativo los necesita como base de una potencia, ej: (-2) ^ 2,
+     * y un número negado con neg también, ej: -(3), para no confundirse con el literal -3
+     * @param {Object} parent - Nodo operador padre
+     * @param {Object} child - Nodo hijo
+     * @param {number} index - Posición del hijo (0 = izquierdo)
+     * @returns {boolean} true si el hijo debe ir entre paréntesis
+     */
+    needsParentheses(parent, child, index) {
+        const parentInfo = this.parser.operators[parent.value];
+        if (!parentInfo || parentInfo.function) return false;     // Los argumentos van separados por comas
+        
+        // Hojas: solo los números en los casos descritos arriba
+        if (child.children.length === 0) {
+            if (parent.value === 'neg') return this.parser.isNumber(child.value);
+            return parent.value === '^' && index === 0 && child.value.startsWith('-');
+        }
+        
+        const childInfo = this.parser.operators[child.value];
+        if (!childInfo || childInfo.function) return false;       // sqrt(x) y d/dx(u) ya están delimitadas
+        if (parent.value === 'neg') return childInfo.precedence <= parentInfo.precedence;  // -(a ∗ b), -(-x)
+        
+        if (childInfo.precedence !== parentInfo.precedence) {
+            return childInfo.precedence < parentInfo.precedence;
+        }
+        
+        // Misma precedencia: solo se omiten en el lado de la asociatividad
+        return index === 0 ? parentInfo.associativity === 'right' : parentInfo.associativity === 'left';
+    }
+
+    /**
+     * Genera la notación postfija (postorden) como string
+     * @param {Object} node - Nodo actual
+     * @returns {string} Notación postfija
+     */
+    postorderResult(node) {
+        if (!node) return '';  // Caso base: nodo nulo
+        
+        let result = '';
+        
+        // 1. Agregar el resultado de cada subárbol, de izquierda a derecha
+        node.children.forEach(child => {
+            result += this.postorderResult(child) + ' ';
+        });
+        
+        result += this.parser.tokenName(node);  // 2. Agregar valor de la raíz al final
+        
+        return result;
+    }
+
+    /**
+     * Genera la notación infija con todas las operaciones entre paréntesis
+     * @param {Object} node - Nodo actual
+     * @returns {string} Notación infija completamente parentizada
+     */
+    parenthesizedResult(node) {
+        if (!node) return '';  // Caso base: nodo nulo
+        if (node.children.length === 0) return node.value;
+
+        // Las hojas que lo requieren (ej: la base −2 de una potencia) también van entre paréntesis
+        const operand = (child, index) => {
+            const text = this.parenthesizedResult(child);
+            return child.children.length === 0 && this.needsParentheses(node, child, index) ? `(${text})` : text;
+        };
+
+        if (this.parser.isFunction(node.value) || !this.parser.operators[node.value]) {
+            return `${node.value}(${node.children.map(child => this.parenthesizedResult(child)).join(', ')})`;
+        }
+        if (node.value === 'neg') {
+            return `(-${operand(node.children[0], 0)})`;
+        }
+        return `(${operand(node.children[0], 0)} ${node.value} ${operand(node.children[1], 1)})`;
+    }
+
+    /**
+     * Convierte el valor de un nodo (o un token de notación, ej: max/3) a LaTeX en modo matemático
+     * @param {string} value - Operador, función, número o variable
+     * @returns {string} Código LaTeX
+     */
+    latexValue(value) {
+        const symbols = { '*': '\\ast', '/': '/', '+': '+', '-': '-', '^': '\\wedge' };
+        const latexFunctions = ['sin', 'cos', 'tan', 'ln', 'max', 'min'];   // Con comando propio en LaTeX
+        const withArity = /^(\w+)\/(\d+)$/.exec(value);
+
+        if (symbols[value]) return symbols[value];
+        if (withArity) return `${this.latexValue(withArity[1])}/${withArity[2]}`;
+        if (latexFunctions.includes(value)) return `\\${value}`;
+        if (/^[A-Za-z_]\w+$/.test(value)) return `\\mathrm{${value.replace(/_/g, '\\_')}}`;  // neg, sqrt, nombres largos
+        return value.replace(/_/g, '\\_');            // Una sola letra en cursiva; "_" no es un subíndice
+    }
+
+    /**
+     * Notación (prefija, infija o postfija) en modo matemático de LaTeX, con los tokens separados por \;
+     * @param {string} text - Notación con los tokens separados por espacios
+     * @returns {string} Código LaTeX
+     */
+    latexNotation(text) {
+        return text
+            .split(' ')
+            .map(word => word.replace(/[A-Za-z_]\w*(?:\/\d+)?|[*^]/g, token => this.latexValue(token)))
+            .join('\\;');
+    }
+
+    /**
+     * Árbol en sintaxis del paquete forest: [raíz [hijo] [hijo]]
+     * @param {Object} node - Nodo actual
+     * @returns {string} Código forest del subárbol
+     */
+    forestResult(node) {
+        if (!node) return '';  // Caso base: nodo nulo
+
+        const children = this.nodeChildren(node).map(child => ' ' + this.forestResult(child)).join('');
+        return `[$${this.latexValue(node.value)}$${children}]`;
+    }
+
+    /**
+     * Árbol en sintaxis del paquete qtree: [.raíz hijo hijo ]
+     * @param {Object} node - Nodo actual
+     * @returns {string} Código qtree del subárbol
+     */
+    qtreeResult(node) {
+        if (!node) return '';  // Caso base: nodo nulo
+
+        const value = `{$${this.latexValue(node.value)}$}`;
+        const children = this.nodeChildren(node);
+        if (children.length === 0) return value;
+
+        return `[.${value} ${children.map(child => this.qtreeResult(child)).join(' ')} ]`;
+    }
+
+    /**
+     * Evalúa el árbol recorriéndolo en postorden: cada operador se calcula
+     * cuando ya se conocen los valores de todos sus hijos
+     * @param {Object} tree - Nodo raíz del árbol
+     * @param {boolean} exact - true para operar con fracciones exactas
+     * @param {Object} bindings - Valor (texto) de cada variable, por nombre
+     * @returns {Object} {steps, value, error}: pasos realizados, valor final y error (si lo hubo)
+     */
+    evaluateTree(tree, exact, bindings = {}) {
+        const values = new Map();  // Valor calculado de cada nodo, por ID
+        const steps = [];          // Pasos {node, value, text} en orden postorden
+
+        for (const node of this.postorderTraversal(tree)) {
+            try {
+                const value = this.evaluateNode(node, values, exact, bindings);
+                values.set(node.id, value);
+                steps.push({ node: node, value: value, text: this.describeEvaluationStep(node, values) });
+            } catch (error) {
+                if (!(error instanceof EvaluationError)) throw error;
+                steps.push({ node: node, value: null, text: error.message, error: true });
+                return { steps: steps, value: null, error: error };
+            }
+        }
+
+        return { steps: steps, value: values.get(tree.id), error: null };
+    }
+
+    /**
+     * Calcula el valor de un nodo a partir de los valores ya calculados de sus hijos
+     * @param {Object} node - Nodo a evaluar
+     * @param {Map} values - Valores calculados por ID de nodo
+     * @param {boolean} exact - true para operar con fracciones exactas
+     * @param {Object} bindings - Valor (texto) de cada variable, por nombre
+     * @returns {number|Fraction} Valor del nodo
+     */
+    evaluateNode(node, values, exact, bindings = {}) {
+        // Las hojas son literales numéricos o variables con su valor asignado
+        if (node.children.length === 0) {
+            const text = this.parser.isVariable(node.value) ? this.bindingValue(node, bindings) : node.value;
+            return exact ? Fraction.fromString(text) : parseFloat(text);
+        }
+
+        const args = node.children.map(child => values.get(child.id));
+        const [left, right] = args;
+        const operation = this.describeOperation(node, args);
+        const isNegative = (value) => exact ? value.numerator < 0n : value < 0;
+        const notExact = () => new EvaluationError(this.i18n.t('eval.notExact', { operation: operation }), node);
+
+        // La división entre cero se trata explícitamente en ambos modos
+        if (node.value === '/' && (exact ? right.isZero() : right === 0)) {
+            throw new EvaluationError(this.i18n.t('eval.divisionByZero', { operation: operation }), node);
+        }
+
+        let result;
+        switch (node.value) {
+            case '+':
+                result = exact ? left.add(right) : left + right;
+                break;
+            case '-':
+                result = exact ? left.subtract(right) : left - right;
+                break;
+            case '*':
+                result = exact ? left.multiply(right) : left * right;
+                break;
+            case '/':
+                result = exact ? left.divide(right) : left / right;
+                break;
+            case '^':
+                if (!exact) {
+                    result = Math.pow(left, right);
+                } else if (right.denominator !== 1n || right.numerator > 1000n || right.numerator < -1000n) {
+                    throw notExact();             // Exponente fraccionario o demasiado grande
+                } else if (left.bitLength() * Math.abs(Number(right.numerator)) > 100000) {
+                    throw notExact();             // El resultado tendría más de 100 000 bits
+                } else if (left.isZero() && right.numerator < 0n) {
+                    throw new EvaluationError(this.i18n.t('eval.divisionByZero', { operation: operation }), node);
+                } else {
+                    result = left.pow(right.numerator);
+                }
+                break;
+            case 'neg':
+                result = exact ? left.negate() : -left;
+                break;
+            case 'abs':
+                result = exact ? left.abs() : Math.abs(left);
+                break;
+            case 'max':
+            case 'min': {
+                const sign = node.value === 'max' ? 1 : -1;
+                result = args.reduce((best, value) => this.compareValues(value, best) * sign > 0 ? value : best);
+                break;
+            }
+            case 'sqrt':
+                if (isNegative(left)) {
+                    throw new EvaluationError(this.i18n.t('eval.negativeSqrt', { operation: operation }), node);
+                }
+                result = exact ? left.sqrt() : Math.sqrt(left);
+                if (result === null) throw notExact();    // La raíz no es racional
+                break;
+            case 'ln':
+                if (isNegative(left) || (exact ? left.isZero() : left === 0)) {
+                    throw new EvaluationError(this.i18n.t('eval.nonPositiveLog', { operation: operation }), node);
+                }
+                if (exact) throw notExact();
+                result = Math.log(left);
+                break;
+            case 'sin':
+            case 'cos':
+            case 'tan':
+                if (exact) throw notExact();
+                result = Math[node.value](left);          // Ángulos en radianes
+                break;
+            default:
+                throw new EvaluationError(this.i18n.t('eval.unknownOperator', { operator: node.value }), node);
+        }
+
+        // En modo decimal, evitar mostrar Infinity o NaN
+        if (!exact && !Number.isFinite(result)) {
+            throw new EvaluationError(this.i18n.t('eval.notFinite', { operation: operation }), node);
+        }
+
+        return result;
+    }
+
+    /**
+     * Valor asignado a una variable (en la página, desde el panel de variables)
+     * @param {Object} node - Hoja con el nombre de la variable
+     * @param {Object} bindings - Valor (texto) de cada variable, por nombre
+     * @returns {string} Literal numérico asignado
+     */
+    bindingValue(node, bindings) {
+        const text = (bindings[node.value] || '').trim().replace(/^−/, '-');
+        if (!this.parser.isNumber(text)) {
+            throw new EvaluationError(this.i18n.t('eval.unboundVariable', { name: node.value }), node);
+        }
+        return text;
+    }
+
+    /**
+     * Compara dos valores (números o fracciones)
+     * @param {number|Fraction} a - Primer valor
+     * @param {number|Fraction} b - Segundo valor
+     * @returns {number} Negativo si a < b, cero si son iguales, positivo si a > b
+     */
+    compareValues(a, b) {
+        return a instanceof Fraction ? a.compare(b) : a - b;
+    }
+
+    /**
+     * Describe una operación con los valores de sus operandos, ej: "3 − 8" o "max(2, 7, 5)"
+     * (con coma decimal, los argumentos se separan con punto y coma: "max(2,5; 7)")
+     * @param {Object} node - Nodo operador o función
+     * @param {Array} args - Valores de sus hijos
+     * @returns {string} Texto de la operación
+     */
+    describeOperation(node, args) {
+        // Los operandos negativos se muestran entre paréntesis: 5 ∗ (−1)
+        const operand = (value) => {
+            const text = this.formatValue(value);
+            return text.startsWith('−') ? `(${text})` : text;
+        };
+
+        if (this.parser.isFunction(node.value)) {
+            return `${node.value}(${args.map(value => this.formatValue(value)).join(this.i18n.t('format.argumentSeparator'))})`;
+        }
+        if (node.value === 'neg') {
+            return `−(${this.formatValue(args[0])})`;
+        }
+
+        const symbol = this.operatorSymbols[node.value] || node.value;
+        return `${operand(args[0])} ${symbol} ${operand(args[1])}`;
+    }
+
+    /**
+     * Describe un paso de la evaluación, ej: "3 − 8 = −5"
+     * @param {Object} node - Nodo recién evaluado
+     * @param {Map} values - Valores calculados por ID de nodo
+     * @returns {string} Texto del paso
+     */
+    describeEvaluationStep(node, values) {
+        const value = this.formatValue(values.get(node.id));
+        if (node.children.length === 0) {
+            return this.parser.isVariable(node.value) ? `${node.value} = ${value}` : value;
+        }
+
+        const args = node.children.map(child => values.get(child.id));
+        return `${this.describeOperation(node, args)} = ${value}`;
+    }
+
+    /**
+     * Da formato a un valor para mostrarlo según el idioma (ej: 0,5 o 0.5), con el signo menos tipográfico
+     * @param {number|Fraction} value - Valor numérico o fracción
+     * @returns {string} Valor formateado
+     */
+    formatValue(value) {
+        const text = value instanceof Fraction
+            ? value.toString()
+            : this.i18n.formatNumber(value);             // 12 cifras: evita ruido como 0.30000000000000004
+        return text.replace(/-/g, '−');
+    }
+
+    /**
+     * Texto del resultado final de la evaluación
+     * En modo exacto, las fracciones se acompañan de su aproximación decimal
+     * @param {Object} evaluation - Resultado de evaluateTree
+     * @returns {string} Resultado o mensaje de error
+     */
+    describeEvaluationResult(evaluation) {
+        if (evaluation.error) return this.i18n.t('result.error', { message: evaluation.error.message });
+
+        const value = evaluation.value;
+        let text = this.i18n.t('result.value', { value: this.formatValue(value) });
+        const approximation = value instanceof Fraction && value.denominator !== 1n ? value.toNumber() : NaN;
+        if (Number.isFinite(approximation)) {
+            text += ` ≈ ${this.formatValue(approximation)}`;
+        }
+        return text;
+    }
+
+    /**
+     * Compara dos árboles: idénticos, iguales salvo el orden de los operandos de + y ∗, o con el mismo valor
+     * Si hay variables, el valor se compara en varios puntos de prueba (los mismos para los dos árboles)
+     * @param {Object} a - Raíz del primer árbol
+     * @param {Object} b - Raíz del segundo árbol
+     * @returns {Object} {structural, commutative, swapped, variables, value, samples, values, bindings, error}:
+     *   swapped son los IDs de los nodos de b con los operandos intercambiados; value es 'equal', 'different'
+     *   o 'unknown'; values y bindings, los últimos valores comparados (el contraejemplo si difieren)
+     */
+    compareTrees(a, b) {
+        const swapped = this.commutativeMatch(a, b);
+        const variables = [...new Set(
+            [...this.preorderTraversal(a), ...this.preorderTraversal(b)]
+                .filter(node => node.children.length === 0 && this.parser.isVariable(node.value))
+                .map(node => node.value)
+        )].sort();
+
+        // Sin variables basta un punto; con variables, cada una toma un valor de prueba distinto
+        const points = variables.length === 0 ? [{}] : this.sampleValues.map((value, sample) => Object.fromEntries(
+            variables.map((name, index) => [name, String(this.sampleValues[(sample + index) % this.sampleValues.length])])
+        ));
+
+        const comparison = {
+            structural: swapped !== null && swapped.length === 0,
+            commutative: swapped !== null,
+            swapped: swapped || [],
+            variables: variables,
+            value: 'unknown',
+            samples: 0,
+            values: null,
+            bindings: null,
+            error: null
+        };
+
+        for (const bindings of points) {
+            const [first, second] = [a, b].map(tree => this.comparableValue(tree, bindings));
+            if (first.error || second.error) {
+                comparison.error = comparison.error || first.error || second.error;   // Punto fuera del dominio
+                continue;
+            }
+            comparison.samples++;
+            comparison.values = [first.value, second.value];
+            comparison.bindings = bindings;
+            if (!this.sameValue(first.value, second.value)) {
+                comparison.value = 'different';
+                return comparison;
+            }
+            comparison.value = 'equal';
+        }
+        return comparison;
+    }
+
+    /**
+     * Empareja dos árboles permitiendo intercambiar los operandos de + y ∗
+     * @param {Object} a - Subárbol del primer árbol
+     * @param {Object} b - Subárbol del segundo árbol
+     * @returns {Array|null} IDs de los nodos de b con los operandos intercambiados ([] si son idénticos),
+     *                       o null si no se pueden emparejar
+     */
+    commutativeMatch(a, b) {
+        if (a.value !== b.value || a.children.length !== b.children.length) return null;
+
+        // Emparejar los hijos uno a uno, en el orden dado
+        const matchChildren = (children) => {
+            const swapped = [];
+            for (let i = 0; i < children.length; i++) {
+                const match = this.commutativeMatch(a.children[i], children[i]);
+                if (!match) return null;
+                swapped.push(...match);
+            }
+            return swapped;
+        };
+
+        const inOrder = matchChildren(b.children);
+        if (inOrder || !this.commutativeOperators.has(a.value) || a.children.length !== 2) return inOrder;
+
+        const reversed = matchChildren([b.children[1], b.children[0]]);
+        return reversed ? [b.id, ...reversed] : null;
+    }
+
+    /**
+     * Valor de un árbol para compararlo: exacto si se puede y, si no, decimal (ej: con sin o ln)
+     * @param {Object} tree - Raíz del árbol
+     * @param {Object} bindings - Valor (texto) de cada variable, por nombre
+     * @returns {Object} Resultado de evaluateTree
+     */
+    comparableValue(tree, bindings) {
+        const evaluation = this.evaluateTree(tree, true, bindings);
+        return evaluation.error ? this.evaluateTree(tree, false, bindings) : evaluation;
+    }
+
+    /**
+     * Indica si dos valores son iguales: las fracciones, exactamente; los decimales, salvo redondeo
+     * @param {number|Fraction} a - Primer valor
+     * @param {number|Fraction} b - Segundo valor
+     * @returns {boolean} true si son iguales
+     */
+    sameValue(a, b) {
+        if (a instanceof Fraction && b instanceof Fraction) return a.compare(b) === 0;
+
+        const [x, y] = [a, b].map(value => value instanceof Fraction ? value.toNumber() : value);
+        return Math.abs(x - y) <= 1e-9 * Math.max(1, Math.abs(x), Math.abs(y));
+    }
+
+    /**
+     * Texto del resultado de la comparación de dos árboles
+     * @param {Object} comparison - Resultado de compareTrees
+     * @returns {string} Ej: "Distinta estructura, mismo valor: 5"
+     */
+    describeComparison(comparison) {
+        if (comparison.structural) return this.i18n.t('compare.identical');
+        if (comparison.commutative) return this.i18n.t('compare.commutative', { count: comparison.swapped.length });
+        if (comparison.value === 'unknown') return this.i18n.t('compare.unknown', { message: comparison.error.message });
+
+        // Con variables, los puntos de prueba son decimales: los valores también
+        const hasVariables = comparison.variables.length > 0;
+        const [first, second] = comparison.values.map(value =>
+            this.formatValue(hasVariables && value instanceof Fraction ? value.toNumber() : value));
+        if (comparison.value === 'equal') {
+            return hasVariables
+                ? this.i18n.t('compare.equalSamples', { count: comparison.samples })
+                : this.i18n.t('compare.equalValue', { value: first });
+        }
+        if (!hasVariables) return this.i18n.t('compare.differentValue', { first: first, second: second });
+
+        // Contraejemplo: valores de las variables con los que los árboles difieren
+        const bindings = comparison.variables.map(name => `${name} = ${this.formatValue(parseFloat(comparison.bindings[name]))}`);
+        return this.i18n.t('compare.differentSamples', {
+            bindings: bindings.join(this.i18n.t('format.argumentSeparator')), first: first, second: second
+        });
+    }
+}
+
+export { ExpressionParseError, ExpressionParser, EvaluationError, Fraction, ExpressionRewriter, ExpressionTree };
@@ -0,0 +1,109 @@
+/**
+ * Traducción de la interfaz: catálogos de mensajes por idioma y formato de números
+ * Sin dependencias del DOM; lo usan la página, el núcleo y las pruebas
+ */
+
+import es from './locales/es.mjs';
+import en from './locales/en.mjs';
+
+/**
+ * Idiomas disponibles: etiqueta BCP 47 (para Intl) y catálogo de mensajes
+ */
+const locales = {
+    es: { tag: 'es-ES', messages: es },
+    en: { tag: 'en-US', messages: en }
+};
+
+const defaultLocale = 'es';     // Idioma original de la aplicación; completa los mensajes que falten
+
+/**
+ * Traductor: busca mensajes en el catálogo del idioma activo y da formato a números y listas
+ * Los mensajes admiten parámetros {nombre} y formas de plural {one, other} según {count}
+ */
+class Translator {
+    /**
+     * @param {string} locale - Código del idioma, ej: 'es' o 'en' (si no existe, se usa el español)
+     */
+    constructor(locale = defaultLocale) {
+        this.setLocale(locale);
+    }
+
+    /**
+     * Elige el primer idioma disponible de una lista de preferencias (ej: navigator.languages)
+     * @param {Array} preferences - Etiquetas como "en-GB" o "es"
+     * @returns {string} Código del idioma elegido, o el español si ninguno coincide
+     */
+    static match(preferences) {
+        for (const preference of preferences) {
+            const code = String(preference).toLowerCase().split('-')[0];
+            if (locales[code]) return code;
+        }
+        return defaultLocale;
+    }
+
+    /**
+     * Cambia el idioma activo
+     * @param {string} locale - Código del idioma; si no existe, se usa el español
+     */
+    setLocale(locale) {
+        this.locale = locales[locale] ? locale : defaultLocale;
+        this.tag = locales[this.locale].tag;
+        this.messages = locales[this.locale].messages;
+        this.pluralRules = new Intl.PluralRules(this.tag);
+        // Sin separador de miles: los valores aparecen dentro de operaciones como "12345 ∗ 2"
+        this.numberFormat = new Intl.NumberFormat(this.tag, { maximumSignificantDigits: 12, useGrouping: false });
+        // Los valores muy grandes o muy pequeños, en notación científica (1E300) para que quepan en los nodos
+        this.scientificFormat = new Intl.NumberFormat(this.tag, { notation: 'scientific', maximumSignificantDigits: 12 });
+        this.listFormat = new Intl.ListFormat(this.tag, { style: 'long', type: 'conjunction' });
+    }
+
+    /**
+     * Traduce un mensaje del catálogo
+     * @param {string} key - Clave del mensaje, ej: "parse.empty"
+     * @param {Object} params - Valores de los parámetros {nombre}; count elige la forma de plural
+     * @returns {string} Mensaje traducido (la propia clave si no existe en ningún catálogo)
+     */
+    t(key, params = {}) {
+        let message = this.messages[key];
+        if (message === undefined) message = locales[defaultLocale].messages[key];
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            const form = this.pluralRules.select(params.count);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    /**
+     * Da formato a un número según el idioma, ej: 0,5 en español y 0.5 en inglés
+     * Desde 10¹² o por debajo de 10⁻⁶ (sin contar el cero) se usa notación científica, ej: 1,5E12
+     * @param {number} value - Número
+     * @returns {string} Número con hasta 12 cifras significativas
+     */
+    formatNumber(value) {
+        const magnitude = Math.abs(value);
+        const scientific = magnitude >= 1e12 || (magnitude > 0 && magnitude < 1e-6);
+        return (scientific ? this.scientificFormat : this.numberFormat).format(value);
+    }
+
+    /**
+     * Une elementos en una enumeración según el idioma: "a, b y c" o "a, b, and c"
+     * @param {Array} items - Textos a unir
+     * @returns {string} Enumeración
+     */
+    formatList(items) {
+        return this.listFormat.format(items.map(String));
+    }
+
+    /**
+     * Da formato a una fecha corta con hora según el idioma
+     * @param {Date} date - Fecha
+     * @returns {string} Ej: "18/10/26, 22:37"
+     */
+    formatDate(date) {
+        return date.toLocaleString(this.tag, { dateStyle: 'short', timeStyle: 'short' });
+    }
+}
+
+export { Translator };
@@ -0,0 +1,249 @@
+/**
+ * Biblioteca de expresiones: conjuntos de ejercicios con nombre, etiquetas y dificultad
+ * Sin dependencias del DOM; la página guarda los conjuntos en localStorage y las pruebas los validan
+ */
+
+import { ExpressionParseError } from './arbol-core.mjs';
+
+/**
+ * Error al importar o guardar un ejercicio (JSON inválido, dificultad fuera de rango, expresión mal escrita)
+ */
+class LibraryError extends Error {
+    /**
+     * @param {string} message - Descripción del error
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'LibraryError';
+    }
+}
+
+/**
+ * Conjuntos de ejemplo incluidos con la aplicación: claves del catálogo para los textos
+ * El primer ejercicio del primer conjunto es la expresión con la que arranca la página
+ */
+const bundledSets = [
+    {
+        id: 'sample-basic',
+        name: 'library.sample.basic',
+        exercises: [
+            { name: 'library.sample.example', expression: '(5∗10)/((3−8)+5)', tags: ['parentheses', 'precedence'], difficulty: 1 },
+            { name: 'library.sample.precedence', expression: '3 + 4 ∗ 2', tags: ['precedence'], difficulty: 1 },
+            { name: 'library.sample.parentheses', expression: '(3 + 4) ∗ 2', tags: ['parentheses'], difficulty: 1 },
+            { name: 'library.sample.subtraction', expression: '10 − 4 − 3', tags: ['associativity'], difficulty: 2 },
+            { name: 'library.sample.powers', expression: '2 ^ 3 ^ 2', tags: ['associativity', 'precedence'], difficulty: 2 }
+        ]
+    },
+    {
+        id: 'sample-functions',
+        name: 'library.sample.functions',
+        exercises: [
+            { name: 'library.sample.unaryMinus', expression: '−(a + b) ∗ c', tags: ['unary', 'variables'], difficulty: 2 },
+            { name: 'library.sample.distance', expression: 'sqrt(x ^ 2 + y ^ 2)', tags: ['functions', 'variables'], difficulty: 2 },
+            { name: 'library.sample.maximum', expression: 'max(x, 2 ^ 3, −y)', tags: ['functions', 'variables'], difficulty: 2 },
+            { name: 'library.sample.identity', expression: 'sin(x) ^ 2 + cos(x) ^ 2', tags: ['functions', 'variables'], difficulty: 3 }
+        ]
+    },
+    {
+        id: 'sample-rewrite',
+        name: 'library.sample.rewrite',
+        exercises: [
+            { name: 'library.sample.neutral', expression: 'x ∗ 1 + 0', tags: ['simplify'], difficulty: 1 },
+            { name: 'library.sample.folding', expression: '(3 − 8) + 5 ∗ x', tags: ['simplify'], difficulty: 1 },
+            { name: 'library.sample.product', expression: 'x ^ 2 ∗ sin(x)', tags: ['derive'], difficulty: 3 },
+            { name: 'library.sample.chain', expression: 'ln(x ^ 2 + 1)', tags: ['derive'], difficulty: 3 }
+        ]
+    }
+];
+
+/**
+ * Conjuntos de ejercicios: ejemplos incluidos, validación, filtros y formato de archivo JSON
+ * Un conjunto es {id, name, exercises}; un ejercicio, {name, expression (infija), tags, difficulty}
+ */
+class ExpressionLibrary {
+    /**
+     * @param {ExpressionTree} core - Núcleo con el que se comprueba que cada expresión se puede analizar
+     */
+    constructor(core) {
+        this.core = core;
+        this.i18n = core.i18n;                  // Textos de los ejemplos y mensajes de error
+        this.format = 'arbol-ejercicios';       // Marca de los archivos exportados
+        this.version = 1;                       // Versión del formato de archivo
+        this.difficulties = [1, 2, 3];          // Fácil, media y difícil
+    }
+
+    /**
+     * Conjuntos de ejemplo, con los nombres y las etiquetas en el idioma activo
+     * @returns {Array} Conjuntos {id, name, builtIn, exercises}
+     */
+    sampleSets() {
+        return bundledSets.map(set => ({
+            id: set.id,
+            name: this.i18n.t(set.name),
+            builtIn: true,                      // No se pueden modificar ni eliminar
+            exercises: set.exercises.map(exercise => ({
+                name: this.i18n.t(exercise.name),
+                expression: exercise.expression,
+                tags: exercise.tags.map(tag => this.i18n.t(`library.tag.${tag}`)),
+                difficulty: exercise.difficulty
+            }))
+        }));
+    }
+
+    /**
+     * Expresión con la que arranca la página: el primer ejemplo
+     * @returns {string} Expresión infija
+     */
+    defaultExpression() {
+        return bundledSets[0].exercises[0].expression;
+    }
+
+    /**
+     * Crea un conjunto vacío con un ID que no usa ningún otro conjunto
+     * @param {string} name - Nombre del conjunto
+     * @param {Array} sets - Conjuntos existentes
+     * @returns {Object} Conjunto nuevo {id, name, exercises}
+     */
+    createSet(name, sets) {
+        const ids = new Set(sets.map(set => set.id));
+        let number = sets.length + 1;
+        while (ids.has(`set-${number}`)) number++;
+        return { id: `set-${number}`, name: name.trim() || this.i18n.t('library.untitled'), exercises: [] };
+    }
+
+    /**
+     * Valida un ejercicio y lo normaliza
+     * @param {Object} data - {name, expression, tags, difficulty}; sin nombre se usa la expresión
+     * @returns {Object} Ejercicio {name, expression, tags, difficulty}
+     * @throws {LibraryError} Si falta la expresión, no se puede analizar o la dificultad no es válida
+     */
+    createExercise(data) {
+        if (!data || typeof data !== 'object' || typeof data.expression !== 'string' || !data.expression.trim()) {
+            throw new LibraryError(this.i18n.t('library.missingExpression'));
+        }
+        const expression = data.expression.trim();
+        try {
+            this.core.build(expression);
+        } catch (error) {
+            if (!(error instanceof ExpressionParseError)) throw error;
+            throw new LibraryError(this.i18n.t('library.invalidExpression', { expression: expression, message: error.message }));
+        }
+
+        const difficulty = data.difficulty === undefined ? 1 : Number(data.difficulty);
+        if (!this.difficulties.includes(difficulty)) {
+            throw new LibraryError(this.i18n.t('library.invalidDifficulty', { difficulty: data.difficulty }));
+        }
+        const tags = data.tags === undefined ? [] : data.tags;
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            throw new LibraryError(this.i18n.t('library.invalidTags'));
+        }
+
+        return {
+            name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : expression,
+            expression: expression,
+            tags: [...new Set(tags.map(tag => tag.trim()).filter(tag => tag))],
+            difficulty: difficulty
+        };
+    }
+
+    /**
+     * Separa las etiquetas escritas en un campo de texto, ej: "potencias, variables"
+     * @param {string} text - Etiquetas separadas por comas o punto y coma
+     * @returns {Array} Etiquetas sin espacios sobrantes ni repetidas
+     */
+    parseTags(text) {
+        return [...new Set(text.split(/[,;]/).map(tag => tag.trim()).filter(tag => tag))];
+    }
+
+    /**
+     * Todas las etiquetas de unos ejercicios, en orden alfabético según el idioma
+     * @param {Array} exercises - Ejercicios
+     * @returns {Array} Etiquetas distintas
+     */
+    collectTags(exercises) {
+        return [...new Set(exercises.flatMap(exercise => exercise.tags))]
+            .sort((a, b) => a.localeCompare(b, this.i18n.tag));
+    }
+
+    /**
+     * Filtra ejercicios por etiqueta y dificultad
+     * @param {Array} exercises - Ejercicios
+     * @param {Object} filter - {tag, difficulty}; un valor vacío no filtra
+     * @returns {Array} Ejercicios que cumplen el filtro
+     */
+    filterExercises(exercises, filter) {
+        return exercises.filter(exercise =>
+            (!filter.tag || exercise.tags.includes(filter.tag)) &&
+            (!filter.difficulty || exercise.difficulty === Number(filter.difficulty)));
+    }
+
+    /**
+     * Serializa un conjunto para descargarlo como archivo JSON
+     * @param {Object} set - Conjunto de ejercicios
+     * @returns {string} JSON con la marca del formato, el nombre y los ejercicios
+     */
+    exportSet(set) {
+        return JSON.stringify({
+            format: this.format,
+            version: this.version,
+            name: set.name,
+            exercises: set.exercises.map(({ name, expression, tags, difficulty }) => ({ name, expression, tags, difficulty }))
+        }, null, 2);
+    }
+
+    /**
+     * Lee un conjunto exportado con exportSet
+     * @param {string} text - Contenido del archivo
+     * @param {string} fileName - Nombre del archivo (para los mensajes y como nombre por defecto)
+     * @param {Array} sets - Conjuntos existentes (el importado recibe un ID nuevo)
+     * @returns {Object} Conjunto {id, name, exercises}
+     * @throws {LibraryError} Si el archivo no es JSON o algún ejercicio no es válido
+     */
+    importSet(text, fileName, sets) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new LibraryError(this.i18n.t('import.invalidJson', { file: fileName, message: error.message }));
+        }
+        if (!data || typeof data !== 'object' || !Array.isArray(data.exercises)) {
+            throw new LibraryError(this.i18n.t('library.invalidFile', { file: fileName }));
+        }
+
+        const name = typeof data.name === 'string' && data.name.trim() ? data.name : fileName.replace(/\.json$/i, '');
+        const set = this.createSet(name, sets);
+        set.exercises = data.exercises.map((exercise, index) => {
+            try {
+                return this.createExercise(exercise);
+            } catch (error) {
+                if (!(error instanceof LibraryError)) throw error;
+                throw new LibraryError(this.i18n.t('library.invalidExercise', { number: index + 1, message: error.message }));
+            }
+        });
+        return set;
+    }
+
+    /**
+     * Recupera los conjuntos guardados, descartando los ejercicios dañados
+     * Cualquier fallo al validar un ejercicio (no solo LibraryError) descarta ese ejercicio y no los demás
+     * @param {*} data - Contenido leído del almacenamiento
+     * @returns {Array} Conjuntos válidos
+     */
+    restoreSets(data) {
+        if (!Array.isArray(data)) return [];
+
+        return data.filter(set => set && typeof set.id === 'string' && Array.isArray(set.exercises)).map(set => ({
+            id: set.id,
+            name: typeof set.name === 'string' ? set.name : this.i18n.t('library.untitled'),
+            exercises: set.exercises.flatMap(exercise => {
+                try {
+                    return [this.createExercise(exercise)];
+                } catch (error) {
+                    return [];
+                }
+            })
+        }));
+    }
+}
+
+export { LibraryError, ExpressionLibrary };
@@ -0,0 +1,331 @@
+/**
+ * Grabación de las animaciones: GIF animado y archivo ZIP, codificados en el navegador
+ * Sin dependencias del DOM; la página dibuja los fotogramas en un canvas y las pruebas decodifican el resultado
+ */
+
+/**
+ * Une varios bloques de bytes en uno
+ * @param {Array} chunks - Bloques Uint8Array
+ * @returns {Uint8Array} Bytes concatenados
+ */
+const concatBytes = (chunks) => {
+    const result = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+    let position = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, position);
+        position += chunk.length;
+    });
+    return result;
+};
+
+/**
+ * Codificador de GIF animado (GIF89a) con una paleta de hasta 256 colores por fotograma
+ * Ej: const gif = new GifEncoder(640, 480); gif.addFrame(imageData.data, 1000); gif.finish()
+ */
+class GifEncoder {
+    /**
+     * @param {number} width - Ancho de los fotogramas en píxeles
+     * @param {number} height - Alto de los fotogramas en píxeles
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.chunks = [];                   // Bytes ya codificados: cabecera y fotogramas
+        this.frames = 0;                    // Fotogramas agregados
+
+        // Cabecera, pantalla lógica sin paleta global y bucle infinito (extensión NETSCAPE2.0)
+        this.writeBytes([...this.ascii('GIF89a'), ...this.word(width), ...this.word(height), 0, 0, 0]);
+        this.writeBytes([0x21, 0xFF, 11, ...this.ascii('NETSCAPE2.0'), 3, 1, 0, 0, 0]);
+    }
+
+    /**
+     * Agrega un fotograma
+     * @param {Uint8ClampedArray|Uint8Array} pixels - Píxeles RGBA, fila a fila (ej: ImageData.data)
+     * @param {number} delay - Milisegundos que se muestra el fotograma (el GIF los guarda en centésimas)
+     */
+    addFrame(pixels, delay) {
+        const { palette, indices } = this.quantize(pixels);
+        const centiseconds = Math.max(1, Math.round(delay / 10));
+
+        // Control gráfico (duración) y descriptor de imagen con paleta local de 256 colores
+        this.writeBytes([0x21, 0xF9, 4, 0, ...this.word(centiseconds), 0, 0]);
+        this.writeBytes([0x2C, 0, 0, 0, 0, ...this.word(this.width), ...this.word(this.height), 0x87]);
+        this.writeBytes(palette);
+
+        // Datos comprimidos con LZW, en bloques de hasta 255 bytes
+        const data = this.compress(indices, 8);
+        this.writeBytes([8]);
+        for (let start = 0; start < data.length; start += 255) {
+            const block = data.subarray(start, start + 255);
+            this.writeBytes([block.length]);
+            this.writeBytes(block);
+        }
+        this.writeBytes([0]);
+        this.frames++;
+    }
+
+    /**
+     * Cierra el archivo
+     * @returns {Uint8Array} Contenido del GIF
+     */
+    finish() {
+        this.writeBytes([0x3B]);
+        return concatBytes(this.chunks);
+    }
+
+    /**
+     * Reduce los colores de un fotograma a una paleta de 256
+     * Los colores se agrupan con 5 bits por canal; los 256 grupos más frecuentes forman la paleta
+     * (con el color medio de cada grupo) y el resto se asigna al color más cercano de la paleta
+     * @param {Uint8ClampedArray|Uint8Array} pixels - Píxeles RGBA (la transparencia se ignora)
+     * @returns {Object} {palette: 768 bytes RGB, indices: índice de la paleta de cada píxel}
+     */
+    quantize(pixels) {
+        const count = pixels.length / 4;
+        const keys = new Uint16Array(count);
+        const frequency = new Uint32Array(32768);
+        const sums = new Float64Array(32768 * 3);
+
+        for (let pixel = 0; pixel < count; pixel++) {
+            const r = pixels[pixel * 4], g = pixels[pixel * 4 + 1], b = pixels[pixel * 4 + 2];
+            const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            keys[pixel] = key;
+            frequency[key]++;
+            sums[key * 3] += r;
+            sums[key * 3 + 1] += g;
+            sums[key * 3 + 2] += b;
+        }
+
+        const used = [];
+        frequency.forEach((times, key) => { if (times > 0) used.push(key); });
+        used.sort((a, b) => frequency[b] - frequency[a]);
+
+        const palette = new Uint8Array(768);
+        const mapping = new Uint8Array(32768);
+        const chosen = used.slice(0, 256);
+        chosen.forEach((key, index) => {
+            for (let channel = 0; channel < 3; channel++) {
+                palette[index * 3 + channel] = Math.round(sums[key * 3 + channel] / frequency[key]);
+            }
+            mapping[key] = index;
+        });
+
+        // Grupos que no entran en la paleta: el color más cercano (distancia euclídea en RGB)
+        used.slice(256).forEach(key => {
+            const r = sums[key * 3] / frequency[key], g = sums[key * 3 + 1] / frequency[key], b = sums[key * 3 + 2] / frequency[key];
+            let best = 0, bestDistance = Infinity;
+            for (let index = 0; index < chosen.length; index++) {
+                const dr = palette[index * 3] - r, dg = palette[index * 3 + 1] - g, db = palette[index * 3 + 2] - b;
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    best = index;
+                    bestDistance = distance;
+                }
+            }
+            mapping[key] = best;
+        });
+
+        const indices = new Uint8Array(count);
+        for (let pixel = 0; pixel < count; pixel++) indices[pixel] = mapping[keys[pixel]];
+        return { palette, indices };
+    }
+
+    /**
+     * Comprime los índices con el LZW de los GIF: códigos de longitud variable (hasta 12 bits)
+     * y un código de limpieza cada vez que se llena la tabla de 4096 entradas
+     * @param {Uint8Array} indices - Índices de la paleta
+     * @param {number} minCodeSize - Bits de los índices (8 con una paleta de 256 colores)
+     * @returns {Uint8Array} Bytes comprimidos
+     */
+    compress(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let buffer = 0, bits = 0;               // Bits pendientes, el menos significativo primero
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();                   // (prefijo, índice) → código
+
+        const emit = (code) => {
+            buffer |= code << bits;
+            bits += codeSize;
+            while (bits >= 8) {
+                output.push(buffer & 0xFF);
+                buffer >>= 8;
+                bits -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let position = 1; position < indices.length; position++) {
+            const index = indices[position];
+            const key = (prefix << 8) | index;
+            if (table.has(key)) {
+                prefix = table.get(key);
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === 4096) {
+                // Tabla llena: empezar de nuevo
+                emit(clearCode);
+                table = new Map();
+                nextCode = endCode + 1;
+                codeSize = minCodeSize + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = index;
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bits > 0) output.push(buffer & 0xFF);
+
+        return Uint8Array.from(output);
+    }
+
+    /**
+     * Agrega bytes al archivo
+     * @param {Array|Uint8Array} bytes - Bytes a agregar
+     */
+    writeBytes(bytes) {
+        this.chunks.push(Uint8Array.from(bytes));
+    }
+
+    /**
+     * Entero de 16 bits en orden little-endian
+     * @param {number} value - Valor
+     * @returns {Array} Dos bytes
+     */
+    word(value) {
+        return [value & 0xFF, (value >> 8) & 0xFF];
+    }
+
+    /**
+     * Códigos ASCII de un texto
+     * @param {string} text - Texto (solo ASCII)
+     * @returns {Array} Bytes
+     */
+    ascii(text) {
+        return [...text].map(character => character.charCodeAt(0));
+    }
+}
+
+/**
+ * Archivo ZIP sin compresión (los PNG ya están comprimidos), con nombres en UTF-8
+ * Ej: const zip = new ZipWriter(); zip.addFile('paso-01.png', bytes); zip.finish()
+ */
+class ZipWriter {
+    constructor() {
+        this.chunks = [];                   // Cabeceras locales y contenidos
+        this.entries = [];                  // Datos del directorio central de cada archivo
+        this.offset = 0;                    // Posición de la siguiente cabecera local
+    }
+
+    /**
+     * Agrega un archivo
+     * @param {string} name - Nombre dentro del ZIP (ej: "recorrido/paso-01.png")
+     * @param {Uint8Array} bytes - Contenido
+     * @param {Date} date - Fecha de modificación
+     */
+    addFile(name, bytes, date = new Date()) {
+        const nameBytes = new TextEncoder().encode(name);
+        const entry = {
+            nameBytes: nameBytes,
+            crc: ZipWriter.crc32(bytes),
+            size: bytes.length,
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+            offset: this.offset
+        };
+
+        const header = this.header(0x04034B50, entry, 26);
+        this.entries.push(entry);
+        this.chunks.push(header, nameBytes, bytes);
+        this.offset += header.length + nameBytes.length + bytes.length;
+    }
+
+    /**
+     * Cierra el archivo con el directorio central
+     * @returns {Uint8Array} Contenido del ZIP
+     */
+    finish() {
+        const directory = [];
+        this.entries.forEach(entry => directory.push(this.header(0x02014B50, entry, 42), entry.nameBytes));
+        const directorySize = directory.reduce((size, chunk) => size + chunk.length, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, this.offset, true);
+
+        return concatBytes([...this.chunks, ...directory, new Uint8Array(end.buffer)]);
+    }
+
+    /**
+     * Cabecera local (26 bytes tras la firma) o del directorio central (42 bytes)
+     * Ambas comparten los campos desde la versión necesaria hasta la longitud del nombre
+     * @param {number} signature - Firma de la cabecera
+     * @param {Object} entry - Datos del archivo
+     * @param {number} length - Bytes tras la firma
+     * @returns {Uint8Array} Cabecera sin el nombre
+     */
+    header(signature, entry, length) {
+        const view = new DataView(new ArrayBuffer(4 + length));
+        const central = signature === 0x02014B50;
+        let position = 4;
+        const field = (bytes, value) => {
+            if (bytes === 2) view.setUint16(position, value, true);
+            else view.setUint32(position, value, true);
+            position += bytes;
+        };
+
+        view.setUint32(0, signature, true);
+        if (central) field(2, 20);          // Versión que lo creó
+        field(2, 20);                       // Versión necesaria para extraerlo
+        field(2, 0x0800);                   // Nombre en UTF-8
+        field(2, 0);                        // Sin compresión
+        field(2, entry.time);
+        field(2, entry.date);
+        field(4, entry.crc);
+        field(4, entry.size);               // Tamaño comprimido
+        field(4, entry.size);               // Tamaño original
+        field(2, entry.nameBytes.length);
+        field(2, 0);                        // Sin campos extra
+        if (central) {
+            field(2, 0);                    // Sin comentario
+            field(2, 0);                    // Disco
+            field(2, 0);                    // Atributos internos
+            field(4, 0);                    // Atributos externos
+            field(4, entry.offset);         // Posición de la cabecera local
+        }
+        return new Uint8Array(view.buffer);
+    }
+
+    /**
+     * Suma de comprobación CRC-32 (la de ZIP y PNG)
+     * @param {Uint8Array} bytes - Datos
+     * @returns {number} CRC sin signo
+     */
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256).map((value, index) => {
+                let crc = index;
+                for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+                return crc;
+            });
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let index = 0; index < bytes.length; index++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[index]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+export { GifEncoder, ZipWriter };
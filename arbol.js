@@ -1,3 +1,8 @@
+import { ExpressionParseError, ExpressionParser, EvaluationError, ExpressionRewriter, ExpressionTree } from './arbol-core.mjs';
+import { Translator } from './arbol-i18n.mjs';
+import { LibraryError, ExpressionLibrary } from './arbol-library.mjs';
+import { GifEncoder, ZipWriter } from './arbol-recording.mjs';
+
 /**
  * Clase principal para visualizar árboles de expresiones
  * Maneja la construcción del árbol, los recorridos y las animaciones
@@ -8,12 +13,98 @@ class ExpressionTreeVisualizer {
         this.tree = null;                    // Árbol de la expresión
         this.currentTraversal = null;       // Recorrido actual (preorden, infijo, postorden)
         this.currentStep = 0;               // Paso actual en la animación
-        this.isAnimating = false;           // Flag para controlar si está animando
+        this.isAnimating = false;           // Flag para controlar si la reproducción está en marcha
+        this.timerId = null;                // Temporizador pendiente del siguiente paso
+        this.speed = 1;                     // Multiplicador de velocidad (1 = un paso por segundo)
+        
+        // Grabación de la animación
+        this.recording = false;             // true mientras se codifican los fotogramas
+        this.recordScale = { gif: 1, zip: 2 }; // Resolución: el GIF pesa menos; los PNG se ven nítidos en diapositivas
+        this.recordFinalHold = 3;           // El estado final dura tres pasos antes de que el GIF vuelva a empezar
+        
+        // Dimensiones del dibujo SVG del árbol
+        this.nodeRadius = 30;               // Radio de cada nodo
+        this.horizontalSpacing = 80;        // Separación mínima entre nodos vecinos
+        this.levelHeight = 100;             // Distancia vertical entre niveles
+        this.minScale = 0.1;                // Zoom mínimo
+        this.maxScale = 4;                  // Zoom máximo
+        this.maxFitScale = 1.5;             // Zoom máximo al ajustar a la pantalla
+        this.layout = null;                 // Posiciones calculadas de los nodos
+        this.view = null;                   // Zoom y desplazamiento actuales {x, y, scale, fitted}
+        
+        // Idioma de la interfaz
+        this.localeKey = 'arbol.locale';    // Clave del idioma elegido en localStorage
+        this.i18n = new Translator(this.loadLocale()); // Mensajes y formato de números del idioma elegido
+        this.displayedExpression = '';      // Expresión mostrada en la cabecera (se vuelve a rotular al cambiar de idioma)
+        
+        // Estado del editor
+        this.editMode = false;              // true si los clics sobre nodos los editan
+        this.selectedNodeId = null;         // ID del nodo seleccionado en el editor
+        this.undoStack = [];                // Árboles serializados anteriores a cada edición
+        this.redoStack = [];                // Árboles deshechos que se pueden rehacer
+        this.parser = new ExpressionParser(this.i18n); // Analizador de expresiones infijas (sus errores usan el idioma elegido)
+        this.core = new ExpressionTree(this.parser); // Recorridos, notaciones y evaluación (sin DOM)
+        this.evaluation = null;             // Resultado de la evaluación en curso (modo Evaluar)
+        this.machine = null;                // Estados de la máquina de pila en curso
+        this.sourceInfix = '';              // Expresión infija del árbol actual (para shunting-yard)
+        this.bindings = {};                 // Valor escrito para cada variable, por nombre
+        this.currentTraversalType = null;   // Tipo del recorrido en curso
+        this.tour = null;                   // Recorrido de Euler del árbol (aristas bajando y subiendo)
+        this.tourPositions = null;          // Índice en el recorrido de Euler de cada paso
+        this.rewrite = null;                // Transformación en curso {type, variable, original, steps}
+        this.comparison = null;             // Los tres recorridos a la vez {columns}
+        this.comparedExpression = null;     // Expresión B que se muestra junto al árbol actual
+        this.recursion = null;              // Traza de la recursión del recorrido en curso {type, events, visits}
+        this.recursionTimers = [];          // Llamadas y retornos pendientes de mostrar antes del siguiente paso
+        
+        // Modo de práctica
+        this.quizMode = false;              // true mientras el panel de práctica está abierto
+        this.quiz = null;                   // Ejercicio en curso {type, mode, depth, expected, clicks, graded}
+        this.quizHistoryKey = 'arbol.quizHistory'; // Clave del historial en localStorage
+        this.maxQuizHistory = 50;           // Intentos que se conservan en el historial
+        this.visibleQuizHistory = 10;       // Intentos que se muestran en la lista
+        this.restoringState = false;        // true mientras se aplica el estado de la URL
+        this.focusedNodeId = null;          // Nodo que recibe el foco del teclado dentro del árbol
+        this.copyFeedback = new Map();      // Botones de copiar que muestran el resultado: {original, timer}
+        
+        // Biblioteca de expresiones
+        this.library = new ExpressionLibrary(this.core); // Ejemplos incluidos, validación y archivos de ejercicios
+        this.libraryKey = 'arbol.library';  // Clave de los conjuntos propios en localStorage
+        this.librarySetId = null;           // Conjunto elegido en la biblioteca (null: el primero)
+        this.librarySets = this.loadLibrary(); // Conjuntos propios; localStorage es solo su copia guardada
+        
+        // Atajos de teclado para iniciar los recorridos
+        this.keyboardShortcuts = {
+            '1': 'preorder', '2': 'inorder', '3': 'postorder', '4': 'euler',
+            '5': 'evaluate', '6': 'stack', '7': 'shunting', '8': 'levelorder'
+        };
+        
+        // Simplificación y derivación simbólica; las constantes se pliegan con fracciones exactas
+        this.rewriter = new ExpressionRewriter(this.parser, (node) => {
+            const evaluation = this.core.evaluateTree(node, true);
+            return evaluation.error ? null : evaluation.value;
+        });
+        
+        // Claves de los títulos del panel de la máquina según el modo (null oculta la columna)
+        this.machineLayouts = {
+            stack: { title: 'machine.stack.title', stackTitle: 'machine.stack.stack', outputTitle: null },
+            shunting: { title: 'machine.shunting.title', stackTitle: 'machine.shunting.stack', outputTitle: 'machine.shunting.output' },
+            queue: { title: 'machine.queue.title', stackTitle: null, outputTitle: 'machine.queue.output' },
+            iterative: { title: 'machine.iterative.title', stackTitle: 'machine.iterative.stack', outputTitle: null },
+            rewrite: { title: 'machine.rewrite.title', stackTitle: null, outputTitle: null }
+        };
+        
+        // Claves de los nombres de los operadores para los lectores de pantalla
+        this.operatorNames = {
+            '+': 'operator.plus', '-': 'operator.minus', '*': 'operator.times',
+            '/': 'operator.divide', '^': 'operator.power', 'neg': 'operator.negate'
+        };
         
         // Inicializar componentes
         this.initializeElements();          // Obtener referencias a elementos DOM
+        this.applyLocale();                 // Textos de la página en el idioma elegido
         this.bindEvents();                  // Configurar event listeners
-        this.buildTree();                   // Construir el árbol de la expresión
+        this.restoreState(this.readHashState()); // Construir el árbol inicial con el estado de la URL
     }
 
     /**
@@ -25,12 +116,168 @@ class ExpressionTreeVisualizer {
         this.treeContainer = document.getElementById('tree');        // Contenedor del árbol visual
         this.resultDisplay = document.getElementById('resultDisplay'); // Panel de resultados
         this.stepsContainer = document.getElementById('steps');     // Contenedor de pasos
+        this.expressionDisplay = document.getElementById('expressionDisplay'); // Expresión mostrada
+        this.localeSelect = document.getElementById('localeSelect');   // Idioma de la interfaz
+        
+        // Formulario de entrada de la expresión
+        this.expressionForm = document.getElementById('expressionForm');   // Formulario de la expresión
+        this.expressionInput = document.getElementById('expressionInput'); // Campo de texto de la expresión
+        this.libraryBtn = document.getElementById('libraryBtn');           // Abrir la biblioteca
+        this.notationSelect = document.getElementById('notationSelect');   // Notación de la entrada
+        this.parseError = document.getElementById('parseError');           // Mensaje de error de análisis
+        
+        // Sin expresión escrita (o conservada por el navegador), se empieza por el primer ejemplo de la biblioteca
+        if (!this.expressionInput.value) this.expressionInput.value = this.library.defaultExpression();
+        
+        // Biblioteca de expresiones
+        this.libraryPanel = document.getElementById('libraryPanel');                 // Panel lateral
+        this.closeLibraryBtn = document.getElementById('closeLibraryBtn');           // Cerrar el panel
+        this.librarySetSelect = document.getElementById('librarySetSelect');         // Conjunto elegido
+        this.exportSetBtn = document.getElementById('exportSetBtn');                 // Descargar el conjunto
+        this.importSetInput = document.getElementById('importSetInput');             // Archivo a importar
+        this.deleteSetBtn = document.getElementById('deleteSetBtn');                 // Eliminar el conjunto
+        this.newSetNameInput = document.getElementById('newSetNameInput');           // Nombre del conjunto nuevo
+        this.newSetBtn = document.getElementById('newSetBtn');                       // Crear un conjunto
+        this.libraryTagFilter = document.getElementById('libraryTagFilter');         // Filtro por etiqueta
+        this.libraryDifficultyFilter = document.getElementById('libraryDifficultyFilter'); // Filtro por dificultad
+        this.libraryList = document.getElementById('libraryList');                   // Ejercicios del conjunto
+        this.librarySaveForm = document.getElementById('librarySaveForm');           // Guardar la expresión actual
+        this.libraryNameInput = document.getElementById('libraryNameInput');         // Nombre del ejercicio
+        this.libraryTagsInput = document.getElementById('libraryTagsInput');         // Etiquetas del ejercicio
+        this.libraryDifficultyInput = document.getElementById('libraryDifficultyInput'); // Dificultad del ejercicio
+        this.libraryMessage = document.getElementById('libraryMessage');             // Resultado de la última acción
+        
+        // Notaciones derivadas del árbol
+        this.prefixNotation = document.getElementById('prefixNotation');   // Notación prefija
+        this.infixNotation = document.getElementById('infixNotation');     // Notación infija
+        this.postfixNotation = document.getElementById('postfixNotation'); // Notación postfija
+        this.infixStyleSelect = document.getElementById('infixStyleSelect'); // Estilo de paréntesis infijo
+        
+        // Valores de las variables
+        this.bindingsPanel = document.getElementById('bindingsPanel');     // Panel de variables
+        this.bindingsList = document.getElementById('bindingsList');       // Un campo por variable
+        
+        // Exportación e importación
+        this.exportSvgBtn = document.getElementById('exportSvgBtn');     // Descargar SVG
+        this.exportPngBtn = document.getElementById('exportPngBtn');     // Descargar PNG
+        this.exportLatexBtn = document.getElementById('exportLatexBtn'); // Descargar LaTeX
+        this.exportJsonBtn = document.getElementById('exportJsonBtn');   // Descargar JSON
+        this.importJsonInput = document.getElementById('importJsonInput'); // Archivo JSON a importar
+        this.exportMessage = document.getElementById('exportMessage');   // Error de la última exportación
+        this.copyResultBtn = document.getElementById('copyResultBtn');   // Copiar el resultado actual
+        this.copyLinkBtn = document.getElementById('copyLinkBtn');       // Copiar el enlace con el estado actual
+        
+        // Editor interactivo del árbol
+        this.editModeBtn = document.getElementById('editModeBtn');           // Activar / desactivar la edición
+        this.editorPanel = document.getElementById('editorPanel');           // Panel de acciones de edición
+        this.editorSelection = document.getElementById('editorSelection');   // Nodo seleccionado
+        this.editorValueInput = document.getElementById('editorValueInput'); // Nuevo valor del nodo
+        this.editValueBtn = document.getElementById('editValueBtn');         // Cambiar el valor
+        this.editorSubtreeInput = document.getElementById('editorSubtreeInput'); // Subárbol de reemplazo
+        this.replaceSubtreeBtn = document.getElementById('replaceSubtreeBtn');   // Reemplazar el subárbol
+        this.deleteSubtreeBtn = document.getElementById('deleteSubtreeBtn');     // Eliminar el subárbol
+        this.swapChildrenBtn = document.getElementById('swapChildrenBtn');       // Intercambiar hijos
+        this.undoBtn = document.getElementById('undoBtn');                   // Deshacer
+        this.redoBtn = document.getElementById('redoBtn');                   // Rehacer
+        this.editorMessage = document.getElementById('editorMessage');       // Mensaje de la última edición
+        
+        // Modo de práctica
+        this.container = document.querySelector('.container');               // Contenedor de toda la página
+        this.accessibleModeCheckbox = document.getElementById('accessibleMode'); // Alto contraste sin animaciones
+        this.narration = document.getElementById('narration');               // Región aria-live que narra los pasos
+        this.quizModeBtn = document.getElementById('quizModeBtn');           // Abrir / cerrar la práctica
+        this.quizPanel = document.getElementById('quizPanel');               // Panel de práctica
+        this.quizDepth = document.getElementById('quizDepth');               // Profundidad del árbol aleatorio
+        this.quizTraversal = document.getElementById('quizTraversal');       // Recorrido que se pregunta
+        this.quizAnswerMode = document.getElementById('quizAnswerMode');     // Escribir o hacer clic
+        this.newQuizBtn = document.getElementById('newQuizBtn');             // Generar otro ejercicio
+        this.quizQuestion = document.getElementById('quizQuestion');         // Enunciado
+        this.quizAnswerInput = document.getElementById('quizAnswerInput');   // Respuesta escrita
+        this.quizClicks = document.getElementById('quizClicks');             // Nodos pulsados hasta ahora
+        this.quizUndoClickBtn = document.getElementById('quizUndoClickBtn'); // Quitar el último nodo pulsado
+        this.checkQuizBtn = document.getElementById('checkQuizBtn');         // Corregir la respuesta
+        this.quizSolutionBtn = document.getElementById('quizSolutionBtn');   // Animar el recorrido correcto
+        this.quizFeedback = document.getElementById('quizFeedback');         // Resultado de la corrección
+        this.quizScore = document.getElementById('quizScore');               // Puntuación acumulada
+        this.clearQuizHistoryBtn = document.getElementById('clearQuizHistoryBtn'); // Borrar el historial
+        this.quizHistory = document.getElementById('quizHistory');           // Últimos intentos
         
         // Botones de control
         this.preorderBtn = document.getElementById('preorderBtn');   // Botón para recorrido preorden
         this.inorderBtn = document.getElementById('inorderBtn');     // Botón para recorrido infijo
         this.postorderBtn = document.getElementById('postorderBtn'); // Botón para recorrido postorden
+        this.evaluateBtn = document.getElementById('evaluateBtn');   // Botón para evaluar la expresión
+        this.exactModeCheckbox = document.getElementById('exactMode'); // Modo de fracciones exactas
+        this.stackBtn = document.getElementById('stackBtn');         // Botón para la máquina de pila
+        this.shuntingBtn = document.getElementById('shuntingBtn');   // Botón para infija → postfija
+        this.eulerBtn = document.getElementById('eulerBtn');         // Botón para el recorrido de Euler
+        
+        // Botones de los demás recorridos, por tipo
+        this.extraTraversalButtons = {
+            levelorder: document.getElementById('levelorderBtn'),
+            reversePreorder: document.getElementById('reversePreorderBtn'),
+            reverseInorder: document.getElementById('reverseInorderBtn'),
+            reversePostorder: document.getElementById('reversePostorderBtn'),
+            iterativePreorder: document.getElementById('iterativePreorderBtn'),
+            iterativeInorder: document.getElementById('iterativeInorderBtn'),
+            iterativePostorder: document.getElementById('iterativePostorderBtn')
+        };
+        
+        // Transformaciones simbólicas
+        this.simplifyBtn = document.getElementById('simplifyBtn');           // Simplificar el árbol
+        this.deriveBtn = document.getElementById('deriveBtn');               // Derivar el árbol
+        this.deriveVariableInput = document.getElementById('deriveVariable'); // Variable de derivación
+        this.applyRewriteBtn = document.getElementById('applyRewriteBtn');   // Usar el árbol transformado
+        
+        // Comparación de recorridos y de expresiones
+        this.compareTraversalsBtn = document.getElementById('compareTraversalsBtn');     // Los tres recorridos a la vez
+        this.compareExpressionBtn = document.getElementById('compareExpressionBtn');     // Comparar con otra expresión
+        this.compareExpressionInput = document.getElementById('compareExpressionInput'); // Expresión B
+        
+        // Controles que muestran las notaciones del árbol: en el modo de práctica darían la respuesta
+        this.quizLockedControls = [this.preorderBtn, this.inorderBtn, this.postorderBtn, this.evaluateBtn,
+            this.stackBtn, this.shuntingBtn, this.eulerBtn, ...Object.values(this.extraTraversalButtons),
+            this.compareTraversalsBtn, this.simplifyBtn, this.deriveBtn, this.compareExpressionBtn,
+            this.compareExpressionInput, this.exportLatexBtn, this.exportJsonBtn,
+            this.librarySaveForm.querySelector('button[type="submit"]')];
+        this.comparisonPanel = document.getElementById('comparisonPanel');               // Panel de comparación
+        this.comparisonTitle = document.getElementById('comparisonTitle');               // Título según el modo
+        this.comparisonVerdict = document.getElementById('comparisonVerdict');           // Resultado de la comparación
+        this.comparisonColumns = document.getElementById('comparisonColumns');           // Una columna por árbol
+        
+        // Panel de la máquina de pila
+        this.machinePanel = document.getElementById('stackMachine');     // Contenedor del panel
+        this.machineTitle = document.getElementById('machineTitle');     // Título según el modo
+        this.machineRule = document.getElementById('machineRule');       // Regla aplicada en el paso
+        this.machineStackTitle = document.getElementById('machineStackTitle'); // Título de la pila
+        this.machineStack = document.getElementById('machineStack');     // Contenido de la pila
+        this.machineOutputColumn = document.getElementById('machineOutputColumn'); // Columna de la salida
+        this.machineOutputTitle = document.getElementById('machineOutputTitle'); // Título de la salida
+        this.machineOutput = document.getElementById('machineOutput');   // Cola de salida
+        
+        // Panel de la pila de llamadas
+        this.recursionPanel = document.getElementById('recursionPanel'); // Contenedor del panel
+        this.callStack = document.getElementById('callStack');           // Llamadas pendientes
+        this.pseudocode = document.getElementById('pseudocode');         // Algoritmo del recorrido
+        this.recursionLog = document.getElementById('recursionLog');     // Llamadas y retornos desde el paso anterior
         this.resetBtn = document.getElementById('resetBtn');         // Botón para reiniciar
+        
+        // Controles de reproducción
+        this.stepBackBtn = document.getElementById('stepBackBtn');       // Retroceder un paso
+        this.playPauseBtn = document.getElementById('playPauseBtn');     // Reproducir / pausar
+        this.stepForwardBtn = document.getElementById('stepForwardBtn'); // Avanzar un paso
+        this.speedSlider = document.getElementById('speedSlider');       // Velocidad de reproducción
+        this.speedLabel = document.getElementById('speedLabel');         // Velocidad mostrada
+        this.stepCounter = document.getElementById('stepCounter');       // Paso actual / total
+        this.recordBtn = document.getElementById('recordBtn');           // Grabar la animación
+        this.recordFormatSelect = document.getElementById('recordFormatSelect'); // GIF o ZIP de PNG
+        this.recordStatus = document.getElementById('recordStatus');     // Progreso de la grabación
+        
+        // Controles de la vista del árbol
+        this.zoomInBtn = document.getElementById('zoomInBtn');           // Ampliar
+        this.zoomOutBtn = document.getElementById('zoomOutBtn');         // Reducir
+        this.fitBtn = document.getElementById('fitBtn');                 // Ajustar a la pantalla
+        this.edgeStyleSelect = document.getElementById('edgeStyleSelect'); // Aristas rectas o curvas
     }
 
     /**
@@ -42,440 +289,3512 @@ class ExpressionTreeVisualizer {
         this.preorderBtn.addEventListener('click', () => this.startTraversal('preorder'));
         this.inorderBtn.addEventListener('click', () => this.startTraversal('inorder'));
         this.postorderBtn.addEventListener('click', () => this.startTraversal('postorder'));
-        this.resetBtn.addEventListener('click', () => this.reset());
+        this.evaluateBtn.addEventListener('click', () => this.startTraversal('evaluate'));
+        this.stackBtn.addEventListener('click', () => this.startTraversal('stack'));
+        this.shuntingBtn.addEventListener('click', () => this.startTraversal('shunting'));
+        this.eulerBtn.addEventListener('click', () => this.startTraversal('euler'));
+        Object.entries(this.extraTraversalButtons).forEach(([type, button]) => {
+            button.addEventListener('click', () => this.startTraversal(type));
+        });
+        this.resetBtn.addEventListener('click', () => {
+            this.reset();
+            this.saveState('push');
+        });
+        
+        // Transformaciones simbólicas
+        this.simplifyBtn.addEventListener('click', () => this.startRewrite('simplify'));
+        this.deriveBtn.addEventListener('click', () => this.startRewrite('derive'));
+        this.applyRewriteBtn.addEventListener('click', () => this.applyRewrite());
+        
+        // Comparar los tres recorridos o dos expresiones
+        this.compareTraversalsBtn.addEventListener('click', () => this.startTraversal('compare'));
+        this.compareExpressionBtn.addEventListener('click', () => this.compareExpression(this.compareExpressionInput.value));
+        this.compareExpressionInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.compareExpression(this.compareExpressionInput.value);
+        });
+        
+        // Controles de reproducción
+        this.playPauseBtn.addEventListener('click', () => this.togglePlayback());
+        this.stepBackBtn.addEventListener('click', () => this.stepBack());
+        this.stepForwardBtn.addEventListener('click', () => this.stepForward());
+        this.speedSlider.addEventListener('input', () => this.setSpeed(parseFloat(this.speedSlider.value)));
+        this.recordBtn.addEventListener('click', () => this.recordTraversal(this.recordFormatSelect.value));
+        
+        // Zoom, desplazamiento y estilo de las aristas
+        this.bindPanZoom();
+        this.zoomInBtn.addEventListener('click', () => this.zoomBy(1.25, this.svg.clientWidth / 2, this.svg.clientHeight / 2));
+        this.zoomOutBtn.addEventListener('click', () => this.zoomBy(0.8, this.svg.clientWidth / 2, this.svg.clientHeight / 2));
+        this.fitBtn.addEventListener('click', () => this.fitToScreen());
+        this.edgeStyleSelect.addEventListener('change', () => {
+            this.renderTree();
+            this.saveState();
+        });
+        
+        // Cambiar el idioma de la interfaz
+        this.localeSelect.addEventListener('change', () => this.setLocale(this.localeSelect.value));
+        
+        // Navegar con atrás/adelante entre estados guardados en la URL
+        window.addEventListener('popstate', () => this.restoreState(this.readHashState()));
+        this.copyLinkBtn.addEventListener('click', () => {
+            this.saveState();
+            this.copyText(window.location.href, this.copyLinkBtn);
+        });
+        
+        // Redibujar al cambiar el tamaño de la ventana
+        window.addEventListener('resize', () => this.handleResize());
+        
+        // Saltar a un paso al hacer clic en su etiqueta (también en las columnas de la comparación)
+        [this.stepsContainer, this.comparisonColumns].forEach(container => {
+            container.addEventListener('click', (event) => {
+                const stepElement = event.target.closest('.step');
+                if (stepElement) this.jumpToStep(parseInt(stepElement.dataset.step, 10));
+            });
+        });
+        
+        // Cambiar el estilo de paréntesis de la notación infija
+        this.infixStyleSelect.addEventListener('change', () => {
+            this.updateNotations();
+            if (this.currentTraversalType === 'inorder') {
+                this.resultDisplay.innerHTML = `<span class="result-text">${this.core.inorderResult(this.tree, this.infixStyleSelect.value)}</span>`;
+            }
+            this.saveState();
+        });
+        
+        // Asignar valores a las variables; si se está evaluando, repetir la evaluación
+        this.bindingsList.addEventListener('change', (event) => {
+            const input = event.target.closest('input[data-variable]');
+            if (!input) return;
+            this.bindings[input.dataset.variable] = input.value;
+            input.classList.toggle('invalid', input.value.trim() !== '' && !this.parser.isNumber(input.value.trim().replace(/^−/, '-')));
+            if (this.currentTraversalType === 'evaluate' || this.currentTraversalType === 'stack') {
+                this.startTraversal(this.currentTraversalType);
+            }
+        });
+        
+        // Exportar el árbol en distintos formatos
+        this.exportSvgBtn.addEventListener('click', () => this.exportSvg());
+        this.exportPngBtn.addEventListener('click', () => this.exportPng());
+        this.exportLatexBtn.addEventListener('click', () => this.exportLatex());
+        this.exportJsonBtn.addEventListener('click', () => this.exportJson());
+        this.importJsonInput.addEventListener('change', () => {
+            const file = this.importJsonInput.files[0];
+            if (file) this.importJson(file);
+            this.importJsonInput.value = '';                 // Permitir importar el mismo archivo otra vez
+        });
+        
+        // Copiar notaciones al portapapeles
+        document.querySelectorAll('[data-copy-target]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.copyText(document.getElementById(button.dataset.copyTarget).textContent, button);
+            });
+        });
+        this.copyResultBtn.addEventListener('click', () => {
+            if (this.currentTraversal) this.copyText(this.resultDisplay.innerText || this.resultDisplay.textContent, this.copyResultBtn);
+        });
+        
+        // Editor interactivo
+        this.bindEditor();
+        
+        // Modo de práctica
+        this.bindQuiz();
+        
+        // Biblioteca de expresiones
+        this.bindLibrary();
+        
+        // Teclado, atajos y accesibilidad
+        this.bindKeyboard();
+        
+        // Construir un nuevo árbol al enviar la expresión
+        this.expressionForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.buildTree(this.expressionInput.value, this.notationSelect.value);
+        });
+    }
+
+    /**
+     * Construye el árbol a partir de la expresión escrita por el usuario
+     * Si la expresión es inválida, muestra el error con su columna y conserva el árbol anterior
+     * @param {string} expression - Expresión, ej: (5∗10)/((3−8)+5) o / ∗ 5 10 + − 3 8 5
+     * @param {string} notation - Notación de la entrada: 'infix', 'prefix' o 'postfix'
+     * @returns {boolean} true si el árbol se construyó correctamente
+     */
+    buildTree(expression, notation = 'infix') {
+        let root;
+        try {
+            root = this.core.build(expression, notation);        // Analizador según la notación de entrada
+        } catch (error) {
+            if (!(error instanceof ExpressionParseError)) throw error;
+            this.showParseError(expression, error);
+            return false;
+        }
+
+        this.clearParseError();
+        this.clearHistory();                                     // Las ediciones anteriores ya no aplican
+        this.setTree(root, notation === 'infix' ? expression : null);
+        this.showExpression(expression.trim());
+        return true;
     }
 
     /**
-     * Construye el árbol de la expresión (5*10)/((3-8)+5)
-     * Crea todos los nodos y establece las relaciones padre-hijo
+     * Muestra la expresión del árbol en la cabecera
+     * @param {string} expression - Expresión tal como se escribió, ej: (5∗10)/((3−8)+5)
      */
-    buildTree() {
-        // Crear todos los nodos del árbol
-        const root = this.createNode('/', 'root');           // Nodo raíz: división principal
-        const multiply = this.createNode('*', 'multiply');  // Multiplicación: 5 * 10
-        const divide = this.createNode('/', 'divide');       // División: (3-8) / 5
-        const five1 = this.createNode('5', 'five1');        // Primer número 5
-        const ten = this.createNode('10', 'ten');           // Número 10
-        const add = this.createNode('+', 'add');            // Suma: (3-8) + 5
-        const subtract = this.createNode('-', 'subtract');  // Resta: 3 - 8
-        const three = this.createNode('3', 'three');        // Número 3
-        const eight = this.createNode('8', 'eight');        // Número 8
-        const five2 = this.createNode('5', 'five2');        // Segundo número 5
+    showExpression(expression) {
+        this.displayedExpression = expression;
+        this.expressionDisplay.textContent = this.t('expression.display', { expression: expression });
+    }
 
-        // Establecer la estructura jerárquica del árbol
-        // Nivel 1: Raíz
-        root.left = multiply;    // Hijo izquierdo: multiplicación
-        root.right = divide;     // Hijo derecho: división
-        
-        // Nivel 2: Hijos de la multiplicación
-        multiply.left = five1;   // Hijo izquierdo: 5
-        multiply.right = ten;    // Hijo derecho: 10
-        
-        // Nivel 2: Hijos de la división
-        divide.left = subtract;  // Hijo izquierdo: resta
-        divide.right = five2;   // Hijo derecho: 5
+    /**
+     * Reemplaza el árbol actual, lo renderiza y actualiza las notaciones
+     * @param {Object} root - Nodo raíz del nuevo árbol
+     * @param {string|null} infix - Expresión infija original, o null para derivarla del árbol
+     */
+    setTree(root, infix = null) {
+        this.reset();                                            // Detener cualquier recorrido en curso
         
-        // Nivel 3: Hijos de la resta
-        subtract.left = three;  // Hijo izquierdo: 3
-        subtract.right = eight; // Hijo derecho: 8
+        // Un árbol nuevo termina el ejercicio de práctica en curso
+        if (this.quiz) {
+            this.quiz = null;
+            this.updateQuizControls();
+        }
 
         // Asignar el árbol construido y renderizarlo
         this.tree = root;
+        this.sourceInfix = infix !== null ? infix : this.core.inorderResult(root, 'minimal');
+        this.showExpression(this.sourceInfix.trim());
         this.renderTree();
+        this.updateNotations();
+        this.updateBindings();
+        this.saveState('push');
+    }
+
+    /**
+     * Muestra las tres notaciones derivadas del árbol actual
+     */
+    updateNotations() {
+        this.prefixNotation.textContent = this.core.preorderResult(this.tree);
+        this.infixNotation.textContent = this.core.inorderResult(this.tree, this.infixStyleSelect.value);
+        this.postfixNotation.textContent = this.core.postorderResult(this.tree);
+    }
+
+    /**
+     * Muestra un campo por cada variable del árbol actual
+     * Los valores se conservan por nombre al cambiar de expresión
+     */
+    updateBindings() {
+        const names = [...new Set(
+            this.core.preorderTraversal(this.tree)
+                .filter(node => node.children.length === 0 && this.parser.isVariable(node.value))
+                .map(node => node.value)
+        )].sort();
+        
+        this.bindingsList.innerHTML = '';
+        names.forEach(name => {
+            const label = document.createElement('label');
+            label.className = 'binding';
+            label.textContent = `${name} = `;
+            
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.inputMode = 'decimal';
+            input.className = 'binding-input';
+            input.dataset.variable = name;
+            input.value = this.bindings[name] || '';
+            input.placeholder = '0';
+            label.appendChild(input);
+            
+            this.bindingsList.appendChild(label);
+        });
+        this.bindingsPanel.hidden = names.length === 0;
+    }
+
+    /**
+     * Muestra un error de análisis señalando la columna con un marcador ^
+     * @param {string} expression - Expresión que se intentó analizar
+     * @param {ExpressionParseError} error - Error producido por el analizador
+     */
+    showParseError(expression, error) {
+        this.parseError.innerHTML = '';
+        const message = document.createElement('p');
+        message.textContent = error.message;
+        this.parseError.appendChild(message);
+
+        // Los errores sin columna (ej: al importar JSON) no llevan marcador
+        if (error.position !== null) {
+            const marker = ' '.repeat(Math.max(error.position - 1, 0)) + '^';
+            const pointer = document.createElement('pre');
+            pointer.textContent = `${expression}\n${marker}`;
+            this.parseError.appendChild(pointer);
+        }
+
+        this.parseError.hidden = false;
+        this.expressionInput.classList.add('invalid');
+    }
+
+    /**
+     * Oculta el mensaje de error de análisis
+     */
+    clearParseError() {
+        this.parseError.innerHTML = '';
+        this.parseError.hidden = true;
+        this.expressionInput.classList.remove('invalid');
+    }
+
+    /**
+     * Lee el estado de la visualización guardado en el fragmento de la URL
+     * Ej: #expr=5*(3%2B4)&traversal=postorder&step=6&edges=curved&parens=minimal&speed=2
+     * @returns {Object} {expression, traversal, step (índice desde 0), variable, edges, parens, speed};
+     *                   null en lo que falte
+     */
+    readHashState() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const number = (name, parse) => {
+            const value = params.has(name) ? parse(params.get(name)) : NaN;
+            return Number.isNaN(value) ? null : value;
+        };
+        return {
+            expression: params.get('expr'),
+            traversal: params.get('traversal'),
+            step: number('step', text => parseInt(text, 10)),
+            variable: params.get('var'),
+            edges: params.get('edges'),
+            parens: params.get('parens'),
+            speed: number('speed', parseFloat)
+        };
+    }
+
+    /**
+     * Restaura un estado completo: árbol, estilos, velocidad, recorrido y paso
+     * Al iniciar y al navegar con atrás/adelante; lo que falte en el estado conserva su valor actual
+     * @param {Object} state - Estado leído con readHashState
+     */
+    restoreState(state) {
+        const hasOption = (select, value) => [...select.options].some(option => option.value === value);
+        const traversalTypes = ['preorder', 'inorder', 'postorder', 'evaluate', 'stack', 'shunting', 'euler',
+            ...Object.keys(this.extraTraversalButtons), 'compare', 'simplify', 'derive'];
+        
+        this.restoringState = true;             // No generar entradas de historial mientras se restaura
+        try {
+            if (state.edges && hasOption(this.edgeStyleSelect, state.edges)) this.edgeStyleSelect.value = state.edges;
+            if (state.parens && hasOption(this.infixStyleSelect, state.parens)) this.infixStyleSelect.value = state.parens;
+            if (state.speed !== null) {
+                this.speedSlider.value = state.speed;               // El control ajusta el valor a su rango
+                this.setSpeed(parseFloat(this.speedSlider.value));
+            }
+            
+            // El árbol solo se reconstruye si cambió la expresión (así se conserva el historial de ediciones)
+            if (state.expression === null) {
+                if (!this.tree) this.buildTree(this.expressionInput.value, this.notationSelect.value);
+            } else if (!this.tree || state.expression !== this.sourceInfix.trim()) {
+                if (!this.tree) this.buildTree(this.library.defaultExpression(), 'infix');   // Por si el enlace no es válido
+                this.notationSelect.value = 'infix';
+                this.expressionInput.value = state.expression;
+                this.buildTree(state.expression, 'infix');        // Si falla, muestra el error y conserva el árbol
+            } else {
+                this.updateNotations();                           // Puede haber cambiado el estilo de paréntesis
+            }
+            
+            // Recorrido en pausa en el paso guardado (o desde el principio si no hay paso)
+            if (traversalTypes.includes(state.traversal)) {
+                if (state.traversal === 'simplify' || state.traversal === 'derive') {
+                    if (state.variable) this.deriveVariableInput.value = state.variable;
+                    this.startRewrite(state.traversal);
+                } else {
+                    this.startTraversal(state.traversal);
+                }
+                if (this.currentTraversal && state.step !== null) this.jumpToStep(state.step);
+            } else {
+                this.reset();
+            }
+        } finally {
+            this.restoringState = false;
+        }
+        this.saveState();
+    }
+
+    /**
+     * Guarda el estado actual en el fragmento de la URL
+     * Cambiar de árbol o de recorrido crea una entrada nueva en el historial del navegador
+     * (para volver con atrás); avanzar pasos o cambiar estilos y velocidad solo actualiza la actual
+     * @param {string} mode - 'push' (entrada nueva) o 'replace' (actualizar la entrada actual)
+     */
+    saveState(mode = 'replace') {
+        // En la práctica la URL revelaría la expresión del ejercicio
+        if (this.restoringState || this.quizMode || !this.tree) return;
+        
+        const params = new URLSearchParams();
+        params.set('expr', this.sourceInfix.trim());
+        if (this.currentTraversal) {
+            params.set('traversal', this.currentTraversalType);
+            params.set('step', this.currentStep);
+            if (this.rewrite && this.rewrite.type === 'derive') params.set('var', this.rewrite.variable);
+        }
+        params.set('edges', this.edgeStyleSelect.value);
+        params.set('parens', this.infixStyleSelect.value);
+        params.set('speed', this.speed);
+        
+        const hash = `#${params}`;
+        if (hash === window.location.hash) return;
+        if (mode === 'push') {
+            history.pushState(null, '', hash);
+        } else {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    /**
+     * Traduce un mensaje del catálogo al idioma de la interfaz
+     * @param {string} key - Clave del mensaje, ej: "playback.step"
+     * @param {Object} params - Valores de los parámetros del mensaje
+     * @returns {string} Mensaje traducido
+     */
+    t(key, params = {}) {
+        return this.i18n.t(key, params);
+    }
+
+    /**
+     * Lee el idioma guardado; la primera vez se toma el del navegador
+     * @returns {string} Código del idioma, ej: 'es' o 'en'
+     */
+    loadLocale() {
+        try {
+            const locale = localStorage.getItem(this.localeKey);
+            if (locale) return locale;
+        } catch (error) {
+            // Almacenamiento no disponible: se usa el idioma del navegador
+        }
+        return Translator.match(navigator.languages || [navigator.language]);
+    }
+
+    /**
+     * Guarda el idioma elegido; si el navegador no lo permite, solo dura esta sesión
+     * @param {string} locale - Código del idioma
+     */
+    saveLocale(locale) {
+        try {
+            localStorage.setItem(this.localeKey, locale);
+        } catch (error) {
+            // Almacenamiento lleno o desactivado
+        }
+    }
+
+    /**
+     * Traduce los textos fijos de la página: cada elemento indica con data-i18n la clave de su texto,
+     * con data-i18n-html la de su contenido con marcado y con data-i18n-title, data-i18n-placeholder
+     * y data-i18n-label las de sus atributos
+     */
+    applyLocale() {
+        document.documentElement.lang = this.i18n.locale;
+        this.localeSelect.value = this.i18n.locale;
+        
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml);     // Solo mensajes del catálogo
+        });
+        const attributes = { i18nTitle: 'title', i18nPlaceholder: 'placeholder', i18nLabel: 'aria-label' };
+        Object.entries(attributes).forEach(([data, attribute]) => {
+            const selector = `[data-${data.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}]`;
+            document.querySelectorAll(selector).forEach(element => {
+                element.setAttribute(attribute, this.t(element.dataset[data]));
+            });
+        });
+        
+        this.speedLabel.textContent = `${this.i18n.formatNumber(this.speed)}×`;
+        this.updatePlaybackControls();
+    }
+
+    /**
+     * Cambia el idioma de la interfaz y lo recuerda para las próximas visitas
+     * Los textos generados (descripciones de los nodos, pasos, reglas y resultados) se vuelven
+     * a calcular, y el recorrido en curso sigue en el mismo paso
+     * @param {string} locale - Código del idioma, ej: 'es' o 'en'
+     */
+    setLocale(locale) {
+        this.i18n.setLocale(locale);
+        this.saveLocale(this.i18n.locale);
+        this.applyLocale();
+        
+        if (this.displayedExpression) this.showExpression(this.displayedExpression);
+        this.updateEditorControls();
+        this.updateQuizControls();
+        this.renderQuizHistory();
+        this.renderLibrary();                                    // Nombres y etiquetas de los ejemplos
+        if (!this.tree) return;
+        this.renderTree();                                       // Descripciones de los nodos
+        
+        if (!this.currentTraversal) {
+            // Mensaje inicial de resultados (la comparación de expresiones ya se rehízo al redibujar)
+            if (this.comparedExpression === null) this.reset();
+            return;
+        }
+        
+        // Rehacer el recorrido en el nuevo idioma sin crear una entrada en el historial
+        const step = this.currentStep;
+        const playing = this.isAnimating;
+        this.restoringState = true;
+        try {
+            if (this.rewrite) {
+                this.deriveVariableInput.value = this.rewrite.variable;
+                this.startRewrite(this.rewrite.type);
+            } else {
+                this.startTraversal(this.currentTraversalType);
+            }
+            this.jumpToStep(step);
+        } finally {
+            this.restoringState = false;
+        }
+        if (playing) this.play();
     }
 
     /**
      * Crea un nuevo nodo del árbol
-     * @param {string} value - El valor del nodo (operador o número)
+     * @param {string} value - El valor del nodo (operador, función, número o variable)
      * @param {string} id - Identificador único del nodo
      * @returns {Object} Objeto nodo con sus propiedades
      */
     createNode(value, id) {
         return {
-            value: value,        // Valor del nodo (ej: '+', '5', '/')
+            value: value,        // Valor del nodo (ej: '+', '5', 'max', 'x')
             id: id,             // ID único para identificar el nodo
-            left: null,         // Referencia al hijo izquierdo
-            right: null,        // Referencia al hijo derecho
+            children: [],       // Hijos de izquierda a derecha (tantos como la aridad)
             element: null       // Referencia al elemento DOM (se asignará después)
         };
     }
 
     /**
-     * Renderiza el árbol completo en el DOM
-     * Limpia el contenedor y crea todos los elementos visuales
+     * Renderiza el árbol completo como SVG
+     * Calcula la disposición, dibuja aristas y nodos, y ajusta la vista al contenedor
+     */
+    renderTree() {
+        // Al redibujar se pierde el foco: recordarlo para devolverlo al mismo nodo
+        const hadFocus = this.treeContainer.contains(document.activeElement);
+        
+        // Limpiar el contenedor del árbol
+        this.treeContainer.innerHTML = '';
+        
+        // Calcular la posición de cada nodo con el algoritmo de Reingold–Tilford
+        this.layout = this.computeLayout(this.tree);
+        
+        // Estructura: <svg> → <g viewport> (zoom y desplazamiento) → aristas y nodos
+        this.svg = this.createSvgElement('svg', { class: 'tree-svg', role: 'tree', 'aria-label': this.t('tree.label') });
+        this.svg.appendChild(this.createGradients());
+        this.viewport = this.createSvgElement('g', { class: 'viewport', role: 'none' });
+        const edgesLayer = this.createSvgElement('g', { class: 'edges', 'aria-hidden': 'true' });
+        const nodesLayer = this.createSvgElement('g', { class: 'nodes', role: 'none' });
+        this.viewport.appendChild(edgesLayer);
+        this.viewport.appendChild(nodesLayer);
+        this.svg.appendChild(this.viewport);
+        
+        // Dibujar primero las aristas para que queden detrás de los nodos
+        this.createConnectionLines(this.tree, edgesLayer);
+        this.core.preorderTraversal(this.tree).forEach(node => {
+            nodesLayer.appendChild(this.createNodeElement(node, this.layout.positions.get(node.id)));
+        });
+        
+        this.treeContainer.appendChild(this.svg);
+        this.applyTreeSemantics();
+        if (hadFocus) this.focusNode(this.focusedNodeId);
+        this.fitToScreen();
+        this.highlightSelection();
+        
+        // Las copias del panel de comparación siguen al árbol (y a su estilo de aristas)
+        if (this.comparison) this.comparison = this.buildTraversalComparison();
+        if (this.comparedExpression !== null) this.compareExpression(this.comparedExpression);
+        
+        // Si había un recorrido en curso, volver a aplicar su estado visual
+        if (this.currentTraversal) {
+            this.renderStep();
+        }
+    }
+
+    /**
+     * Crea un elemento SVG con sus atributos
+     * @param {string} tag - Nombre de la etiqueta SVG
+     * @param {Object} attributes - Atributos a asignar
+     * @returns {SVGElement} Elemento creado
+     */
+    createSvgElement(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    /**
+     * Crea los degradados usados para rellenar los nodos según su estado
+     * @returns {SVGElement} Elemento <defs> con los degradados
+     */
+    createGradients() {
+        const defs = this.createSvgElement('defs');
+        const gradients = {
+            'gradient-node': ['#e2e8f0', '#cbd5e0'],       // Nodo normal
+            'gradient-current': ['#fef5e7', '#fed7aa'],    // Nodo actual
+            'gradient-visited': ['#c6f6d5', '#9ae6b4']     // Nodo visitado
+        };
+        
+        Object.entries(gradients).forEach(([id, [from, to]]) => {
+            const gradient = this.createSvgElement('linearGradient', { id: id, x1: '0', y1: '0', x2: '1', y2: '1' });
+            gradient.appendChild(this.createSvgElement('stop', { offset: '0%', 'stop-color': from }));
+            gradient.appendChild(this.createSvgElement('stop', { offset: '100%', 'stop-color': to }));
+            defs.appendChild(gradient);
+        });
+        
+        return defs;
+    }
+
+    /**
+     * Dibuja una copia de un árbol para el panel de comparación, escalada al ancho de su columna
+     * Los IDs llevan un prefijo para no chocar con los del árbol principal ni con los de las otras copias;
+     * los degradados son los del árbol principal
+     * @param {Object} tree - Raíz del árbol
+     * @param {string} prefix - Prefijo de los IDs, ej: "cmp-inorder-"
+     * @returns {SVGElement} SVG de la copia (decorativo: los pasos de cada columna dan el texto)
+     */
+    buildTreeCopy(tree, prefix) {
+        const layout = this.computeLayout(tree);
+        const svg = this.createSvgElement('svg', {
+            class: 'tree-copy',
+            viewBox: `0 0 ${layout.width} ${layout.height}`,
+            'aria-hidden': 'true'
+        });
+        const edgesLayer = this.createSvgElement('g', { class: 'edges' });
+        const nodesLayer = this.createSvgElement('g', { class: 'nodes' });
+        svg.appendChild(edgesLayer);
+        svg.appendChild(nodesLayer);
+        
+        this.createConnectionLines(tree, edgesLayer, layout, prefix);
+        this.core.preorderTraversal(tree).forEach(node => {
+            nodesLayer.appendChild(this.createNodeElement(node, layout.positions.get(node.id), prefix));
+        });
+        return svg;
+    }
+
+    /**
+     * Une nombres en una enumeración según el idioma: "a", "a y b", "a, b y c"
+     * @param {Array} names - Nombres a unir
+     * @returns {string} Enumeración en texto
+     */
+    joinNames(names) {
+        return this.i18n.formatList(names);
+    }
+
+    /**
+     * Calcula la disposición ordenada (tidy tree) del árbol
+     * Cada subárbol se coloca lo más cerca posible de su hermano izquierdo sin que
+     * sus contornos se solapen, y cada padre queda centrado sobre sus hijos
+     * @param {Object} tree - Nodo raíz
+     * @returns {Object} {positions, width, height}: coordenadas por ID de nodo y tamaño total
+     */
+    computeLayout(tree) {
+        const offsets = new Map();                   // Desplazamiento horizontal de cada nodo respecto a su padre
+        this.layoutSubtree(tree, offsets);
+        
+        // Convertir desplazamientos relativos en coordenadas absolutas (en unidades)
+        const units = new Map();
+        const place = (node, x, depth) => {
+            units.set(node.id, { x: x, depth: depth });
+            this.core.nodeChildren(node).forEach(child => place(child, x + offsets.get(child.id), depth + 1));
+        };
+        place(tree, 0, 0);
+        
+        const allUnits = [...units.values()];
+        const minX = Math.min(...allUnits.map(unit => unit.x));
+        const maxX = Math.max(...allUnits.map(unit => unit.x));
+        const maxDepth = Math.max(...allUnits.map(unit => unit.depth));
+        
+        // Escalar a píxeles, dejando un margen para los círculos y las etiquetas
+        const margin = this.nodeRadius + 20;
+        const positions = new Map();
+        units.forEach((unit, id) => {
+            positions.set(id, {
+                x: margin + (unit.x - minX) * this.horizontalSpacing,
+                y: margin + unit.depth * this.levelHeight
+            });
+        });
+        
+        return {
+            positions: positions,
+            width: 2 * margin + (maxX - minX) * this.horizontalSpacing,
+            height: 2 * margin + maxDepth * this.levelHeight
+        };
+    }
+
+    /**
+     * Dispone recursivamente un subárbol y devuelve su contorno
+     * El contorno guarda, para cada nivel, la posición más a la izquierda y más a la derecha
+     * @param {Object} node - Raíz del subárbol
+     * @param {Map} offsets - Desplazamientos de cada hijo respecto a su padre (se completa aquí)
+     * @returns {Object} {left, right}: contornos por nivel, relativos a la raíz del subárbol
+     */
+    layoutSubtree(node, offsets) {
+        const children = this.core.nodeChildren(node);
+        if (children.length === 0) return { left: [0], right: [0] };  // Caso base: hoja
+        
+        const contours = children.map(child => this.layoutSubtree(child, offsets));
+        
+        // Colocar cada hijo a la derecha del anterior, separados al menos una unidad en cada nivel
+        const positions = [0];
+        const merged = { left: [...contours[0].left], right: [...contours[0].right] };
+        
+        for (let i = 1; i < contours.length; i++) {
+            const contour = contours[i];
+            const commonDepth = Math.min(merged.right.length, contour.left.length);
+            let shift = -Infinity;
+            for (let depth = 0; depth < commonDepth; depth++) {
+                shift = Math.max(shift, merged.right[depth] - contour.left[depth] + 1);
+            }
+            positions.push(shift);
+            
+            // Combinar contornos: el nuevo hijo define el borde derecho de los niveles compartidos
+            contour.left.forEach((left, depth) => {
+                if (depth >= merged.left.length) merged.left[depth] = left + shift;
+                merged.right[depth] = contour.right[depth] + shift;
+            });
+        }
+        
+        // Centrar el padre sobre su primer y último hijo
+        const center = (positions[0] + positions[positions.length - 1]) / 2;
+        children.forEach((child, i) => offsets.set(child.id, positions[i] - center));
+        
+        return {
+            left: [0, ...merged.left.map(x => x - center)],
+            right: [0, ...merged.right.map(x => x - center)]
+        };
+    }
+
+    /**
+     * Crea el elemento SVG de un nodo
+     * @param {Object} node - El nodo a renderizar
+     * @param {Object} position - Coordenadas {x, y} del centro del nodo
+     * @param {string} prefix - Prefijo de los IDs (solo en las copias del panel de comparación)
+     * @returns {SVGElement} Grupo SVG del nodo
+     */
+    createNodeElement(node, position, prefix = '') {
+        // El grupo exterior posiciona; el interior recibe las clases de estado y animaciones
+        const nodeGroup = this.createSvgElement('g', {
+            class: 'node',
+            id: `${prefix}node-${node.id}`,
+            transform: `translate(${position.x}, ${position.y})`
+        });
+        
+        const circle = this.createSvgElement('g', { class: 'node-circle', id: `${prefix}circle-${node.id}` });
+        circle.appendChild(this.createSvgElement('circle', { r: this.nodeRadius }));
+        
+        // Reducir la fuente para valores largos (ej: decimales)
+        const label = this.createSvgElement('text', {
+            class: 'node-label',
+            'text-anchor': 'middle',
+            'dominant-baseline': 'central',
+            'font-size': Math.max(10, 18 - Math.max(0, node.value.length - 3) * 2)
+        });
+        label.textContent = node.value;  // Mostrar el valor (operador o número)
+        circle.appendChild(label);
+        
+        nodeGroup.appendChild(circle);
+        if (!prefix) node.element = circle;  // Guardar referencia para animaciones (la del árbol principal)
+        
+        return nodeGroup;
+    }
+
+    /**
+     * Crea las aristas recursivamente para un nodo y sus hijos
+     * @param {Object} node - El nodo actual
+     * @param {SVGElement} layer - Capa SVG donde se dibujan las aristas
+     * @param {Object} layout - Posiciones de los nodos (por defecto, las del árbol principal)
+     * @param {string} prefix - Prefijo de los IDs (solo en las copias del panel de comparación)
+     */
+    createConnectionLines(node, layer, layout = this.layout, prefix = '') {
+        if (!node) return;  // Caso base: nodo nulo
+        
+        this.core.nodeChildren(node).forEach(child => {
+            layer.appendChild(this.drawConnection(node, child, layout, prefix));
+            this.createConnectionLines(child, layer, layout, prefix);  // Recursión para cada hijo
+        });
+    }
+
+    /**
+     * Dibuja la arista entre un nodo padre y su hijo, recta o curva según la opción elegida
+     * @param {Object} parent - Nodo padre
+     * @param {Object} child - Nodo hijo
+     * @param {Object} layout - Posiciones de los nodos (por defecto, las del árbol principal)
+     * @param {string} prefix - Prefijo de los IDs (solo en las copias del panel de comparación)
+     * @returns {SVGElement} Trazo SVG de la arista
+     */
+    drawConnection(parent, child, layout = this.layout, prefix = '') {
+        const from = layout.positions.get(parent.id);
+        const to = layout.positions.get(child.id);
+        
+        let path;
+        if (this.edgeStyleSelect.value === 'curved') {
+            // Curva cúbica que sale vertical del padre y llega vertical al hijo
+            const middleY = (from.y + to.y) / 2;
+            path = `M ${from.x} ${from.y} C ${from.x} ${middleY}, ${to.x} ${middleY}, ${to.x} ${to.y}`;
+        } else {
+            path = `M ${from.x} ${from.y} L ${to.x} ${to.y}`;
+        }
+        
+        return this.createSvgElement('path', {
+            class: 'connection-line',
+            id: `${prefix}edge-${parent.id}-${child.id}`,
+            d: path
+        });
+    }
+
+    /**
+     * Aplica la transformación de zoom y desplazamiento a la vista
+     */
+    applyViewTransform() {
+        if (!this.viewport) return;
+        const { x, y, scale } = this.view;
+        this.viewport.setAttribute('transform', `translate(${x}, ${y}) scale(${scale})`);
+    }
+
+    /**
+     * Ajusta el zoom para que el árbol completo quepa en el contenedor
+     */
+    fitToScreen() {
+        if (!this.svg || !this.layout) return;
+        
+        const width = this.svg.clientWidth;
+        const height = this.svg.clientHeight;
+        
+        // Sin tamaño (ej: contenedor oculto) se usa la escala natural
+        if (!width || !height) {
+            this.view = { x: 0, y: 0, scale: 1, fitted: true };
+        } else {
+            const scale = Math.min(width / this.layout.width, height / this.layout.height, this.maxFitScale);
+            this.view = {
+                x: (width - this.layout.width * scale) / 2,
+                y: (height - this.layout.height * scale) / 2,
+                scale: scale,
+                fitted: true                    // Se vuelve a ajustar al cambiar el tamaño de la ventana
+            };
+        }
+        
+        this.applyViewTransform();
+    }
+
+    /**
+     * Adapta la vista al nuevo tamaño de la ventana
+     * Solo se reajusta si la vista sigue ajustada automáticamente; si el usuario hizo zoom
+     * o desplazó el árbol, se conserva su vista y solo se impide que el árbol quede fuera
+     */
+    handleResize() {
+        if (!this.view || this.view.fitted) {
+            this.fitToScreen();
+            return;
+        }
+        
+        const width = this.svg.clientWidth;
+        const height = this.svg.clientHeight;
+        if (!width || !height) return;
+        
+        // Queda visible al menos la mitad del árbol o de la vista, lo que sea menor
+        const clamp = (offset, size, available) => {
+            const margin = Math.min(size, available) / 2;
+            return Math.min(Math.max(offset, margin - size), available - margin);
+        };
+        this.view.x = clamp(this.view.x, this.layout.width * this.view.scale, width);
+        this.view.y = clamp(this.view.y, this.layout.height * this.view.scale, height);
+        this.applyViewTransform();
+    }
+
+    /**
+     * Amplía o reduce la vista manteniendo fijo un punto de la pantalla
+     * @param {number} factor - Factor de zoom (>1 amplía, <1 reduce)
+     * @param {number} centerX - Coordenada X del punto fijo dentro del SVG
+     * @param {number} centerY - Coordenada Y del punto fijo dentro del SVG
+     */
+    zoomBy(factor, centerX, centerY) {
+        if (!this.view) return;
+        
+        const scale = Math.min(Math.max(this.view.scale * factor, this.minScale), this.maxScale);
+        const ratio = scale / this.view.scale;
+        
+        this.view = {
+            x: centerX - (centerX - this.view.x) * ratio,
+            y: centerY - (centerY - this.view.y) * ratio,
+            scale: scale,
+            fitted: false
+        };
+        this.applyViewTransform();
+    }
+
+    /**
+     * Configura el zoom con la rueda del ratón y el desplazamiento arrastrando
+     * Los eventos se registran en el contenedor, que se conserva entre renderizados
+     */
+    bindPanZoom() {
+        let drag = null;  // Punto de inicio del arrastre
+        
+        this.treeContainer.addEventListener('wheel', (event) => {
+            if (!this.svg) return;
+            event.preventDefault();
+            const rect = this.svg.getBoundingClientRect();
+            this.zoomBy(Math.exp(-event.deltaY * 0.001), event.clientX - rect.left, event.clientY - rect.top);
+        }, { passive: false });
+        
+        this.treeContainer.addEventListener('pointerdown', (event) => {
+            // Solo se arrastra desde el fondo, no desde los nodos
+            if (!this.view || event.target.closest('.node')) return;
+            drag = { x: event.clientX - this.view.x, y: event.clientY - this.view.y };
+            this.treeContainer.classList.add('panning');
+        });
+        
+        window.addEventListener('pointermove', (event) => {
+            if (!drag) return;
+            this.view.x = event.clientX - drag.x;
+            this.view.y = event.clientY - drag.y;
+            this.view.fitted = false;
+            this.applyViewTransform();
+        });
+        
+        window.addEventListener('pointerup', () => {
+            drag = null;
+            this.treeContainer.classList.remove('panning');
+        });
+    }
+
+    /**
+     * Descarga un archivo generado en el navegador
+     * @param {string} filename - Nombre del archivo
+     * @param {Blob|string} content - Contenido del archivo
+     * @param {string} mimeType - Tipo MIME (si el contenido es texto)
+     */
+    downloadFile(filename, content, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Copia un texto al portapapeles y lo indica brevemente en el botón
+     * @param {string} text - Texto a copiar
+     * @param {HTMLElement} button - Botón que se pulsó
+     */
+    copyText(text, button) {
+        const showResult = (copied) => {
+            // Una pulsación anterior aún no restauró el texto: se conserva el original y se reinicia la espera
+            const pending = this.copyFeedback.get(button);
+            if (pending) clearTimeout(pending.timer);
+            const original = pending ? pending.original : button.textContent;
+            
+            button.textContent = this.t(copied ? 'action.copied' : 'action.copyFailed');
+            const timer = setTimeout(() => {
+                button.textContent = original;
+                this.copyFeedback.delete(button);
+            }, 1500);
+            this.copyFeedback.set(button, { original: original, timer: timer });
+        };
+        
+        // Alternativa para navegadores sin la API del portapapeles o sin permiso para usarla
+        const copyWithSelection = () => {
+            const area = document.createElement('textarea');
+            area.value = text;
+            document.body.appendChild(area);
+            area.select();
+            let copied;
+            try {
+                copied = document.execCommand('copy');
+            } catch (error) {
+                copied = false;
+            }
+            area.remove();
+            return copied;
+        };
+        
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).then(() => showResult(true), () => showResult(copyWithSelection()));
+            return;
+        }
+        showResult(copyWithSelection());
+    }
+
+    /**
+     * Reglas de estilo incrustadas en el SVG exportado, para que se vea igual fuera de la página
+     * @returns {string} Hoja de estilos CSS
+     */
+    standaloneSvgStyles() {
+        return [
+            '.connection-line { fill: none; stroke: #4a5568; stroke-width: 2; }',
+            '.connection-line.highlighted { stroke: #f687b3; stroke-width: 4; }',
+            '.connection-line.returned { stroke: #9ae6b4; stroke-width: 3; stroke-dasharray: 6 4; }',
+            '.node-circle circle { fill: url(#gradient-node); stroke: #a0aec0; stroke-width: 1.5; }',
+            '.node-circle.current circle { fill: url(#gradient-current); stroke: #ed8936; }',
+            '.node-circle.visited circle { fill: url(#gradient-visited); stroke: #48bb78; }',
+            '.node-label { font-family: Arial, sans-serif; font-weight: bold; fill: #2d3748; }',
+            '.node-circle.current .node-label { fill: #c05621; }',
+            '.node-circle.visited .node-label { fill: #22543d; }',
+            '.node-value rect { fill: #faf5ff; stroke: #d6bcfa; }',
+            '.node-value text { font-family: Arial, sans-serif; font-size: 14px; font-weight: bold; fill: #553c9a; }',
+            '.node-value.error rect { fill: #fff5f5; stroke: #feb2b2; }',
+            '.node-value.error text { fill: #c53030; }',
+            '.moment-badge { font-family: Arial, sans-serif; font-size: 11px; font-weight: bold; }',
+            '.moment-badge.pre { fill: #3182ce; } .moment-badge.in { fill: #718096; } .moment-badge.post { fill: #38a169; }'
+        ].join('\n');
+    }
+
+    /**
+     * Genera un SVG independiente del árbol, con el estado visual actual y sin zoom
+     * @returns {string} Documento SVG serializado
+     */
+    buildStandaloneSvg() {
+        const svg = this.svg.cloneNode(true);
+        const { width, height } = this.layout;
+        
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.removeAttribute('class');
+        svg.querySelector('.viewport').removeAttribute('transform');
+        
+        // Fondo blanco y estilos incrustados
+        const style = this.createSvgElement('style');
+        style.textContent = this.standaloneSvgStyles();
+        svg.insertBefore(style, svg.firstChild);
+        svg.insertBefore(this.createSvgElement('rect', { width: width, height: height, fill: 'white' }), svg.querySelector('.viewport'));
+        
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+    }
+
+    /**
+     * Descarga el árbol como archivo SVG
+     */
+    exportSvg() {
+        this.downloadFile(`${this.t('export.filename')}.svg`, this.buildStandaloneSvg(), 'image/svg+xml');
+    }
+
+    /**
+     * Descarga una imagen PNG del árbol (a doble resolución)
+     */
+    exportPng() {
+        const scale = 2;
+        this.exportMessage.hidden = true;
+        this.loadSvgImage(this.buildStandaloneSvg()).then(image => {
+            const canvas = document.createElement('canvas');
+            canvas.width = this.layout.width * scale;
+            canvas.height = this.layout.height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0);
+            
+            canvas.toBlob(blob => this.downloadFile(`${this.t('export.filename')}.png`, blob));
+        }).catch(error => {
+            this.exportMessage.textContent = error.message;  // El árbol no se pudo cargar como imagen
+            this.exportMessage.hidden = false;
+        });
+    }
+
+    /**
+     * Carga un SVG serializado como imagen, para dibujarlo en un canvas
+     * @param {string} svg - Documento SVG (ej: el de buildStandaloneSvg)
+     * @returns {Promise<HTMLImageElement>} Imagen cargada
+     */
+    loadSvgImage(svg) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(this.t('record.imageError')));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Graba la animación del recorrido actual y la descarga como GIF animado o como ZIP de PNG
+     * Cada paso dura lo mismo que en la reproducción (según la velocidad elegida)
+     * @param {string} format - 'gif' o 'zip'
+     */
+    async recordTraversal(format) {
+        if (!this.currentTraversal || this.recording) return;
+        
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        if (!context) {
+            this.recordStatus.textContent = this.t('record.unsupported');
+            return;
+        }
+        
+        // Capturar cada estado de la animación de una vez y volver al paso en que estaba la página
+        const resume = { step: this.currentStep, playing: this.isAnimating };
+        this.pause();
+        const states = [];
+        for (let step = 0; step <= this.currentTraversal.length; step++) {
+            this.currentStep = step;
+            this.renderStep();
+            states.push(this.captureFrameState());
+        }
+        const header = this.expressionDisplay.textContent;
+        const result = this.resultLines();
+        this.currentStep = resume.step;
+        this.renderStep();
+        if (resume.playing) this.play();
+        
+        this.recording = true;
+        this.updatePlaybackControls();
+        try {
+            const scale = this.recordScale[format];
+            const frame = this.layoutFrames(context, states, header, result);
+            canvas.width = frame.width * scale;
+            canvas.height = frame.height * scale;
+            
+            const delay = this.stepDelay();
+            const filename = this.t('record.filename');
+            const gif = format === 'gif' ? new GifEncoder(canvas.width, canvas.height) : null;
+            const zip = format === 'zip' ? new ZipWriter() : null;
+            
+            for (let index = 0; index < states.length; index++) {
+                this.recordStatus.textContent = this.t('record.progress', { frame: index + 1, total: states.length });
+                const image = await this.loadSvgImage(states[index].svg);
+                context.setTransform(scale, 0, 0, scale, 0, 0);
+                this.drawFrame(context, frame, states[index], index, image);
+                
+                if (gif) {
+                    const last = index === states.length - 1;
+                    gif.addFrame(context.getImageData(0, 0, canvas.width, canvas.height).data, last ? delay * this.recordFinalHold : delay);
+                } else {
+                    const blob = await new Promise(resolve => canvas.toBlob(resolve));
+                    const number = String(index + 1).padStart(String(states.length).length, '0');
+                    zip.addFile(`${filename}/${filename}-${number}.png`, new Uint8Array(await blob.arrayBuffer()));
+                }
+            }
+            
+            this.downloadFile(`${filename}.${format}`, gif ? gif.finish() : zip.finish(), gif ? 'image/gif' : 'application/zip');
+            this.recordStatus.textContent = this.t('record.done', { count: states.length });
+        } catch (error) {
+            this.recordStatus.textContent = error.message;   // El árbol no se pudo cargar como imagen
+        } finally {
+            this.recording = false;
+            this.updatePlaybackControls();
+        }
+    }
+
+    /**
+     * Lo que muestra la página en el paso actual: el árbol resaltado, la lista de pasos y el contador
+     * @returns {Object} {svg, width, height, counter, steps: [{text, state}]}
+     */
+    captureFrameState() {
+        return {
+            svg: this.buildStandaloneSvg(),
+            width: this.layout.width,
+            height: this.layout.height,           // Las transformaciones cambian el árbol en cada paso
+            counter: this.stepCounter.textContent,
+            steps: [...this.stepsContainer.children].map(step => ({
+                text: step.textContent,
+                state: ['error', 'current', 'completed'].find(name => step.classList.contains(name)) || 'pending'
+            }))
+        };
+    }
+
+    /**
+     * Líneas del panel de resultados (los recorridos a la vez usan una línea por recorrido)
+     * @returns {Array} Textos
+     */
+    resultLines() {
+        const copy = this.resultDisplay.cloneNode(true);
+        copy.querySelectorAll('br').forEach(lineBreak => lineBreak.replaceWith('\n'));
+        return copy.textContent.split('\n').map(line => line.trim()).filter(line => line);
+    }
+
+    /**
+     * Distribuye un fotograma: expresión, árbol, contador, pasos y resultado
+     * Todos los fotogramas miden lo mismo: lo que necesita el estado más grande
+     * @param {CanvasRenderingContext2D} context - Contexto con el que se miden los textos
+     * @param {Array} states - Estados capturados con captureFrameState
+     * @param {string} header - Expresión mostrada arriba
+     * @param {Array} result - Líneas del resultado
+     * @returns {Object} Medidas y posiciones del fotograma
+     */
+    layoutFrames(context, states, header, result) {
+        const frame = {
+            padding: 20,
+            lineHeight: 24,
+            chipHeight: 28,
+            gap: 8,
+            fonts: { title: 'bold 18px Arial, sans-serif', step: 'bold 14px Arial, sans-serif', text: '15px Arial, sans-serif' }
+        };
+        const treeHeight = Math.max(...states.map(state => state.height));
+        frame.width = Math.max(...states.map(state => state.width), 480) + 2 * frame.padding;
+        const textWidth = frame.width - 2 * frame.padding;
+        
+        context.font = frame.fonts.title;
+        frame.header = this.wrapText(context, header, textWidth);
+        context.font = frame.fonts.text;
+        frame.result = result.flatMap(line => this.wrapText(context, line, textWidth));
+        
+        // Pasos: fichas que pasan a la línea siguiente cuando no caben
+        context.font = frame.fonts.step;
+        frame.chips = states.map(state => {
+            let x = 0, y = 0;
+            return state.steps.map(step => {
+                const width = context.measureText(step.text).width + 24;
+                if (x > 0 && x + width > textWidth) {
+                    x = 0;
+                    y += frame.chipHeight + frame.gap;
+                }
+                const chip = { ...step, x: x, y: y, width: width };
+                x += width + frame.gap;
+                return chip;
+            });
+        });
+        const stepsHeight = Math.max(0, ...frame.chips.map(chips => chips.length ? chips[chips.length - 1].y + frame.chipHeight : 0));
+        
+        frame.treeTop = frame.padding + frame.header.length * frame.lineHeight + frame.gap;
+        frame.counterTop = frame.treeTop + treeHeight + frame.gap;
+        frame.stepsTop = frame.counterTop + frame.lineHeight + frame.gap;
+        frame.resultTop = frame.stepsTop + stepsHeight + 2 * frame.gap;
+        frame.height = frame.resultTop + frame.result.length * frame.lineHeight + frame.padding;
+        return frame;
+    }
+
+    /**
+     * Parte un texto en líneas que caben en un ancho
+     * @param {CanvasRenderingContext2D} context - Contexto con la fuente del texto
+     * @param {string} text - Texto
+     * @param {number} width - Ancho máximo en píxeles
+     * @returns {Array} Líneas
+     */
+    wrapText(context, text, width) {
+        const lines = [];
+        text.split(' ').forEach(word => {
+            const last = lines.length - 1;
+            if (last >= 0 && context.measureText(`${lines[last]} ${word}`).width <= width) {
+                lines[last] += ` ${word}`;
+            } else {
+                lines.push(word);
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * Dibuja un fotograma de la grabación, con los colores de la página
+     * @param {CanvasRenderingContext2D} context - Contexto del canvas
+     * @param {Object} frame - Medidas calculadas con layoutFrames
+     * @param {Object} state - Estado capturado con captureFrameState
+     * @param {number} index - Número del fotograma
+     * @param {HTMLImageElement} image - Árbol del estado, cargado con loadSvgImage
+     */
+    drawFrame(context, frame, state, index, image) {
+        const colors = {
+            pending: ['#bee3f8', '#2a4365'],
+            current: ['#fed7aa', '#c05621'],
+            completed: ['#c6f6d5', '#22543d'],
+            error: ['#feb2b2', '#742a2a']
+        };
+        const { padding, lineHeight } = frame;
+        
+        context.fillStyle = 'white';
+        context.fillRect(0, 0, frame.width, frame.height);
+        context.textBaseline = 'top';
+        
+        context.font = frame.fonts.title;
+        context.fillStyle = '#2d3748';
+        frame.header.forEach((line, number) => context.fillText(line, padding, padding + number * lineHeight));
+        
+        context.drawImage(image, (frame.width - state.width) / 2, frame.treeTop);
+        
+        context.font = frame.fonts.step;
+        context.fillStyle = '#718096';
+        context.fillText(state.counter, padding, frame.counterTop);
+        
+        frame.chips[index].forEach(chip => {
+            const [background, color] = colors[chip.state];
+            context.fillStyle = background;
+            context.beginPath();
+            context.roundRect(padding + chip.x, frame.stepsTop + chip.y, chip.width, frame.chipHeight, frame.chipHeight / 2);
+            context.fill();
+            context.fillStyle = color;
+            context.fillText(chip.text, padding + chip.x + 12, frame.stepsTop + chip.y + 7);
+        });
+        
+        context.font = frame.fonts.text;
+        context.fillStyle = '#4a5568';
+        frame.result.forEach((line, number) => context.fillText(line, padding, frame.resultTop + number * lineHeight));
+    }
+
+    /**
+     * Genera un documento LaTeX con el árbol (forest, y qtree como alternativa) y las tres notaciones
+     * @returns {string} Código fuente LaTeX
+     */
+    buildLatex() {
+        return [
+            `% ${this.t('latex.generated')}`,
+            '\\documentclass{article}',
+            '\\usepackage[utf8]{inputenc}',
+            '\\usepackage{forest}',
+            `% ${this.t('latex.qtreePackage')} \\usepackage{qtree}`,
+            '',
+            '\\begin{document}',
+            '',
+            '\\begin{center}',
+            '\\begin{forest}',
+            '  for tree={circle, draw, minimum size=2.2em, s sep=1.5em}',
+            `  ${this.core.forestResult(this.tree)}`,
+            '\\end{forest}',
+            '\\end{center}',
+            '',
+            `% ${this.t('latex.qtreeAlternative')}`,
+            `% \\Tree ${this.core.qtreeResult(this.tree)}`,
+            '',
+            '\\begin{description}',
+            `  \\item[${this.t('notation.prefix')}] $${this.core.latexNotation(this.core.preorderResult(this.tree))}$`,
+            `  \\item[${this.t('notation.infix')}] $${this.core.latexNotation(this.core.inorderResult(this.tree, this.infixStyleSelect.value))}$`,
+            `  \\item[${this.t('notation.postfix')}] $${this.core.latexNotation(this.core.postorderResult(this.tree))}$`,
+            '\\end{description}',
+            '',
+            '\\end{document}',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Descarga el documento LaTeX del árbol
+     */
+    exportLatex() {
+        if (this.quizMode) return;     // Las notaciones darían la respuesta del ejercicio
+        this.downloadFile(`${this.t('export.filename')}.tex`, this.buildLatex(), 'application/x-tex');
+    }
+
+    /**
+     * Descarga el árbol en formato JSON
+     */
+    exportJson() {
+        if (this.quizMode) return;
+        const json = JSON.stringify(this.core.serializeTree(this.tree), null, 2);
+        this.downloadFile(`${this.t('export.filename')}.json`, json, 'application/json');
+    }
+
+    /**
+     * Importa un árbol desde un archivo JSON exportado previamente
+     * @param {File} file - Archivo seleccionado por el usuario
+     */
+    importJson(file) {
+        file.text().then(text => {
+            let root;
+            try {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch (error) {
+                    throw new ExpressionParseError(this.t('import.invalidJson', { file: file.name, message: error.message }), null);
+                }
+                root = this.parser.fromJSON(data);
+            } catch (error) {
+                if (!(error instanceof ExpressionParseError)) throw error;
+                this.showParseError('', error);
+                return;
+            }
+            
+            this.clearParseError();
+            this.clearHistory();
+            this.setTree(root);
+            this.notationSelect.value = 'infix';
+            this.expressionInput.value = this.sourceInfix;
+        }).catch(error => {
+            // Archivo ilegible o error inesperado al construir el árbol
+            const message = this.t('import.failed', { file: file.name, message: error.message });
+            this.showParseError('', new ExpressionParseError(message, null));
+        });
+    }
+
+    /**
+     * Configura el editor: selección con clic, arrastre entre nodos y botones de edición
+     */
+    bindEditor() {
+        let dragSourceId = null;  // Nodo desde el que se empezó a arrastrar
+        
+        // ID del nodo bajo un punto de la pantalla, o null
+        const nodeIdAt = (x, y) => {
+            const target = document.elementFromPoint(x, y);
+            const nodeGroup = target ? target.closest('.node') : null;
+            return nodeGroup ? nodeGroup.id.replace('node-', '') : null;
+        };
+        
+        this.editModeBtn.addEventListener('click', () => this.setEditMode(!this.editMode));
+        
+        this.treeContainer.addEventListener('pointerdown', (event) => {
+            const nodeGroup = event.target.closest('.node');
+            if (!this.editMode || !nodeGroup) return;
+            dragSourceId = nodeGroup.id.replace('node-', '');
+            nodeGroup.classList.add('drag-source');
+        });
+        
+        window.addEventListener('pointermove', (event) => {
+            if (!dragSourceId) return;
+            const targetId = nodeIdAt(event.clientX, event.clientY);
+            this.treeContainer.querySelectorAll('.drop-target').forEach(element => element.classList.remove('drop-target'));
+            if (targetId && targetId !== dragSourceId) {
+                document.getElementById(`node-${targetId}`).classList.add('drop-target');
+            }
+        });
+        
+        window.addEventListener('pointerup', (event) => {
+            if (!dragSourceId) return;
+            const sourceId = dragSourceId;
+            const targetId = nodeIdAt(event.clientX, event.clientY);
+            dragSourceId = null;
+            this.treeContainer.querySelectorAll('.drag-source, .drop-target').forEach(element => {
+                element.classList.remove('drag-source', 'drop-target');
+            });
+            
+            // Soltar sobre el mismo nodo equivale a un clic: seleccionarlo
+            if (!targetId || targetId === sourceId) {
+                this.selectNode(sourceId);
+            } else {
+                this.moveSubtree(sourceId, targetId);
+            }
+        });
+        
+        this.editValueBtn.addEventListener('click', () => this.editNodeValue(this.editorValueInput.value));
+        this.replaceSubtreeBtn.addEventListener('click', () => this.replaceSubtree(this.editorSubtreeInput.value));
+        this.deleteSubtreeBtn.addEventListener('click', () => this.deleteSubtree());
+        this.swapChildrenBtn.addEventListener('click', () => this.swapChildren());
+        this.undoBtn.addEventListener('click', () => this.undo());
+        this.redoBtn.addEventListener('click', () => this.redo());
+        
+        // Atajos Ctrl+Z / Ctrl+Y (fuera de los campos de texto)
+        document.addEventListener('keydown', (event) => {
+            if (!this.editMode || !(event.ctrlKey || event.metaKey) || event.target.matches('input, textarea, select')) return;
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    /**
+     * Activa o desactiva el modo de edición
+     * @param {boolean} enabled - true para editar el árbol con clics y arrastres
+     */
+    setEditMode(enabled) {
+        this.editMode = enabled;
+        this.editorPanel.hidden = !enabled;
+        this.treeContainer.classList.toggle('editing', enabled);
+        this.editModeBtn.classList.toggle('active', enabled);
+        
+        if (!enabled) {
+            this.selectedNodeId = null;
+            this.highlightSelection();
+        }
+        this.updateEditorControls();
+    }
+
+    /**
+     * Selecciona un nodo para editarlo
+     * @param {string} id - ID del nodo
+     */
+    selectNode(id) {
+        this.selectedNodeId = id;
+        this.highlightSelection();
+        
+        const node = this.core.findNode(this.tree, id);
+        if (node) {
+            this.editorValueInput.value = node.value;
+            this.editorSubtreeInput.value = this.core.inorderResult(node, 'minimal');
+        }
+        this.updateEditorControls();
+    }
+
+    /**
+     * Marca visualmente el nodo seleccionado
+     */
+    highlightSelection() {
+        this.treeContainer.querySelectorAll('.node-circle.selected').forEach(circle => circle.classList.remove('selected'));
+        
+        const circle = this.selectedNodeId ? document.getElementById(`circle-${this.selectedNodeId}`) : null;
+        if (circle) circle.classList.add('selected');
+    }
+
+    /**
+     * Actualiza el texto de la selección y qué acciones están disponibles
+     */
+    updateEditorControls() {
+        const node = this.selectedNodeId ? this.core.findNode(this.tree, this.selectedNodeId) : null;
+        
+        this.editorSelection.textContent = node
+            ? this.t('editor.selected', { value: node.value, subtree: this.core.inorderResult(node, 'minimal') })
+            : this.t('editor.hint');
+        
+        [this.editValueBtn, this.replaceSubtreeBtn, this.deleteSubtreeBtn].forEach(button => {
+            button.disabled = !node;
+        });
+        this.swapChildrenBtn.disabled = !node || node.children.length < 2;
+        this.undoBtn.disabled = this.undoStack.length === 0;
+        this.redoBtn.disabled = this.redoStack.length === 0;
+    }
+
+    /**
+     * Aplica una edición sobre una copia serializada del árbol
+     * La copia se valida al reconstruirla; si no es una expresión bien formada,
+     * la edición se rechaza y el árbol actual no cambia
+     * @param {Function} edit - Recibe (copia, camino del nodo seleccionado) y devuelve la nueva raíz
+     *                          y, opcionalmente, el camino a seleccionar: {root, selectPath}
+     */
+    applyEdit(edit) {
+        if (this.rewrite) {
+            this.showEditorMessage(this.t('editor.rewriteInProgress'), true);
+            return;
+        }
+        
+        const draft = this.core.serializeTree(this.tree);
+        const path = this.selectedNodeId ? this.core.findPath(this.tree, this.selectedNodeId) : null;
+        
+        let root;
+        let selectPath;
+        try {
+            ({ root, selectPath } = edit(draft, path));
+            root = this.parser.fromJSON(root);                 // Valida y asigna IDs nuevos
+        } catch (error) {
+            if (!(error instanceof ExpressionParseError)) throw error;
+            this.showEditorMessage(this.t('editor.rejected', { message: error.message }), true);
+            return;
+        }
+        
+        // Guardar el árbol anterior para poder deshacer
+        this.undoStack.push(this.core.serializeTree(this.tree));
+        this.redoStack = [];
+        this.commitTree(root, selectPath);
+        this.showEditorMessage(this.t('editor.applied'));
+    }
+
+    /**
+     * Muestra un árbol editado y sincroniza la entrada y las notaciones
+     * @param {Object} root - Nuevo árbol
+     * @param {Array|null} selectPath - Camino del nodo a seleccionar después
+     */
+    commitTree(root, selectPath) {
+        const selected = selectPath ? this.core.subtreeAt(root, selectPath) : null;
+        this.selectedNodeId = selected ? selected.id : null;
+        
+        this.setTree(root);
+        this.notationSelect.value = 'infix';
+        this.expressionInput.value = this.sourceInfix;
+        
+        if (selected) {
+            this.selectNode(selected.id);
+        } else {
+            this.updateEditorControls();
+        }
+    }
+
+    /**
+     * Muestra el resultado de la última acción del editor
+     * @param {string} text - Mensaje
+     * @param {boolean} isError - true si la acción se rechazó
+     */
+    showEditorMessage(text, isError = false) {
+        this.editorMessage.textContent = text;
+        this.editorMessage.classList.toggle('error', isError);
+    }
+
+    /**
+     * Cambia el valor del nodo seleccionado (ej: + por ∗, o 5 por 7)
+     * @param {string} value - Nuevo valor
+     */
+    editNodeValue(value) {
+        this.applyEdit((draft, path) => {
+            this.core.subtreeAt(draft, path).value = value.trim();
+            return { root: draft, selectPath: path };
+        });
+    }
+
+    /**
+     * Reemplaza el subárbol seleccionado (por ejemplo, una hoja) por una expresión infija nueva
+     * @param {string} expression - Expresión infija del nuevo subárbol
+     */
+    replaceSubtree(expression) {
+        this.applyEdit((draft, path) => {
+            const subtree = this.core.serializeTree(this.parser.parse(expression));
+            return { root: this.core.replaceAt(draft, path, subtree), selectPath: path };
+        });
+    }
+
+    /**
+     * Elimina el subárbol seleccionado sin dejar operadores incompletos:
+     * si el padre se queda sin los hijos que exige su aridad, se reemplaza por el
+     * hijo que le quede (ej: a + b → a), o se elimina también si no le queda ninguno
+     */
+    deleteSubtree() {
+        this.applyEdit((draft, path) => {
+            let current = path;
+            while (true) {
+                if (current.length === 0) {
+                    throw new ExpressionParseError(this.t('editor.deleteRoot'), null);
+                }
+                const parentPath = current.slice(0, -1);
+                const parent = this.core.subtreeAt(draft, parentPath);
+                parent.children.splice(current[current.length - 1], 1);
+                
+                if (this.parser.acceptsArity(parent.value, parent.children.length)) break;  // ej: max con 3 → 2
+                if (parent.children.length === 1) {
+                    return { root: this.core.replaceAt(draft, parentPath, parent.children[0]), selectPath: null };
+                }
+                current = parentPath;                              // Sin hijos: eliminar también el padre
+            }
+            return { root: draft, selectPath: null };
+        });
+    }
+
+    /**
+     * Invierte el orden de los hijos del nodo seleccionado (con dos hijos, los intercambia)
+     */
+    swapChildren() {
+        this.applyEdit((draft, path) => {
+            this.core.subtreeAt(draft, path).children.reverse();
+            return { root: draft, selectPath: path };
+        });
+    }
+
+    /**
+     * Mueve un subárbol a la posición de otro (arrastrar y soltar): ambos intercambian su lugar,
+     * así cada uno pasa a colgar del padre del otro
+     * @param {string} sourceId - ID del nodo arrastrado
+     * @param {string} targetId - ID del nodo sobre el que se soltó
+     */
+    moveSubtree(sourceId, targetId) {
+        const sourcePath = this.core.findPath(this.tree, sourceId);
+        const targetPath = this.core.findPath(this.tree, targetId);
+        
+        this.applyEdit((draft) => {
+            const isPrefix = (a, b) => a.length <= b.length && a.every((index, i) => index === b[i]);
+            if (isPrefix(sourcePath, targetPath) || isPrefix(targetPath, sourcePath)) {
+                throw new ExpressionParseError(this.t('editor.moveInside'), null);
+            }
+            
+            const source = this.core.subtreeAt(draft, sourcePath);
+            const target = this.core.subtreeAt(draft, targetPath);
+            this.core.replaceAt(draft, sourcePath, target);
+            this.core.replaceAt(draft, targetPath, source);
+            return { root: draft, selectPath: targetPath };
+        });
+    }
+
+    /**
+     * Deshace la última edición
+     */
+    undo() {
+        if (this.undoStack.length === 0) return;
+        this.reset();                                          // Volver al árbol original de una transformación
+        this.redoStack.push(this.core.serializeTree(this.tree));
+        this.commitTree(this.parser.fromJSON(this.undoStack.pop()), null);
+        this.showEditorMessage(this.t('editor.undone'));
+    }
+
+    /**
+     * Rehace la última edición deshecha
+     */
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.reset();                                          // Volver al árbol original de una transformación
+        this.undoStack.push(this.core.serializeTree(this.tree));
+        this.commitTree(this.parser.fromJSON(this.redoStack.pop()), null);
+        this.showEditorMessage(this.t('editor.redone'));
+    }
+
+    /**
+     * Vacía el historial de ediciones (al cargar un árbol nuevo)
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.selectedNodeId = null;
+        this.updateEditorControls();
+        this.showEditorMessage('');
+    }
+
+    /**
+     * Expone el árbol dibujado como un árbol ARIA: cada nodo es un treeitem con su nivel,
+     * su posición entre sus hermanos y una descripción; solo el nodo enfocado entra en el orden de tabulación
+     */
+    applyTreeSemantics() {
+        if (!this.core.findNode(this.tree, this.focusedNodeId)) {
+            this.focusedNodeId = this.tree.id;                 // Por defecto, la raíz
+        }
+        
+        const annotate = (node, level, position, siblings) => {
+            const element = document.getElementById(`node-${node.id}`);
+            const count = node.children.length;
+            element.setAttribute('role', 'treeitem');
+            element.setAttribute('aria-level', level);
+            element.setAttribute('aria-posinset', position);
+            element.setAttribute('aria-setsize', siblings);
+            element.setAttribute('aria-label', count > 0
+                ? this.t('tree.nodeWithChildren', { node: this.describeNode(node), count: count })
+                : this.describeNode(node));
+            if (count > 0) element.setAttribute('aria-expanded', 'true');
+            element.setAttribute('tabindex', node.id === this.focusedNodeId ? '0' : '-1');
+            node.children.forEach((child, index) => annotate(child, level + 1, index + 1, count));
+        };
+        annotate(this.tree, 1, 1, 1);
+    }
+
+    /**
+     * Describe un nodo con palabras, para los lectores de pantalla
+     * @param {Object} node - Nodo del árbol
+     * @returns {string} Ej: "operador menos", "número 5", "variable x" o "función sqrt"
+     */
+    describeNode(node) {
+        if (node.children.length === 0) {
+            return this.t(this.parser.isVariable(node.value) ? 'node.variable' : 'node.number', { value: node.value });
+        }
+        if (this.parser.isFunction(node.value)) return this.t('node.function', { value: node.value });
+        const name = this.operatorNames[node.value] ? this.t(this.operatorNames[node.value]) : node.value;
+        return this.t('node.operator', { name: name });
+    }
+
+    /**
+     * Mueve el foco del teclado a un nodo (tabulación itinerante: solo él tiene tabindex 0)
+     * @param {string} id - ID del nodo
+     */
+    focusNode(id) {
+        const element = document.getElementById(`node-${id}`);
+        if (!element) return;
+        
+        const previous = document.getElementById(`node-${this.focusedNodeId}`);
+        if (previous) previous.setAttribute('tabindex', '-1');
+        this.focusedNodeId = id;
+        element.setAttribute('tabindex', '0');
+        element.focus();
+    }
+
+    /**
+     * Configura la navegación del árbol con el teclado y los atajos de los recorridos
+     */
+    bindKeyboard() {
+        // El foco también puede llegar a un nodo con el ratón
+        this.treeContainer.addEventListener('focusin', (event) => {
+            const nodeGroup = event.target.closest('.node');
+            if (nodeGroup) this.focusNode(nodeGroup.id.replace('node-', ''));
+        });
+        
+        // Flechas dentro del árbol: ↑ padre, ← hijo izquierdo, → hijo derecho, ↓ hermano siguiente
+        this.treeContainer.addEventListener('keydown', (event) => {
+            const nodeGroup = event.target.closest('.node');
+            if (!nodeGroup || event.ctrlKey || event.metaKey || event.altKey) return;
+            
+            const id = nodeGroup.id.replace('node-', '');
+            const path = this.core.findPath(this.tree, id);
+            const node = this.core.subtreeAt(this.tree, path);
+            const parent = path.length > 0 ? this.core.subtreeAt(this.tree, path.slice(0, -1)) : null;
+            let target = null;
+            switch (event.key) {
+                case 'ArrowUp':
+                    target = parent;
+                    break;
+                case 'ArrowLeft':
+                    target = node.children[0];
+                    break;
+                case 'ArrowRight':
+                    target = node.children[node.children.length - 1];
+                    break;
+                case 'ArrowDown':
+                    target = parent ? parent.children[path[path.length - 1] + 1] : null;
+                    break;
+                case 'Home':
+                    target = this.tree;
+                    break;
+                case 'Enter':
+                case ' ':
+                    // Equivale a hacer clic: seleccionar en el editor o responder en la práctica
+                    event.preventDefault();
+                    if (this.editMode) {
+                        this.selectNode(id);
+                    } else if (this.quiz && this.quiz.mode === 'click') {
+                        this.pickQuizNode(id);
+                    }
+                    return;
+                default:
+                    return;
+            }
+            event.preventDefault();
+            if (target) this.focusNode(target.id);
+        });
+        
+        // Atajos globales (fuera de los campos de texto): números para los recorridos, espacio y flechas para los pasos
+        document.addEventListener('keydown', (event) => {
+            if (event.ctrlKey || event.metaKey || event.altKey || event.target.closest('input, textarea, select, .node')) return;
+            
+            const key = event.key.toLowerCase();
+            if (this.keyboardShortcuts[key]) {
+                if (!this.quizMode) this.startTraversal(this.keyboardShortcuts[key]);
+            } else if (key === ' ' && !event.target.closest('button')) {
+                this.togglePlayback();
+            } else if (key === 'arrowright') {
+                this.stepForward();
+            } else if (key === 'arrowleft') {
+                this.stepBack();
+            } else if (key === 'r') {
+                this.resetBtn.click();
+            } else {
+                return;
+            }
+            event.preventDefault();
+        });
+        
+        // Alto contraste y sin animaciones; activado de entrada si el sistema lo pide
+        const prefers = (query) => window.matchMedia !== undefined && window.matchMedia(query).matches;
+        this.accessibleModeCheckbox.checked = prefers('(prefers-reduced-motion: reduce)') || prefers('(prefers-contrast: more)');
+        this.container.classList.toggle('high-contrast', this.accessibleModeCheckbox.checked);
+        this.accessibleModeCheckbox.addEventListener('change', () => {
+            this.container.classList.toggle('high-contrast', this.accessibleModeCheckbox.checked);
+        });
+    }
+
+    /**
+     * Anuncia el paso actual en la región aria-live, ej: "Visitando operador menos, paso 4 de 9"
+     * @param {number} index - Índice del último paso visible
+     * @param {number} total - Número de pasos del recorrido
+     */
+    narrateStep(index, total) {
+        let text;
+        if (this.currentStep >= total) {
+            text = this.t('narration.completed', { count: total, result: this.resultDisplay.textContent });
+        } else {
+            const node = this.comparison ? null : this.currentTraversal[index];  // En la comparación, uno por recorrido
+            let detail = null;                                 // Lo que ocurre en el paso, según el modo
+            if (this.comparison) {
+                detail = this.joinNames(this.comparison.columns.map(column => this.t('narration.compare', {
+                    traversal: this.t(column.title), node: this.describeNode(column.traversal[index])
+                })));
+            } else if (this.evaluation) {
+                detail = this.evaluation.steps[index].text;
+            } else if (this.machine) {
+                detail = this.machine.states[index].rule;
+            } else if (this.currentTraversalType === 'euler') {
+                detail = this.t('narration.moment', { moment: this.t(`moment.${this.tour[index].moment}`) });
+            }
+            
+            const parts = node ? [this.t('narration.visiting', { node: this.describeNode(node) })] : [];
+            if (detail && (!node || detail !== node.value)) parts.push(detail);   // "número 3: 3" sobra
+            text = this.t('narration.step', { text: parts.join(': '), step: index + 1, total: total });
+        }
+        
+        // Repetir el mismo texto no se vuelve a anunciar (ej: al redibujar el árbol)
+        if (this.narration.textContent !== text) {
+            this.narration.textContent = text;
+        }
+    }
+
+    /**
+     * Configura los controles del modo de práctica
+     */
+    bindQuiz() {
+        this.quizModeBtn.addEventListener('click', () => this.setQuizMode(!this.quizMode));
+        this.newQuizBtn.addEventListener('click', () => this.newQuiz());
+        this.checkQuizBtn.addEventListener('click', () => this.checkQuiz());
+        this.quizSolutionBtn.addEventListener('click', () => this.showQuizSolution());
+        this.clearQuizHistoryBtn.addEventListener('click', () => this.clearQuizHistory());
+        this.quizAnswerInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.checkQuiz();
+        });
+        
+        // Cambiar la forma de responder vale para el ejercicio en curso
+        this.quizAnswerMode.addEventListener('change', () => {
+            if (this.quiz) this.quiz.mode = this.quizAnswerMode.value;
+            this.updateQuizControls();
+        });
+        
+        // Respuesta con clics: cada nodo se agrega una sola vez, en el orden en que se pulsa
+        this.treeContainer.addEventListener('click', (event) => {
+            const nodeGroup = event.target.closest('.node');
+            if (nodeGroup) this.pickQuizNode(nodeGroup.id.replace('node-', ''));
+        });
+        this.quizUndoClickBtn.addEventListener('click', () => {
+            if (!this.quiz) return;
+            this.quiz.clicks.pop();
+            this.updateQuizControls();
+        });
+        
+        this.renderQuizHistory();
+    }
+
+    /**
+     * Agrega un nodo a la respuesta con clics del ejercicio en curso
+     * @param {string} id - ID del nodo pulsado
+     */
+    pickQuizNode(id) {
+        if (!this.quiz || this.quiz.mode !== 'click') return;
+        const node = this.core.findNode(this.tree, id);
+        if (!node || this.quiz.clicks.includes(node)) return;
+        this.quiz.clicks.push(node);
+        this.updateQuizControls();
+    }
+
+    /**
+     * Activa o desactiva el modo de práctica
+     * Mientras está activo se ocultan las notaciones del árbol y se bloquean los controles que darían la respuesta
+     * @param {boolean} enabled - true para practicar con árboles aleatorios
+     */
+    setQuizMode(enabled) {
+        this.quizMode = enabled;
+        this.quizPanel.hidden = !enabled;
+        this.container.classList.toggle('quiz-active', enabled);
+        this.quizModeBtn.classList.toggle('active', enabled);
+        this.quizLockedControls.forEach(control => { control.disabled = enabled; });
+        
+        if (enabled) {
+            this.setEditMode(false);                           // Los clics sobre nodos son respuestas
+            this.newQuiz();
+        } else {
+            this.quiz = null;
+            this.updateQuizControls();
+        }
+    }
+
+    /**
+     * Genera un árbol aleatorio con números de una cifra en las hojas
+     * @param {number} depth - Profundidad exacta (0 = una sola hoja)
+     * @param {Array} operators - Operadores binarios permitidos
+     * @returns {Object} Árbol serializado {value, children}
+     */
+    randomTree(depth, operators) {
+        const randomInt = (limit) => Math.floor(Math.random() * limit);
+        if (depth === 0) return { value: String(1 + randomInt(9)), children: [] };
+        
+        // Uno de los hijos alcanza la profundidad pedida; el otro puede quedarse más corto
+        const deepChild = randomInt(2);
+        return {
+            value: operators[randomInt(operators.length)],
+            children: [0, 1].map(index => this.randomTree(index === deepChild ? depth - 1 : randomInt(depth), operators))
+        };
+    }
+
+    /**
+     * Crea un ejercicio nuevo con la profundidad, los operadores y el recorrido elegidos
+     */
+    newQuiz() {
+        const operators = [...this.quizPanel.querySelectorAll('input[name="quizOperator"]:checked')].map(input => input.value);
+        if (operators.length === 0) {
+            this.quiz = null;
+            this.updateQuizControls();
+            this.showQuizFeedback(this.t('quiz.chooseOperator'), false);
+            return;
+        }
+        
+        this.clearHistory();
+        this.setTree(this.parser.fromJSON(this.randomTree(parseInt(this.quizDepth.value, 10), operators)));
+        
+        const type = this.quizTraversal.value;
+        this.quiz = {
+            type: type,                                        // 'preorder', 'inorder' o 'postorder'
+            mode: this.quizAnswerMode.value,                   // 'type' (escribir) o 'click' (hacer clic)
+            depth: parseInt(this.quizDepth.value, 10),
+            expected: this.quizExpectedTraversal(type),        // Nodos en el orden correcto
+            clicks: [],                                        // Nodos pulsados por el estudiante
+            graded: false                                      // Solo cuenta el primer intento
+        };
+        this.quizAnswerInput.value = '';
+        this.showQuizFeedback('', false);
+        this.updateQuizControls();
+    }
+
+    /**
+     * Orden de visita correcto para un ejercicio
+     * @param {string} type - 'preorder', 'inorder' o 'postorder'
+     * @returns {Array} Nodos en orden de visita
+     */
+    quizExpectedTraversal(type) {
+        switch (type) {
+            case 'preorder':
+                return this.core.preorderTraversal(this.tree);
+            case 'inorder':
+                return this.core.inorderTraversal(this.tree);
+            default:
+                return this.core.postorderTraversal(this.tree);
+        }
+    }
+
+    /**
+     * Actualiza la pregunta y los controles de respuesta según el ejercicio en curso
+     */
+    updateQuizControls() {
+        const isClick = this.quizAnswerMode.value === 'click';
+        
+        this.quizAnswerInput.hidden = isClick;
+        this.quizClicks.hidden = !isClick;
+        this.quizUndoClickBtn.hidden = !isClick;
+        [this.checkQuizBtn, this.quizSolutionBtn, this.quizUndoClickBtn].forEach(button => {
+            button.disabled = !this.quiz;
+        });
+        
+        if (!this.quiz) {
+            this.quizQuestion.textContent = this.t('quiz.start');
+            this.quizClicks.textContent = '';
+            return;
+        }
+        
+        const names = {
+            notation: this.t(`quiz.notation.${this.quiz.type}`),
+            traversal: this.t(`quiz.order.${this.quiz.type}`)
+        };
+        this.quizQuestion.textContent = this.t(isClick ? 'quiz.question.click' : 'quiz.question.type', names);
+        
+        // Marcar los nodos ya pulsados y mostrar la secuencia
+        this.treeContainer.querySelectorAll('.node-circle.picked').forEach(circle => circle.classList.remove('picked'));
+        this.quiz.clicks.forEach(node => {
+            const circle = document.getElementById(`circle-${node.id}`);
+            if (circle) circle.classList.add('picked');
+        });
+        this.quizClicks.textContent = this.quiz.clicks.length > 0
+            ? this.quiz.clicks.map(node => this.parser.tokenName(node)).join(' ')
+            : this.t('quiz.noClicks');
+        this.quizUndoClickBtn.disabled = this.quiz.clicks.length === 0;
+    }
+
+    /**
+     * Divide una respuesta escrita en tokens; los paréntesis de la notación infija se ignoran,
+     * porque el recorrido solo fija el orden de operandos y operadores
+     * @param {string} text - Respuesta del estudiante, ej: "5 ∗ (3 + 4)"
+     * @returns {Array} Tokens normalizados, ej: ["5", "*", "3", "+", "4"]
+     */
+    tokenizeAnswer(text) {
+        const normalized = text
+            .replace(/[−–]/g, '-')
+            .replace(/[∗×·]/g, '*')
+            .replace(/÷/g, '/')
+            .replace(/[()]/g, ' ');
+        return normalized.match(/\d+\.?\d*|\.\d+|[A-Za-z_]\w*|\S/g) || [];
+    }
+
+    /**
+     * Posición del primer elemento en que dos secuencias difieren
+     * @param {Array} expected - Secuencia correcta
+     * @param {Array} given - Secuencia del estudiante
+     * @returns {number} Índice de la primera diferencia, o -1 si son iguales
+     */
+    firstMismatch(expected, given) {
+        const length = Math.max(expected.length, given.length);
+        for (let index = 0; index < length; index++) {
+            if (expected[index] !== given[index]) return index;
+        }
+        return -1;
+    }
+
+    /**
+     * Corrige la respuesta del ejercicio en curso y muestra dónde está el primer error
+     * Con clics se comparan los nodos (no solo sus valores), ya que dos hojas pueden valer lo mismo
+     */
+    checkQuiz() {
+        if (!this.quiz) return;
+        
+        const expectedTokens = this.quiz.expected.map(node => this.parser.tokenName(node));
+        const isClick = this.quiz.mode === 'click';
+        const givenTokens = isClick
+            ? this.quiz.clicks.map(node => this.parser.tokenName(node))
+            : this.tokenizeAnswer(this.quizAnswerInput.value);
+        const mismatch = isClick
+            ? this.firstMismatch(this.quiz.expected, this.quiz.clicks)
+            : this.firstMismatch(expectedTokens, givenTokens);
+        const correct = mismatch === -1;
+        
+        // Describir el primer error
+        let message;
+        if (correct) {
+            message = this.t('quiz.correct');
+        } else if (mismatch >= givenTokens.length) {
+            message = this.t('quiz.incomplete', { count: mismatch, expected: expectedTokens[mismatch] });
+        } else if (mismatch >= expectedTokens.length) {
+            message = this.t('quiz.tooMany', { position: mismatch + 1, count: expectedTokens.length });
+        } else if (isClick && givenTokens[mismatch] === expectedTokens[mismatch]) {
+            message = this.t('quiz.wrongNode', { position: mismatch + 1, given: givenTokens[mismatch] });
+        } else {
+            message = this.t('quiz.mismatch', { position: mismatch + 1, expected: expectedTokens[mismatch], given: givenTokens[mismatch] });
+        }
+        
+        this.showQuizFeedback(message, correct, givenTokens, mismatch);
+        
+        // Señalar en el árbol el nodo que tocaba visitar
+        this.treeContainer.querySelectorAll('.node-circle.highlighted').forEach(circle => circle.classList.remove('highlighted'));
+        const missed = !correct && mismatch < this.quiz.expected.length
+            ? document.getElementById(`circle-${this.quiz.expected[mismatch].id}`)
+            : null;
+        if (missed) missed.classList.add('highlighted');
+        
+        if (!this.quiz.graded) {
+            this.quiz.graded = true;
+            this.recordQuizResult(correct);
+        }
+    }
+
+    /**
+     * Muestra el solucionario: anima el recorrido pedido (cuenta como fallo si aún no se respondió)
+     */
+    showQuizSolution() {
+        if (!this.quiz) return;
+        if (!this.quiz.graded) {
+            this.quiz.graded = true;
+            this.recordQuizResult(false);
+        }
+        this.startTraversal(this.quiz.type);
+    }
+
+    /**
+     * Muestra el resultado de la corrección, con los tokens de la respuesta coloreados
+     * @param {string} message - Mensaje de la corrección
+     * @param {boolean} correct - true si la respuesta es correcta
+     * @param {Array} tokens - Tokens de la respuesta
+     * @param {number} mismatch - Índice del primer error (-1 si no hay)
+     */
+    showQuizFeedback(message, correct, tokens = [], mismatch = -1) {
+        this.quizFeedback.innerHTML = '';
+        this.quizFeedback.classList.toggle('correct', correct);
+        this.quizFeedback.classList.toggle('error', !correct && message !== '');
+        
+        const text = document.createElement('p');
+        text.textContent = message;
+        this.quizFeedback.appendChild(text);
+        
+        // Tokens correctos en verde; el primer error en rojo; lo que sigue, atenuado
+        tokens.forEach((token, index) => {
+            const chip = document.createElement('span');
+            chip.className = 'quiz-token';
+            chip.textContent = token;
+            if (mismatch === -1 || index < mismatch) {
+                chip.classList.add('correct');
+            } else if (index === mismatch) {
+                chip.classList.add('wrong');
+            }
+            this.quizFeedback.appendChild(chip);
+        });
+    }
+
+    /**
+     * Lee el historial de ejercicios guardado en localStorage
+     * @returns {Array} Intentos {date, type, depth, expression, correct}, del más antiguo al más reciente
+     */
+    loadQuizHistory() {
+        try {
+            const history = JSON.parse(localStorage.getItem(this.quizHistoryKey));
+            return Array.isArray(history) ? history : [];
+        } catch (error) {
+            return [];                                         // Almacenamiento no disponible o dañado
+        }
+    }
+
+    /**
+     * Guarda el historial de ejercicios; si el navegador no lo permite, se pierde al recargar
+     * @param {Array} history - Intentos a guardar
+     */
+    saveQuizHistory(history) {
+        try {
+            localStorage.setItem(this.quizHistoryKey, JSON.stringify(history));
+        } catch (error) {
+            // Almacenamiento lleno o desactivado: el historial solo dura esta sesión
+        }
+    }
+
+    /**
+     * Agrega el resultado del ejercicio en curso al historial
+     * @param {boolean} correct - true si la respuesta fue correcta
+     */
+    recordQuizResult(correct) {
+        const history = this.loadQuizHistory();
+        history.push({
+            date: new Date().toISOString(),
+            type: this.quiz.type,
+            depth: this.quiz.depth,
+            expression: this.core.inorderResult(this.tree, 'minimal'),
+            correct: correct
+        });
+        this.saveQuizHistory(history.slice(-this.maxQuizHistory));
+        this.renderQuizHistory();
+    }
+
+    /**
+     * Borra el historial de ejercicios
+     */
+    clearQuizHistory() {
+        this.saveQuizHistory([]);
+        this.renderQuizHistory();
+    }
+
+    /**
+     * Muestra la puntuación acumulada y los últimos intentos
+     */
+    renderQuizHistory() {
+        const history = this.loadQuizHistory();
+        const notations = { preorder: 'notation.prefix', inorder: 'notation.infix', postorder: 'notation.postfix' };
+        const correct = history.filter(entry => entry.correct).length;
+        
+        this.quizScore.textContent = history.length > 0
+            ? this.t('quiz.score', { correct: correct, total: history.length, percent: Math.round(correct / history.length * 100) })
+            : this.t('quiz.emptyHistory');
+        this.clearQuizHistoryBtn.disabled = history.length === 0;
+        
+        // Los últimos intentos, del más reciente al más antiguo
+        this.quizHistory.innerHTML = '';
+        history.slice(-this.visibleQuizHistory).reverse().forEach(entry => {
+            const item = document.createElement('li');
+            item.className = entry.correct ? 'correct' : 'error';
+            item.textContent = this.t('quiz.historyEntry', {
+                mark: entry.correct ? '✔' : '✘',
+                notation: this.t(notations[entry.type]),
+                depth: entry.depth,
+                expression: entry.expression,
+                date: this.i18n.formatDate(new Date(entry.date))
+            });
+            this.quizHistory.appendChild(item);
+        });
+    }
+
+    /**
+     * Configura la biblioteca de expresiones: abrir y cerrar, elegir y filtrar, guardar, importar y exportar
+     */
+    bindLibrary() {
+        this.libraryBtn.addEventListener('click', () => this.setLibraryOpen(this.libraryPanel.hidden));
+        this.closeLibraryBtn.addEventListener('click', () => this.setLibraryOpen(false));
+        this.libraryPanel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.setLibraryOpen(false);
+        });
+        
+        this.librarySetSelect.addEventListener('change', () => {
+            this.selectLibrarySet(this.librarySetSelect.value);
+            this.showLibraryMessage('');
+        });
+        this.libraryTagFilter.addEventListener('change', () => this.renderLibrary());
+        this.libraryDifficultyFilter.addEventListener('change', () => this.renderLibrary());
+        
+        // Un clic en un ejercicio lo carga; la ✕ lo quita del conjunto
+        this.libraryList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-index]');
+            if (!button) return;
+            const index = parseInt(button.dataset.index, 10);
+            if (button.classList.contains('library-remove')) {
+                this.removeLibraryExercise(index);
+            } else {
+                this.loadExpression(this.selectedLibrarySet().exercises[index].expression);
+            }
+        });
+        
+        this.librarySaveForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveToLibrary();
+        });
+        this.newSetBtn.addEventListener('click', () => this.createLibrarySet(this.newSetNameInput.value));
+        this.deleteSetBtn.addEventListener('click', () => this.deleteLibrarySet());
+        this.exportSetBtn.addEventListener('click', () => this.exportLibrarySet());
+        this.importSetInput.addEventListener('change', () => {
+            const file = this.importSetInput.files[0];
+            if (file) this.importLibrarySet(file);
+            this.importSetInput.value = '';                  // Permitir importar el mismo archivo otra vez
+        });
+        
+        this.renderLibrary();
+    }
+
+    /**
+     * Abre o cierra el panel de la biblioteca
+     * @param {boolean} open - true para abrirlo
+     */
+    setLibraryOpen(open) {
+        this.libraryPanel.hidden = !open;
+        this.libraryBtn.setAttribute('aria-expanded', String(open));
+        if (open) {
+            this.renderLibrary();
+            this.librarySetSelect.focus();
+        } else if (this.libraryPanel.contains(document.activeElement)) {
+            this.libraryBtn.focus();                         // El foco no se pierde al cerrar
+        }
+    }
+
+    /**
+     * Lee los conjuntos propios guardados en el navegador
+     * @returns {Array} Conjuntos {id, name, exercises} (vacío si no hay o no se pueden leer)
+     */
+    loadLibrary() {
+        let data;
+        try {
+            data = JSON.parse(localStorage.getItem(this.libraryKey));
+        } catch (error) {
+            return [];                                         // Almacenamiento no disponible o ilegible
+        }
+        return this.library.restoreSets(data);                 // Solo se descartan los ejercicios dañados
+    }
+
+    /**
+     * Guarda los conjuntos propios en el navegador
+     * @returns {boolean} false si el almacenamiento está lleno o desactivado
+     */
+    saveLibrary() {
+        try {
+            localStorage.setItem(this.libraryKey, JSON.stringify(this.librarySets));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Guarda los conjuntos propios tras un cambio y muestra el resultado
+     * Si no se pudieron guardar, el cambio sigue en la página hasta recargarla y se avisa de ello
+     * @param {string} message - Mensaje de la acción hecha
+     */
+    commitLibraryChange(message) {
+        if (this.saveLibrary()) {
+            this.showLibraryMessage(message);
+        } else {
+            this.showLibraryMessage(this.t('library.notSaved', { message: message }), true);
+        }
+    }
+
+    /**
+     * Conjunto elegido en la biblioteca: uno de los ejemplos o uno propio
+     * @returns {Object} Conjunto {id, name, exercises} (builtIn en los ejemplos)
+     */
+    selectedLibrarySet() {
+        const sets = [...this.library.sampleSets(), ...this.librarySets];
+        return sets.find(set => set.id === this.librarySetId) || sets[0];
+    }
+
+    /**
+     * Elige un conjunto de la biblioteca y quita los filtros, para que se vean todos sus ejercicios
+     * @param {string|null} id - ID del conjunto (null: el primero)
+     */
+    selectLibrarySet(id) {
+        if (id !== this.librarySetId) {
+            this.libraryTagFilter.value = '';
+            this.libraryDifficultyFilter.value = '';
+        }
+        this.librarySetId = id;
+        this.renderLibrary();
+    }
+
+    /**
+     * Muestra el resultado de la última acción de la biblioteca
+     * @param {string} text - Mensaje
+     * @param {boolean} isError - true si la acción falló
+     */
+    showLibraryMessage(text, isError = false) {
+        this.libraryMessage.textContent = text;
+        this.libraryMessage.classList.toggle('error', isError);
+    }
+
+    /**
+     * Dibuja la lista de conjuntos y los ejercicios del elegido que cumplen los filtros
+     */
+    renderLibrary() {
+        const sets = [...this.library.sampleSets(), ...this.librarySets];
+        const selected = this.selectedLibrarySet();
+        
+        this.librarySetSelect.innerHTML = '';
+        sets.forEach(set => {
+            const option = document.createElement('option');
+            option.value = set.id;
+            option.textContent = set.builtIn ? this.t('library.builtIn', { name: set.name }) : set.name;
+            this.librarySetSelect.appendChild(option);
+        });
+        this.librarySetSelect.value = selected.id;
+        this.deleteSetBtn.disabled = Boolean(selected.builtIn);     // Los ejemplos no se eliminan
+        
+        // Etiquetas del conjunto elegido; se conserva el filtro si la etiqueta sigue existiendo
+        const tags = this.library.collectTags(selected.exercises);
+        const tag = tags.includes(this.libraryTagFilter.value) ? this.libraryTagFilter.value : '';
+        this.libraryTagFilter.innerHTML = '';
+        [['', this.t('library.allTags')], ...tags.map(name => [name, name])].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            this.libraryTagFilter.appendChild(option);
+        });
+        this.libraryTagFilter.value = tag;
+        
+        const visible = this.library.filterExercises(selected.exercises, { tag: tag, difficulty: this.libraryDifficultyFilter.value });
+        this.libraryList.innerHTML = '';
+        if (visible.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = this.t('library.empty');
+            this.libraryList.appendChild(empty);
+            return;
+        }
+        
+        visible.forEach(exercise => {
+            const index = selected.exercises.indexOf(exercise);     // Posición en el conjunto completo
+            const item = document.createElement('li');
+            item.className = 'library-item';
+            
+            const load = document.createElement('button');
+            load.className = 'library-load';
+            load.dataset.index = index;
+            load.title = this.t('library.load', { name: exercise.name });
+            const name = document.createElement('span');
+            name.className = 'library-name';
+            name.textContent = exercise.name;
+            const expression = document.createElement('code');
+            expression.textContent = exercise.expression;
+            const meta = document.createElement('span');
+            meta.className = 'library-meta';
+            const difficulty = document.createElement('span');
+            difficulty.className = `library-difficulty level-${exercise.difficulty}`;
+            difficulty.textContent = this.t(`library.difficulty.${exercise.difficulty}`);
+            meta.appendChild(difficulty);
+            exercise.tags.forEach(text => {
+                const tagElement = document.createElement('span');
+                tagElement.className = 'library-tag';
+                tagElement.textContent = text;
+                meta.appendChild(tagElement);
+            });
+            load.append(name, expression, meta);
+            item.appendChild(load);
+            
+            if (!selected.builtIn) {
+                const remove = document.createElement('button');
+                remove.className = 'copy-btn library-remove';
+                remove.dataset.index = index;
+                remove.textContent = '✕';
+                remove.setAttribute('aria-label', this.t('library.remove', { name: exercise.name }));
+                item.appendChild(remove);
+            }
+            this.libraryList.appendChild(item);
+        });
+    }
+
+    /**
+     * Carga una expresión infija en el visualizador, como si se hubiera escrito en el campo
+     * @param {string} expression - Expresión infija
+     * @returns {boolean} true si el árbol se construyó correctamente
+     */
+    loadExpression(expression) {
+        this.notationSelect.value = 'infix';
+        this.expressionInput.value = expression;
+        return this.buildTree(expression, 'infix');
+    }
+
+    /**
+     * Guarda la expresión del árbol actual con el nombre, las etiquetas y la dificultad del formulario
+     * Si el conjunto elegido es un ejemplo, se guarda en el primer conjunto propio (o en uno nuevo)
+     */
+    saveToLibrary() {
+        if (this.quizMode) return;     // La lista mostraría la expresión del ejercicio
+        const sets = this.librarySets;
+        let set = sets.find(entry => entry.id === this.librarySetId) || sets[0];
+        if (!set) {
+            set = this.library.createSet(this.t('library.mySet'), sets);
+            sets.push(set);
+        }
+        
+        let exercise;
+        try {
+            exercise = this.library.createExercise({
+                name: this.libraryNameInput.value,
+                expression: this.sourceInfix,
+                tags: this.library.parseTags(this.libraryTagsInput.value),
+                difficulty: this.libraryDifficultyInput.value
+            });
+        } catch (error) {
+            if (!(error instanceof LibraryError)) throw error;
+            this.showLibraryMessage(error.message, true);
+            return;
+        }
+        
+        set.exercises.push(exercise);
+        this.libraryNameInput.value = '';
+        this.selectLibrarySet(set.id);
+        this.commitLibraryChange(this.t('library.saved', { set: set.name }));
+    }
+
+    /**
+     * Quita un ejercicio del conjunto propio elegido
+     * @param {number} index - Posición del ejercicio en el conjunto
      */
-    renderTree() {
-        // Limpiar el contenedor del árbol
-        this.treeContainer.innerHTML = '';
+    removeLibraryExercise(index) {
+        const set = this.librarySets.find(entry => entry.id === this.librarySetId);
+        if (!set || !set.exercises[index]) return;
         
-        // Crear el elemento visual del nodo raíz recursivamente
-        const rootElement = this.createNodeElement(this.tree);
-        this.treeContainer.appendChild(rootElement);
-        
-        // Crear líneas de conexión después de un breve delay
-        // Esto asegura que el DOM esté completamente renderizado
-        setTimeout(() => {
-            this.createConnections();
-        }, 200);
+        const [removed] = set.exercises.splice(index, 1);
+        this.renderLibrary();
+        this.commitLibraryChange(this.t('library.removed', { set: set.name, name: removed.name }));
     }
 
     /**
-     * Crea el elemento visual de un nodo recursivamente
-     * @param {Object} node - El nodo a renderizar
-     * @returns {HTMLElement} Elemento DOM del nodo
-     */
-    createNodeElement(node) {
-        // Crear el contenedor principal del nodo
-        const nodeDiv = document.createElement('div');
-        nodeDiv.className = 'node';
-        nodeDiv.id = `node-${node.id}`;
-        nodeDiv.style.position = 'relative';
-        
-        // Crear el círculo que muestra el valor del nodo
-        const circle = document.createElement('div');
-        circle.className = 'node-circle';
-        circle.textContent = node.value;  // Mostrar el valor (operador o número)
-        circle.id = `circle-${node.id}`;
-        
-        // Agregar el círculo al contenedor del nodo
-        nodeDiv.appendChild(circle);
-        node.element = circle;  // Guardar referencia para animaciones
-        
-        // Si el nodo tiene hijos, crear contenedores para ellos
-        if (node.left || node.right) {
-            const childrenContainer = document.createElement('div');
-            childrenContainer.className = 'children-container';
-            
-            // Estilos para organizar los hijos horizontalmente
-            childrenContainer.style.display = 'flex';
-            childrenContainer.style.gap = '60px';           // Espacio entre hijos
-            childrenContainer.style.marginTop = '40px';     // Espacio desde el padre
-            childrenContainer.style.justifyContent = 'center';
-            childrenContainer.style.alignItems = 'flex-start';
-            
-            // Crear recursivamente el hijo izquierdo si existe
-            if (node.left) {
-                const leftChild = this.createNodeElement(node.left);
-                childrenContainer.appendChild(leftChild);
-            }
-            
-            // Crear recursivamente el hijo derecho si existe
-            if (node.right) {
-                const rightChild = this.createNodeElement(node.right);
-                childrenContainer.appendChild(rightChild);
-            }
-            
-            // Agregar el contenedor de hijos al nodo
-            nodeDiv.appendChild(childrenContainer);
-        }
-        
-        return nodeDiv;
+     * Crea un conjunto propio vacío y lo elige
+     * @param {string} name - Nombre del conjunto
+     */
+    createLibrarySet(name) {
+        const set = this.library.createSet(name, this.librarySets);
+        this.librarySets.push(set);
+        this.newSetNameInput.value = '';
+        this.selectLibrarySet(set.id);
+        this.commitLibraryChange(this.t('library.setCreated', { name: set.name }));
     }
 
     /**
-     * Crea las líneas de conexión entre nodos padre e hijos
-     * Limpia líneas existentes y dibuja nuevas conexiones
+     * Elimina el conjunto propio elegido, tras confirmarlo
      */
-    createConnections() {
-        // Limpiar líneas existentes para evitar duplicados
-        const existingLines = this.treeContainer.querySelectorAll('.connection-line');
-        existingLines.forEach(line => line.remove());
+    deleteLibrarySet() {
+        const set = this.librarySets.find(entry => entry.id === this.librarySetId);
+        if (!set) return;
+        if (set.exercises.length > 0 && !window.confirm(this.t('library.confirmDelete', { name: set.name, count: set.exercises.length }))) return;
         
-        // Crear conexiones recursivamente para todos los nodos
-        this.createConnectionLines(this.tree);
+        this.librarySets = this.librarySets.filter(entry => entry !== set);
+        this.selectLibrarySet(null);
+        this.commitLibraryChange(this.t('library.setDeleted', { name: set.name }));
     }
 
     /**
-     * Crea líneas de conexión recursivamente para un nodo y sus hijos
-     * @param {Object} node - El nodo actual
+     * Descarga el conjunto elegido como archivo JSON (también los ejemplos, como punto de partida)
      */
-    createConnectionLines(node) {
-        if (!node) return;  // Caso base: nodo nulo
-        
-        // Conectar con el hijo izquierdo si existe
-        if (node.left) {
-            this.drawConnection(node.id, node.left.id);
-            this.createConnectionLines(node.left);  // Recursión para el hijo izquierdo
-        }
-        
-        // Conectar con el hijo derecho si existe
-        if (node.right) {
-            this.drawConnection(node.id, node.right.id);
-            this.createConnectionLines(node.right); // Recursión para el hijo derecho
-        }
+    exportLibrarySet() {
+        const set = this.selectedLibrarySet();
+        const filename = set.name.replace(/[\\/:*?"<>|\s]+/g, '-');
+        this.downloadFile(`${filename}.json`, this.library.exportSet(set), 'application/json');
     }
 
     /**
-     * Dibuja una línea de conexión entre dos nodos
-     * @param {string} parentId - ID del nodo padre
-     * @param {string} childId - ID del nodo hijo
+     * Importa un conjunto de ejercicios desde un archivo JSON y lo elige
+     * @param {File} file - Archivo seleccionado por el usuario
      */
-    drawConnection(parentId, childId) {
-        // Obtener elementos DOM de los nodos
-        const parentElement = document.getElementById(`node-${parentId}`);
-        const childElement = document.getElementById(`node-${childId}`);
-        
-        if (!parentElement || !childElement) return;
-        
-        // Obtener posiciones de los círculos (no de los contenedores)
-        const parentCircle = parentElement.querySelector('.node-circle');
-        const childCircle = childElement.querySelector('.node-circle');
-        
-        if (!parentCircle || !childCircle) return;
-        
-        // Calcular posiciones relativas al contenedor del árbol
-        const parentRect = parentCircle.getBoundingClientRect();
-        const childRect = childCircle.getBoundingClientRect();
-        const containerRect = this.treeContainer.getBoundingClientRect();
-        
-        // Calcular coordenadas relativas al contenedor
-        const parentX = parentRect.left - containerRect.left + parentRect.width / 2;  // Centro X del padre
-        const parentY = parentRect.bottom - containerRect.top;                        // Borde inferior del padre
-        const childX = childRect.left - containerRect.left + childRect.width / 2;    // Centro X del hijo
-        const childY = childRect.top - containerRect.top;                           // Borde superior del hijo
-        
-        // Crear línea vertical desde el padre hacia abajo
-        const verticalLine = document.createElement('div');
-        verticalLine.className = 'connection-line vertical';
-        verticalLine.style.position = 'absolute';
-        verticalLine.style.left = `${parentX - 1}px`;                    // Centrar la línea
-        verticalLine.style.top = `${parentY}px`;                          // Desde el padre
-        verticalLine.style.width = '2px';                                // Grosor de la línea
-        verticalLine.style.height = `${Math.abs(childY - parentY)}px`;    // Altura hasta el hijo
-        verticalLine.style.backgroundColor = '#4a5568';
-        verticalLine.style.zIndex = '1';                                  // Detrás de los nodos
-        
-        // Crear línea horizontal hacia el hijo
-        const horizontalLine = document.createElement('div');
-        horizontalLine.className = 'connection-line horizontal';
-        horizontalLine.style.position = 'absolute';
-        horizontalLine.style.left = `${Math.min(parentX, childX)}px`;     // Desde el más a la izquierda
-        horizontalLine.style.top = `${childY - 1}px`;                     // Hasta el hijo
-        horizontalLine.style.width = `${Math.abs(childX - parentX)}px`;   // Ancho entre nodos
-        horizontalLine.style.height = '2px';                             // Grosor de la línea
-        horizontalLine.style.backgroundColor = '#4a5568';
-        horizontalLine.style.zIndex = '1';                                // Detrás de los nodos
-        
-        // Agregar las líneas al contenedor del árbol
-        this.treeContainer.appendChild(verticalLine);
-        this.treeContainer.appendChild(horizontalLine);
+    importLibrarySet(file) {
+        return file.text().then(text => {
+            let set;
+            try {
+                set = this.library.importSet(text, file.name, this.librarySets);
+            } catch (error) {
+                if (!(error instanceof LibraryError)) throw error;
+                this.showLibraryMessage(error.message, true);
+                return;
+            }
+            
+            this.librarySets.push(set);
+            this.selectLibrarySet(set.id);
+            this.commitLibraryChange(this.t('library.imported', { name: set.name, count: set.exercises.length }));
+        }).catch(error => {
+            // Archivo ilegible o error inesperado al leer los ejercicios
+            this.showLibraryMessage(this.t('import.failed', { file: file.name, message: error.message }), true);
+        });
     }
 
     /**
      * Inicia un recorrido del árbol según el tipo especificado
-     * @param {string} type - Tipo de recorrido: 'preorder', 'inorder', 'postorder'
+     * @param {string} type - Tipo de recorrido: 'preorder', 'inorder', 'postorder', 'evaluate',
+     *                        'stack' (máquina de pila), 'shunting' (infija → postfija), 'euler',
+     *                        'levelorder', 'reversePreorder', 'reverseInorder', 'reversePostorder',
+     *                        'iterativePreorder', 'iterativeInorder', 'iterativePostorder'
+     *                        o 'compare' (preorden, infijo y postorden a la vez)
      */
     startTraversal(type) {
-        if (this.isAnimating) return;  // Evitar múltiples animaciones simultáneas
+        // En el modo de práctica solo se reproduce la solución del ejercicio ya corregido
+        if (this.quizMode && !(this.quiz && this.quiz.graded && type === this.quiz.type)) return;
         
-        this.reset();                  // Limpiar estado anterior
-        this.isAnimating = true;       // Marcar como animando
+        this.reset();                  // Cancelar la reproducción anterior y limpiar su estado
         
         let traversal;                 // Array con el orden de visita de nodos
         let result;                    // String con la notación resultante
         
+        // Recorrido de Euler completo: sirve para iluminar las aristas en cualquier modo
+        this.tour = this.core.eulerTour(this.tree);
+        
         // Seleccionar el tipo de recorrido y obtener resultado
         switch (type) {
             case 'preorder':
-                traversal = this.preorderTraversal(this.tree);    // Recorrido preorden
-                result = this.preorderResult(this.tree);          // Notación prefija
+                traversal = this.core.preorderTraversal(this.tree);    // Recorrido preorden
+                result = this.core.preorderResult(this.tree);          // Notación prefija
                 break;
             case 'inorder':
-                traversal = this.inorderTraversal(this.tree);     // Recorrido infijo
-                result = this.inorderResult(this.tree);          // Notación infija
+                traversal = this.core.inorderTraversal(this.tree);     // Recorrido infijo
+                result = this.core.inorderResult(this.tree, this.infixStyleSelect.value);          // Notación infija
                 break;
             case 'postorder':
-                traversal = this.postorderTraversal(this.tree);   // Recorrido postorden
-                result = this.postorderResult(this.tree);        // Notación postfija
+                traversal = this.core.postorderTraversal(this.tree);   // Recorrido postorden
+                result = this.core.postorderResult(this.tree);        // Notación postfija
+                break;
+            case 'evaluate':
+                this.evaluation = this.core.evaluateTree(this.tree, this.exactModeCheckbox.checked, this.bindings);
+                traversal = this.evaluation.steps.map(step => step.node); // Postorden hasta el final o el error
+                result = this.core.describeEvaluationResult(this.evaluation);
+                this.stepsContainer.classList.add('evaluation');  // Pasos como lista de operaciones
+                break;
+            case 'stack':
+                this.machine = this.buildStackMachine(this.tree, this.exactModeCheckbox.checked);
+                traversal = this.machine.states.map(state => state.node); // Postorden con la pila
+                result = this.machine.result;
+                break;
+            case 'shunting':
+                this.machine = this.buildShuntingMachine(this.sourceInfix);
+                traversal = this.machine.states.map(state => state.node); // Nodos emitidos a la salida
+                result = this.machine.result;
+                break;
+            case 'levelorder':
+                this.machine = this.buildLevelOrderMachine(this.tree);
+                traversal = this.machine.states.map(state => state.node); // Nivel por nivel
+                result = this.core.notationFromTraversal(traversal);
+                break;
+            case 'reversePreorder':
+                traversal = this.core.reversePreorderTraversal(this.tree);   // Raíz → Derecha → Izquierda
+                result = this.core.notationFromTraversal(traversal);
                 break;
+            case 'reverseInorder':
+                traversal = this.core.reverseInorderTraversal(this.tree);    // Derecha → Raíz → Izquierda
+                result = this.core.notationFromTraversal(traversal);
+                break;
+            case 'reversePostorder':
+                traversal = this.core.reversePostorderTraversal(this.tree);  // Derecha → Izquierda → Raíz
+                result = this.core.notationFromTraversal(traversal);
+                break;
+            case 'iterativePreorder':
+            case 'iterativeInorder':
+            case 'iterativePostorder':
+                this.machine = this.buildIterativeMachine(this.tree, type);
+                traversal = this.machine.states.map(state => state.node); // Mismo orden que el recursivo
+                result = this.core.notationFromTraversal(traversal);
+                break;
+            case 'euler':
+                traversal = this.tour.map(event => event.node);  // Cada paso por un nodo
+                result = `${this.t('notation.prefix')}: ${this.core.preorderResult(this.tree)}<br>` +
+                         `${this.t('notation.infix')}: ${this.core.inorderResult(this.tree, this.infixStyleSelect.value)}<br>` +
+                         `${this.t('notation.postfix')}: ${this.core.postorderResult(this.tree)}`;
+                break;
+            case 'compare':
+                // Los tres recorridos visitan cada nodo una vez, así que avanzan juntos paso a paso
+                this.comparison = this.buildTraversalComparison();
+                traversal = this.comparison.columns[0].traversal;
+                result = this.comparison.columns.map(column => `${this.t(column.title)}: ${column.result}`).join('<br>');
+                break;
+        }
+        
+        // Recorridos recursivos: pila de llamadas y pseudocódigo, sincronizados con cada visita
+        if (this.core.recursiveTraversals[type]) {
+            const events = this.core.recursionTrace(this.tree, type);
+            this.recursion = {
+                type: type,
+                events: events,
+                visits: events.flatMap((event, index) => event.type === 'visit' ? [index] : [])
+            };
+            this.recursionPanel.hidden = false;
         }
         
+        // Asociar cada paso con su momento del recorrido de Euler
+        this.tourPositions = this.mapStepsToTour(type, traversal);
+        
         // Configurar el recorrido actual y mostrar resultado
         this.currentTraversal = traversal;
+        this.currentTraversalType = type;
         this.resultDisplay.innerHTML = `<span class="result-text">${result}</span>`;
+        this.saveState('push');
         
-        // Iniciar la animación paso a paso
-        this.animateTraversal();
+        // Mostrar el primer paso e iniciar la reproducción
+        this.renderStep();
+        this.play();
     }
 
     /**
-     * Recorrido preorden: Raíz → Izquierda → Derecha
-     * @param {Object} node - Nodo actual
-     * @returns {Array} Array de nodos en orden preorden
+     * Inicia una transformación simbólica del árbol y anima sus pasos
+     * Cada paso muestra el árbol tras aplicar una regla, con el subárbol reemplazado resaltado
+     * @param {string} type - 'simplify' (simplificar) o 'derive' (derivar respecto de la variable elegida)
      */
-    preorderTraversal(node) {
-        if (!node) return [];  // Caso base: nodo nulo
-        
-        const result = [];
-        result.push(node);     // 1. Visitar la raíz primero
+    startRewrite(type) {
+        if (this.quizMode) return;     // El árbol transformado se muestra en infija
+        this.reset();
         
-        // 2. Recorrer subárbol izquierdo recursivamente
-        if (node.left) {
-            result.push(...this.preorderTraversal(node.left));
+        const variable = this.deriveVariableInput.value.trim();
+        let steps;
+        try {
+            if (type === 'derive' && !this.parser.isVariable(variable)) {
+                throw new EvaluationError(this.t('rewrite.invalidVariable', { variable: variable }), null);
+            }
+            steps = type === 'derive' ? this.rewriter.differentiate(this.tree, variable) : this.rewriter.simplify(this.tree);
+        } catch (error) {
+            if (!(error instanceof EvaluationError)) throw error;
+            this.resultDisplay.innerHTML = '<span class="result-text"></span>';
+            this.resultDisplay.firstChild.textContent = this.t('result.error', { message: error.message });
+            return;
         }
         
-        // 3. Recorrer subárbol derecho recursivamente
-        if (node.right) {
-            result.push(...this.preorderTraversal(node.right));
+        // Cada regla aplicada es un paso: se resalta la raíz del subárbol nuevo
+        this.rewrite = { type: type, variable: variable, original: this.tree, steps: steps };
+        this.machine = {
+            type: 'rewrite',
+            states: steps.map(step => ({
+                node: step.path ? this.core.subtreeAt(step.tree, step.path) : null,
+                label: step.rule.split(' (')[0],                  // Nombre corto, sin la fórmula
+                rule: step.before
+                    ? `${step.rule}: ${this.core.inorderResult(step.before, 'minimal')} → ${this.core.inorderResult(step.after, 'minimal')}`
+                    : step.rule
+            }))
+        };
+        
+        const final = this.core.inorderResult(steps[steps.length - 1].tree, this.infixStyleSelect.value);
+        let result;
+        if (type === 'derive') {
+            result = `d/d${variable}(${this.core.inorderResult(this.tree, this.infixStyleSelect.value)}) = ${final}`;
+        } else {
+            result = this.t(steps.length > 1 ? 'rewrite.simplified' : 'rewrite.unchanged', { expression: final });
         }
         
-        return result;
+        this.currentTraversal = this.machine.states.map(state => state.node);
+        this.currentTraversalType = type;
+        this.resultDisplay.innerHTML = `<span class="result-text">${result}</span>`;
+        this.applyRewriteBtn.hidden = false;
+        this.saveState('push');
+        
+        this.renderStep();
+        this.play();
     }
 
     /**
-     * Recorrido infijo: Izquierda → Raíz → Derecha
-     * @param {Object} node - Nodo actual
-     * @returns {Array} Array de nodos en orden infijo
+     * Reemplaza el árbol actual por el resultado de la transformación (se puede deshacer)
      */
-    inorderTraversal(node) {
-        if (!node) return [];  // Caso base: nodo nulo
+    applyRewrite() {
+        if (!this.rewrite) return;
         
-        const result = [];
+        const steps = this.rewrite.steps;
+        const original = this.rewrite.original;
+        const root = this.parser.fromJSON(this.core.serializeTree(steps[steps.length - 1].tree));
         
-        // 1. Recorrer subárbol izquierdo recursivamente
-        if (node.left) {
-            result.push(...this.inorderTraversal(node.left));
-        }
-        
-        result.push(node);     // 2. Visitar la raíz en el medio
+        this.undoStack.push(this.core.serializeTree(original));
+        this.redoStack = [];
+        this.commitTree(root, null);
+        this.showEditorMessage(this.t('editor.rewriteApplied'));
+    }
+
+    /**
+     * Abre el panel de comparación con una columna por árbol: título, copia del árbol y lista de pasos
+     * @param {string} title - Clave del título del panel
+     * @param {Array} columns - Columnas {heading, tree, prefix}
+     * @returns {Array} Por cada columna, {svg, steps}: la copia del árbol y el contenedor de sus pasos
+     */
+    showComparisonPanel(title, columns) {
+        this.comparisonTitle.textContent = this.t(title);
+        this.comparisonVerdict.textContent = '';
+        this.comparisonVerdict.className = 'comparison-verdict';
+        this.comparisonColumns.innerHTML = '';
+        this.comparisonPanel.hidden = false;
         
-        // 3. Recorrer subárbol derecho recursivamente
-        if (node.right) {
-            result.push(...this.inorderTraversal(node.right));
-        }
+        return columns.map(column => {
+            const element = document.createElement('div');
+            element.className = 'comparison-column';
+            const heading = document.createElement('h5');
+            heading.textContent = column.heading;
+            const svg = this.buildTreeCopy(column.tree, column.prefix);
+            const steps = document.createElement('div');
+            steps.className = 'steps comparison-steps';
+            element.append(heading, svg, steps);
+            this.comparisonColumns.appendChild(element);
+            return { svg: svg, steps: steps };
+        });
+    }
+
+    /**
+     * Prepara los tres recorridos a la vez: una copia del árbol para cada uno
+     * @returns {Object} {columns}: por recorrido, su tipo, título, orden de visita, notación,
+     *                   prefijo de los IDs de su copia y contenedor de sus pasos
+     */
+    buildTraversalComparison() {
+        const columns = [
+            { type: 'preorder', title: 'controls.preorder',
+              traversal: this.core.preorderTraversal(this.tree), result: this.core.preorderResult(this.tree) },
+            { type: 'inorder', title: 'controls.inorder',
+              traversal: this.core.inorderTraversal(this.tree), result: this.core.inorderResult(this.tree, this.infixStyleSelect.value) },
+            { type: 'postorder', title: 'controls.postorder',
+              traversal: this.core.postorderTraversal(this.tree), result: this.core.postorderResult(this.tree) }
+        ];
+        columns.forEach(column => { column.prefix = `cmp-${column.type}-`; });
         
-        return result;
+        const elements = this.showComparisonPanel('comparison.traversals', columns.map(column => ({
+            heading: this.t(column.title), tree: this.tree, prefix: column.prefix
+        })));
+        columns.forEach((column, index) => { column.steps = elements[index].steps; });
+        return { columns: columns };
     }
 
     /**
-     * Recorrido postorden: Izquierda → Derecha → Raíz
-     * @param {Object} node - Nodo actual
-     * @returns {Array} Array de nodos en orden postorden
+     * Dibuja el paso actual en las tres copias del árbol: cada una resalta su propio recorrido
+     * @param {number} lastShown - Índice del último paso visible
      */
-    postorderTraversal(node) {
-        if (!node) return [];  // Caso base: nodo nulo
+    renderComparison(lastShown) {
+        this.comparisonColumns.querySelectorAll('.node-circle').forEach(circle => {
+            circle.classList.remove('current', 'visited');
+        });
         
-        const result = [];
+        this.comparison.columns.forEach(column => {
+            column.steps.innerHTML = '';
+            for (let index = 0; index <= lastShown; index++) {
+                const node = column.traversal[index];
+                const isCurrent = index === this.currentStep;
+                document.getElementById(`${column.prefix}circle-${node.id}`).classList.add(isCurrent ? 'current' : 'visited');
+                
+                const stepElement = document.createElement('span');
+                stepElement.className = isCurrent ? 'step current' : 'step completed';
+                stepElement.textContent = node.value;
+                stepElement.dataset.step = index;               // Índice para saltar a este paso
+                stepElement.title = this.t('steps.goTo', { step: index + 1 });
+                column.steps.appendChild(stepElement);
+            }
+        });
+    }
+
+    /**
+     * Muestra junto al árbol actual el de otra expresión infija e indica si son idénticos,
+     * iguales salvo el orden de los operandos de + y ∗, de igual valor o distintos
+     * @param {string} expression - Expresión B, ej: 10∗5/(5+(3−8))
+     */
+    compareExpression(expression) {
+        if (this.quizMode) return;     // La comparación muestra las dos expresiones en infija
+        this.reset();                  // La comparación sustituye al recorrido en curso
+        this.comparedExpression = expression;
         
-        // 1. Recorrer subárbol izquierdo recursivamente
-        if (node.left) {
-            result.push(...this.postorderTraversal(node.left));
+        let other;
+        try {
+            other = this.core.build(expression);
+        } catch (error) {
+            if (!(error instanceof ExpressionParseError)) throw error;
+            this.showComparisonPanel('comparison.expressions', []);
+            this.comparisonVerdict.textContent = this.t('comparison.invalid', { message: error.message });
+            this.comparisonVerdict.classList.add('error');
+            this.compareExpressionInput.classList.add('invalid');
+            return;
         }
+        this.compareExpressionInput.classList.remove('invalid');
+        
+        const comparison = this.core.compareTrees(this.tree, other);
+        this.showComparisonPanel('comparison.expressions', [
+            { heading: this.t('comparison.first', { expression: this.core.inorderResult(this.tree) }), tree: this.tree, prefix: 'cmp-a-' },
+            { heading: this.t('comparison.second', { expression: this.core.inorderResult(other) }), tree: other, prefix: 'cmp-b-' }
+        ]);
         
-        // 2. Recorrer subárbol derecho recursivamente
-        if (node.right) {
-            result.push(...this.postorderTraversal(node.right));
+        // En B se marcan los nodos + y ∗ cuyos operandos están en el orden contrario que en A
+        comparison.swapped.forEach(id => document.getElementById(`cmp-b-circle-${id}`).classList.add('swapped'));
+        
+        const isEqual = comparison.commutative || comparison.value === 'equal';
+        this.comparisonVerdict.textContent = this.core.describeComparison(comparison);
+        this.comparisonVerdict.classList.add(isEqual ? 'equal' : 'different');
+        if (comparison.swapped.length > 0) {
+            const hint = document.createElement('span');
+            hint.className = 'comparison-hint';
+            hint.textContent = this.t('comparison.swapped');
+            this.comparisonVerdict.appendChild(hint);
         }
+    }
+
+    /**
+     * Recorrido por niveles (BFS): visita los nodos de arriba abajo y de izquierda a derecha
+     * usando una cola; registra el estado de la cola en cada visita
+     * @param {Object} tree - Nodo raíz
+     * @returns {Object} {type, states}: un estado por nodo visitado
+     */
+    buildLevelOrderMachine(tree) {
+        const queue = tree ? [tree] : [];
+        const states = [];
         
-        result.push(node);     // 3. Visitar la raíz al final
+        while (queue.length > 0) {
+            const node = queue.shift();                      // 1. Sacar el nodo del frente
+            const children = this.core.nodeChildren(node);
+            queue.push(...children);                         // 2. Encolar sus hijos al final
+            
+            const names = children.map(child => this.core.operatorSymbols[child.value] || child.value);
+            const symbol = this.core.operatorSymbols[node.value] || node.value;
+            states.push({
+                node: node,
+                label: node.value,
+                rule: names.length > 0
+                    ? this.t('levelorder.visit', { node: symbol, children: this.joinNames(names) })
+                    : this.t('levelorder.leaf', { node: symbol }),
+                output: queue.map(entry => this.core.operatorSymbols[entry.value] || entry.value),
+                appended: children.length
+            });
+        }
         
-        return result;
+        return { type: 'queue', states: states };
     }
 
     /**
-     * Genera la notación prefija (preorden) como string
-     * @param {Object} node - Nodo actual
-     * @returns {string} Notación prefija
+     * Versiones iterativas de los recorridos preorden, infijo y postorden
+     * Sustituyen la recursión por una pila explícita; registra la pila en cada visita
+     * @param {Object} tree - Nodo raíz
+     * @param {string} type - 'iterativePreorder', 'iterativeInorder' o 'iterativePostorder'
+     * @returns {Object} {type, states}: un estado por nodo visitado
      */
-    preorderResult(node) {
-        if (!node) return '';  // Caso base: nodo nulo
+    buildIterativeMachine(tree, type) {
+        const stack = [];
+        const states = [];
+        const name = (node) => this.core.operatorSymbols[node.value] || node.value;
+        const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+        const pushText = (nodes) => this.t('iterative.push', { nodes: nodes.map(name).join(', ') });
+        let pushed = [];           // Nodos apilados desde la última visita
+        let actions = [];          // Acciones realizadas desde la última visita (textos o grupos de apilados)
         
-        let result = node.value;  // 1. Agregar valor de la raíz primero
+        const push = (node) => {
+            stack.push(node);
+            pushed.push(node);
+            const last = actions[actions.length - 1];
+            if (last && last.nodes) {
+                last.nodes.push(node);                   // Agrupar apilados consecutivos
+            } else {
+                actions.push({ nodes: [node] });
+            }
+        };
         
-        // 2. Agregar resultado del subárbol izquierdo
-        if (node.left) {
-            result += ' ' + this.preorderResult(node.left);
-        }
+        // Registra la visita de un nodo junto con la pila resultante y las acciones previas
+        const visit = (node, explanation) => {
+            const rule = actions
+                .map(action => action.nodes ? pushText(action.nodes) : action)
+                .concat(explanation)
+                .join('; ');
+            states.push({
+                node: node,
+                label: node.value,
+                rule: capitalize(rule),
+                stack: stack.map(name),
+                pushed: pushed.filter(entry => stack.includes(entry)).length
+            });
+            pushed = [];
+            actions = [];
+        };
+        
+        if (!tree) return { type: 'iterative', states: states };
         
-        // 3. Agregar resultado del subárbol derecho
-        if (node.right) {
-            result += ' ' + this.preorderResult(node.right);
+        if (type === 'iterativePreorder') {
+            // Desapilar y visitar; después apilar los hijos, el de la derecha primero para que salga después
+            stack.push(tree);
+            while (stack.length > 0) {
+                const node = stack.pop();
+                const children = [...this.core.nodeChildren(node)].reverse();
+                stack.push(...children);
+                states.push({
+                    node: node,
+                    label: node.value,
+                    rule: capitalize(this.t('iterative.popVisit', { node: name(node) })) +
+                        (children.length > 0 ? `; ${pushText(children)}` : '') +
+                        (children.length > 1 ? ` ${this.t('iterative.rightFirst')}` : ''),
+                    stack: stack.map(name),
+                    pushed: children.length
+                });
+            }
+        } else if (type === 'iterativeInorder') {
+            // Bajar por la izquierda apilando; al no poder bajar más, desapilar, visitar e ir a la derecha
+            // El menos unario y las funciones no tienen hijo a su izquierda: se visitan antes que sus
+            // argumentos, y si les quedan varios (ej: max(a, b, c)) se vuelven a apilar para retomarlos
+            const nextChild = new Map();       // Nodos ya visitados → posición del siguiente hijo pendiente
+            let current = tree;
+            while (current || stack.length > 0) {
+                while (current) {
+                    push(current);
+                    current = this.core.isInfixNode(current) ? current.children[0] : null;
+                }
+                const node = stack.pop();
+                const resumed = nextChild.has(node);
+                const index = resumed ? nextChild.get(node) : (this.core.isInfixNode(node) ? 1 : 0);
+                const next = node.children[index] || null;
+                const hasMore = index + 1 < node.children.length;
+                const continueKey = this.core.isInfixNode(node) ? 'iterative.continueRight' : 'iterative.continueChild';
+                
+                if (hasMore) {
+                    nextChild.set(node, index + 1);
+                    stack.push(node);
+                    pushed.push(node);
+                }
+                
+                if (resumed) {
+                    actions.push(this.t(hasMore ? 'iterative.resumeRepush' : 'iterative.resume', { node: name(node) }) +
+                        `; ${this.t('iterative.continueChild', { node: name(next) })}`);
+                } else {
+                    visit(node, this.t('iterative.popVisit', { node: name(node) }) +
+                        (hasMore ? `; ${this.t('iterative.repush')}` : '') +
+                        (next ? `; ${this.t(continueKey, { node: name(next) })}` : ''));
+                }
+                current = next;
+            }
+        } else {
+            // Postorden: un nodo se visita cuando ya se visitó su último hijo (o no tiene hijos)
+            let current = tree;
+            let lastVisited = null;
+            while (current || stack.length > 0) {
+                if (current) {
+                    push(current);
+                    current = current.children[0] || null;
+                } else {
+                    const top = stack[stack.length - 1];
+                    const next = top.children[top.children.indexOf(lastVisited) + 1];
+                    if (next) {
+                        current = next;                   // Falta recorrer el siguiente subárbol
+                    } else {
+                        stack.pop();
+                        visit(top, `${this.t('iterative.popVisit', { node: name(top) })} ` +
+                            this.t(this.core.nodeChildren(top).length > 0 ? 'iterative.childrenDone' : 'iterative.leaf'));
+                        lastVisited = top;
+                    }
+                }
+            }
         }
         
-        return result;
+        return { type: 'iterative', states: states };
     }
 
     /**
-     * Genera la notación infija (infijo) como string
-     * @param {Object} node - Nodo actual
-     * @returns {string} Notación infija
+     * Asocia cada paso de un recorrido con su evento en el recorrido de Euler
+     * @param {string} type - Tipo de recorrido
+     * @param {Array} traversal - Nodos del recorrido en orden
+     * @returns {Array|null} Índice del evento de Euler de cada paso, o null si no aplica
      */
-    inorderResult(node) {
-        if (!node) return '';  // Caso base: nodo nulo
+    mapStepsToTour(type, traversal) {
+        const moments = {
+            preorder: 'pre', inorder: 'in', postorder: 'post',
+            evaluate: 'post', stack: 'post',                 // La evaluación es un postorden
+            iterativePreorder: 'pre', iterativeInorder: 'in', iterativePostorder: 'post'
+        };
         
-        let result = '';
+        if (type === 'euler') return this.tour.map((event, index) => index);
+        if (!moments[type]) return null;                     // Shunting-yard, niveles e inversos no siguen este rodeo
         
-        // 1. Agregar resultado del subárbol izquierdo
-        if (node.left) {
-            result += this.inorderResult(node.left) + ' ';
+        // Primer evento de cada nodo en el momento correspondiente (las hojas valen para todos);
+        // en infijo, el menos unario y las funciones se visitan al llegar, antes que sus argumentos
+        const positions = new Map();
+        const momentOf = (node) => moments[type] === 'in' && !this.core.isInfixNode(node) ? 'pre' : moments[type];
+        this.tour.forEach((event, index) => {
+            if ((event.moment === momentOf(event.node) || event.moment === 'leaf') && !positions.has(event.node.id)) {
+                positions.set(event.node.id, index);
+            }
+        });
+        
+        return traversal.map(node => positions.get(node.id));
+    }
+
+    /**
+     * Ilumina las aristas recorridas hasta un evento del recorrido de Euler
+     * Las aristas del camino actual (bajando) se resaltan; las ya recorridas de vuelta se atenúan
+     * @param {number} tourIndex - Último evento de Euler alcanzado
+     */
+    renderTourEdges(tourIndex) {
+        this.treeContainer.querySelectorAll('.connection-line').forEach(line => {
+            line.classList.remove('highlighted', 'returned');
+        });
+        
+        for (let i = 0; i <= tourIndex; i++) {
+            const edge = this.tour[i].edge;
+            const line = edge ? document.getElementById(edge.id) : null;
+            if (!line) continue;
+            
+            if (edge.direction === 'down') {
+                line.classList.add('highlighted');
+            } else {
+                line.classList.remove('highlighted');
+                line.classList.add('returned');
+            }
         }
+    }
+
+    /**
+     * Marca junto a un nodo el momento en que el recorrido de Euler pasa por él:
+     * a la izquierda (pre), debajo (in) y a la derecha (post)
+     * @param {Object} event - Evento del recorrido de Euler
+     */
+    showMomentBadges(event) {
+        const circle = document.getElementById(`circle-${event.node.id}`);
+        if (!circle) return;
+        
+        const offset = this.nodeRadius + 14;
+        const placements = {
+            pre: { x: -offset, y: 0 },
+            in: { x: 0, y: offset },
+            post: { x: offset, y: 0 }
+        };
+        const moments = event.moment === 'leaf' ? ['pre', 'in', 'post'] : [event.moment];
         
-        result += node.value;  // 2. Agregar valor de la raíz en el medio
+        moments.forEach(moment => {
+            const badge = this.createSvgElement('text', {
+                class: `moment-badge ${moment}`,
+                x: placements[moment].x,
+                y: placements[moment].y,
+                'text-anchor': 'middle',
+                'dominant-baseline': 'central'
+            });
+            badge.textContent = moment;
+            circle.appendChild(badge);
+        });
+    }
+
+    /**
+     * Muestra el valor calculado de un nodo debajo de su círculo
+     * @param {Object} node - Nodo evaluado
+     * @param {string} text - Valor a mostrar
+     * @param {boolean} isError - true si la evaluación falló en este nodo
+     */
+    showNodeValue(node, text, isError = false) {
+        const circle = document.getElementById(`circle-${node.id}`);
+        if (!circle) return;
+
+        // Etiqueta bajo el círculo: rectángulo de fondo ajustado al texto
+        const width = text.length * 9 + 14;
+        const label = this.createSvgElement('g', {
+            class: isError ? 'node-value error' : 'node-value',
+            transform: `translate(0, ${this.nodeRadius + 16})`
+        });
+        label.appendChild(this.createSvgElement('rect', { x: -width / 2, y: -11, width: width, height: 22, rx: 10 }));
+        const value = this.createSvgElement('text', { 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+        value.textContent = text;
+        label.appendChild(value);
+
+        circle.appendChild(label);
+    }
+
+    /**
+     * Simula la evaluación postfija con una pila de operandos
+     * Cada número o variable se apila; cada operador desapila tantos valores como su aridad y apila su resultado
+     * @param {Object} tree - Nodo raíz del árbol
+     * @param {boolean} exact - true para operar con fracciones exactas
+     * @returns {Object} {type, states, result}: estados de la pila en cada paso
+     */
+    buildStackMachine(tree, exact) {
+        const evaluation = this.core.evaluateTree(tree, exact, this.bindings);
+        const stack = [];
+        const states = [];
+
+        evaluation.steps.forEach(step => {
+            const node = step.node;
+            const symbol = this.core.operatorSymbols[node.value] || node.value;
+            let rule;
+
+            if (node.children.length === 0) {
+                // Operando (número o variable): se apila
+                const isVariable = this.parser.isVariable(node.value);
+                if (step.error) {
+                    const name = isVariable ? this.t('stack.variable', { name: node.value }) : this.t('stack.operand');
+                    rule = `${name}: ${step.text}`;
+                } else {
+                    stack.push(this.core.formatValue(step.value));
+                    rule = isVariable
+                        ? this.t('stack.pushVariable', { name: node.value, value: stack[stack.length - 1] })
+                        : this.t('stack.pushOperand', { value: stack[stack.length - 1] });
+                }
+            } else {
+                // Operador o función: desapila tantos valores como hijos tiene, el último primero
+                const kind = this.t(this.parser.isFunction(node.value) ? 'stack.function' : 'stack.operator', { symbol: symbol });
+                const popped = stack.splice(stack.length - node.children.length).reverse();
+                const pops = this.t('stack.pop', { kind: kind, values: this.joinNames(popped), count: popped.length });
+                if (step.error) {
+                    rule = `${pops}. ${step.text}`;
+                } else {
+                    stack.push(this.core.formatValue(step.value));
+                    rule = this.t('stack.pushResult', { pops: pops, result: step.text });
+                }
+            }
+
+            states.push({ node: node, label: symbol, rule: rule, stack: [...stack], pushed: !step.error });
+        });
+
+        const result = `${this.core.postorderResult(tree)} → ${this.core.describeEvaluationResult(evaluation)}`;
+        return { type: 'stack', states: states, result: result };
+    }
+
+    /**
+     * Prepara la animación del algoritmo shunting-yard sobre la expresión infija
+     * Cada token que llega a la salida se asocia al nodo correspondiente del postorden
+     * @param {string} infix - Expresión infija del árbol actual
+     * @returns {Object} {type, states, result}: estados de la pila y de la cola de salida
+     */
+    buildShuntingMachine(infix) {
+        const conversion = this.parser.shuntingYard(infix);
+        const postorder = this.core.postorderTraversal(this.tree);
+        const symbol = (value) => this.core.operatorSymbols[value] || value;
+
+        const states = conversion.states.map(state => {
+            // Resaltar el nodo del árbol que corresponde al último token emitido
+            const emittedNode = state.emitted ? postorder[state.output.length - 1] : null;
+            const emittedToken = state.output[state.output.length - 1];
+            const node = emittedNode && this.parser.tokenName(emittedNode) === emittedToken ? emittedNode : null;
+
+            return {
+                node: node,
+                label: state.token.type === 'end' ? this.t('shunting.endLabel') : symbol(state.token.value),
+                rule: state.rule.replace(/'([+\-*/^])'/g, (match, operator) => `'${symbol(operator)}'`),
+                stack: state.stack.map(symbol),
+                output: state.output.map(symbol),
+                pushed: state.pushed,
+                appended: state.emitted
+            };
+        });
+
+        const result = conversion.postfix.map(symbol).join(' ');
+        return { type: 'shunting', states: states, result: result };
+    }
+
+    /**
+     * Muestra el estado de la máquina de pila (o de la cola) en un paso
+     * @param {number} index - Índice del paso
+     */
+    renderMachineState(index) {
+        const state = this.machine.states[index];
+        const layout = this.machineLayouts[this.machine.type];
+
+        this.machinePanel.hidden = false;
+        this.machineTitle.textContent = this.t(layout.title);
+        this.machineStackTitle.textContent = layout.stackTitle ? this.t(layout.stackTitle) : '';
+        this.machineStack.parentElement.hidden = !layout.stackTitle;
+        this.machineOutputTitle.textContent = layout.outputTitle ? this.t(layout.outputTitle) : '';
+        this.machineOutputColumn.hidden = !layout.outputTitle;
+        this.machineRule.textContent = state.rule;
+
+        // La pila se muestra con la cima arriba; los elementos recién apilados se animan
+        this.machineStack.innerHTML = '';
+        (state.stack || []).forEach((value, position) => {
+            const item = document.createElement('li');
+            item.className = 'machine-item';
+            item.textContent = value;
+            if (position >= state.stack.length - Number(state.pushed || 0)) {
+                item.classList.add('pushed');
+            }
+            this.machineStack.prepend(item);
+        });
+
+        // La cola se muestra de izquierda (frente) a derecha (final)
+        this.machineOutput.innerHTML = '';
+        (state.output || []).forEach((value, position) => {
+            const item = document.createElement('span');
+            item.className = 'machine-item';
+            item.textContent = value;
+            if (position >= state.output.length - Number(state.appended || 0)) {
+                item.classList.add('pushed');
+            }
+            this.machineOutput.appendChild(item);
+        });
+    }
+
+    /**
+     * Anima el recorrido: programa el avance al siguiente paso
+     * Solo existe un temporizador pendiente a la vez, así que cancelarlo detiene la animación
+     */
+    animateTraversal() {
+        this.cancelTimer();
         
-        // 3. Agregar resultado del subárbol derecho
-        if (node.right) {
-            result += ' ' + this.inorderResult(node.right);
+        // Verificar si hemos completado el recorrido (o si se canceló)
+        if (!this.currentTraversal || this.currentStep >= this.currentTraversal.length) {
+            this.isAnimating = false;  // Marcar animación como terminada
+            this.updatePlaybackControls();
+            return;
         }
         
-        return result;
+        // Después del intervalo actual, marcar como visitado y continuar
+        this.timerId = setTimeout(() => {
+            this.timerId = null;
+            this.currentStep++;                        // Avanzar al siguiente paso
+            this.renderStep();
+            this.animateTraversal();                   // Continuar con el siguiente paso
+        }, this.stepDelay());
+        
+        // Recursión: las llamadas y retornos hasta la siguiente visita se reparten en el intervalo
+        if (this.recursion) {
+            this.scheduleRecursionEvents();
+        }
     }
 
     /**
-     * Genera la notación postfija (postorden) como string
-     * @param {Object} node - Nodo actual
-     * @returns {string} Notación postfija
+     * Programa las llamadas y retornos que ocurren entre la visita actual y la siguiente,
+     * para que la pila llegue a la siguiente visita a la vez que el resaltado del árbol
      */
-    postorderResult(node) {
-        if (!node) return '';  // Caso base: nodo nulo
+    scheduleRecursionEvents() {
+        const { events, visits } = this.recursion;
+        const from = visits[this.currentStep];
+        const to = this.currentStep + 1 < visits.length ? visits[this.currentStep + 1] : events.length;
+        const delay = this.stepDelay();
         
-        let result = '';
+        for (let index = from + 1; index < to; index++) {
+            this.recursionTimers.push(setTimeout(() => this.renderRecursion(index, from), delay * (index - from) / (to - from)));
+        }
+    }
+
+    /**
+     * Duración de cada paso en milisegundos según la velocidad elegida
+     * @returns {number} Milisegundos entre pasos
+     */
+    stepDelay() {
+        return 1000 / this.speed;
+    }
+
+    /**
+     * Cancela el temporizador pendiente, si lo hay
+     */
+    cancelTimer() {
+        if (this.timerId !== null) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+        this.recursionTimers.forEach(timer => clearTimeout(timer));
+        this.recursionTimers = [];
+    }
+
+    /**
+     * Inicia o reanuda la reproducción; si ya terminó, vuelve a empezar
+     */
+    play() {
+        if (!this.currentTraversal) return;
         
-        // 1. Agregar resultado del subárbol izquierdo
-        if (node.left) {
-            result += this.postorderResult(node.left) + ' ';
+        if (this.currentStep >= this.currentTraversal.length) {
+            this.currentStep = 0;
+            this.renderStep();
         }
         
-        // 2. Agregar resultado del subárbol derecho
-        if (node.right) {
-            result += this.postorderResult(node.right) + ' ';
+        this.isAnimating = true;
+        this.animateTraversal();
+        this.updatePlaybackControls();
+    }
+
+    /**
+     * Detiene la reproducción en el paso actual
+     */
+    pause() {
+        this.cancelTimer();
+        this.isAnimating = false;
+        this.updatePlaybackControls();
+    }
+
+    /**
+     * Alterna entre reproducir y pausar
+     */
+    togglePlayback() {
+        if (this.isAnimating) {
+            this.pause();
+        } else {
+            this.play();
         }
+    }
+
+    /**
+     * Avanza un paso (pausando la reproducción)
+     */
+    stepForward() {
+        if (!this.currentTraversal) return;
+        this.jumpToStep(Math.min(this.currentStep + 1, this.currentTraversal.length));
+    }
+
+    /**
+     * Retrocede un paso, deshaciendo el resaltado del paso actual (pausando la reproducción)
+     */
+    stepBack() {
+        if (!this.currentTraversal) return;
+        this.jumpToStep(Math.max(this.currentStep - 1, 0));
+    }
+
+    /**
+     * Salta directamente a un paso del recorrido
+     * @param {number} index - Paso destino (0 a la longitud del recorrido)
+     */
+    jumpToStep(index) {
+        if (!this.currentTraversal || Number.isNaN(index)) return;
         
-        result += node.value;  // 3. Agregar valor de la raíz al final
+        this.pause();
+        this.currentStep = Math.max(0, Math.min(index, this.currentTraversal.length));
+        this.renderStep();
+    }
+
+    /**
+     * Cambia la velocidad de reproducción; si está reproduciendo, aplica el cambio de inmediato
+     * @param {number} speed - Multiplicador de velocidad (ej: 0.5, 1, 2)
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+        this.speedLabel.textContent = `${this.i18n.formatNumber(speed)}×`;
+        this.saveState();
         
-        return result;
+        if (this.isAnimating) {
+            this.animateTraversal();
+        }
     }
 
     /**
-     * Anima el recorrido paso a paso, resaltando cada nodo
-     * Se ejecuta recursivamente hasta completar todo el recorrido
+     * Dibuja el estado completo del recorrido en el paso actual
+     * Se reconstruye desde cero, de modo que avanzar, retroceder o saltar
+     * nunca deja resaltados obsoletos
      */
-    animateTraversal() {
-        // Verificar si hemos completado el recorrido
-        if (this.currentStep >= this.currentTraversal.length) {
-            this.isAnimating = false;  // Marcar animación como terminada
-            return;
+    renderStep() {
+        // Transformaciones: cada paso tiene su propio árbol; al cambiarlo, renderTree vuelve a llamar a renderStep
+        if (this.rewrite) {
+            const stepTree = this.rewrite.steps[Math.min(this.currentStep, this.currentTraversal.length - 1)].tree;
+            if (this.tree !== stepTree) {
+                this.tree = stepTree;
+                this.renderTree();
+                return;
+            }
         }
         
-        // Obtener el nodo actual del recorrido
-        const currentNode = this.currentTraversal[this.currentStep];
-        const circle = document.getElementById(`circle-${currentNode.id}`);
+        // Limpiar el estado visual del paso anterior
+        this.treeContainer.querySelectorAll('.node-circle').forEach(circle => {
+            circle.classList.remove('current', 'visited', 'rewritten', 'on-stack');
+        });
+        this.treeContainer.querySelectorAll('.node-value, .moment-badge').forEach(label => label.remove());
+        this.stepsContainer.innerHTML = '';
+        
+        const total = this.currentTraversal.length;
+        const lastShown = Math.min(this.currentStep, total - 1);  // Último paso visible
         
-        if (circle) {
-            // Resaltar el nodo actual con clase CSS
-            circle.classList.add('current');
+        for (let index = 0; index <= lastShown; index++) {
+            const node = this.currentTraversal[index];   // Algunos pasos de la máquina de pila no tienen nodo
+            const circle = node && !this.comparison ? document.getElementById(`circle-${node.id}`) : null;
+            const isCurrent = index === this.currentStep;
+            
+            // Resaltar el nodo: actual o ya visitado
+            if (circle) {
+                circle.classList.add(isCurrent ? 'current' : 'visited');
+            }
             
             // Agregar el paso a la lista visual
-            this.addStep(currentNode.value, this.currentStep);
+            if (this.evaluation) {
+                // Modo Evaluar: mostrar la operación y el subresultado bajo el nodo
+                const step = this.evaluation.steps[index];
+                this.addStep(step.text, index);
+                if (step.error) {
+                    document.getElementById(`step-${index}`).classList.add('error');
+                    this.showNodeValue(node, '⚠', true);
+                } else if (node.children.length > 0) {
+                    this.showNodeValue(node, this.core.formatValue(step.value));
+                }
+            } else if (this.machine) {
+                // Máquina de pila: mostrar el token procesado
+                this.addStep(this.machine.states[index].label, index);
+            } else if (this.comparison) {
+                // Tres recorridos a la vez: el nodo que visita cada uno, ej: "/ · 5 · 5"
+                this.addStep(this.comparison.columns.map(column => column.traversal[index].value).join(' · '), index);
+            } else if (this.currentTraversalType === 'euler') {
+                // Recorrido de Euler: indicar en qué momento se pasa por el nodo
+                const event = this.tour[index];
+                this.addStep(`${node.value} · ${this.t(`moment.${event.moment}`)}`, index);
+                this.showMomentBadges(event);
+            } else {
+                this.addStep(node.value, index);
+            }
             
-            // Después de 1 segundo, marcar como visitado y continuar
-            setTimeout(() => {
-                circle.classList.remove('current');    // Quitar resaltado actual
-                circle.classList.add('visited');       // Marcar como visitado
-                this.updateStep(this.currentStep);     // Actualizar paso en la lista
-                
-                this.currentStep++;                    // Avanzar al siguiente paso
-                this.animateTraversal();               // Continuar recursivamente
-            }, 1000);
+            if (isCurrent) {
+                document.getElementById(`step-${index}`).classList.add('current');
+            } else {
+                this.updateStep(index);                  // Marcar el paso como completado
+            }
+        }
+        
+        // Estado de la pila en el último paso visible
+        if (this.machine) {
+            this.renderMachineState(lastShown);
+        }
+        
+        // Tres recorridos a la vez: cada copia del árbol resalta el suyo
+        if (this.comparison) {
+            this.renderComparison(lastShown);
+        }
+        
+        // Recorridos recursivos: la pila al visitar el nodo actual (vacía al terminar)
+        if (this.recursion) {
+            const { events, visits } = this.recursion;
+            const previous = this.currentStep > 0 ? visits[this.currentStep - 1] : -1;
+            this.renderRecursion(this.currentStep < total ? visits[this.currentStep] : events.length, previous);
+        }
+        
+        // Transformaciones: resaltar todo el subárbol que acaba de reemplazarse
+        if (this.rewrite && this.currentStep < total && this.currentTraversal[lastShown]) {
+            this.core.preorderTraversal(this.currentTraversal[lastShown]).forEach(node => {
+                document.getElementById(`circle-${node.id}`).classList.add('rewritten');
+            });
+        }
+        
+        // Aristas recorridas hasta el paso actual (al terminar, el recorrido completo)
+        if (this.tourPositions) {
+            const tourIndex = this.currentStep >= total ? this.tour.length - 1 : this.tourPositions[lastShown];
+            this.renderTourEdges(tourIndex);
+        }
+        
+        this.narrateStep(lastShown, total);
+        this.updatePlaybackControls();
+        this.saveState();                              // El paso actual forma parte del enlace
+    }
+
+    /**
+     * Muestra la pila de llamadas y la línea del pseudocódigo en un momento de la recursión
+     * @param {number} index - Evento de la traza (su longitud: la recursión terminó)
+     * @param {number} previous - Evento de la visita anterior (-1 si no la hay), para listar lo ocurrido desde entonces
+     */
+    renderRecursion(index, previous) {
+        const { type, events } = this.recursion;
+        const stack = index < events.length ? events[index].stack : [];
+        const name = this.t(`recursion.name.${type}`);
+        const frameText = (node) => this.t('recursion.frame', { name: name, node: this.core.operatorSymbols[node.value] || node.value });
+        
+        // La pila con la cima arriba; la llamada recién hecha se anima como en la máquina de pila
+        this.callStack.innerHTML = '';
+        stack.forEach((frame, position) => {
+            const item = document.createElement('li');
+            item.className = 'machine-item stack-frame';
+            const label = document.createElement('span');
+            label.textContent = frameText(frame.node);
+            const line = document.createElement('span');
+            line.className = 'frame-line';
+            line.textContent = this.t(`recursion.at.${frame.line}`);
+            item.append(label, line);
+            if (position === stack.length - 1) {
+                item.classList.add('top');
+                if (frame.line === 'call') item.classList.add('pushed');
+            }
+            this.callStack.prepend(item);
+        });
+        if (stack.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'stack-empty';
+            empty.textContent = this.t('recursion.empty');
+            this.callStack.appendChild(empty);
+        }
+        
+        // Pseudocódigo: resaltar la línea que ejecuta la llamada de la cima
+        const current = stack.length > 0 ? stack[stack.length - 1].line : null;
+        this.pseudocode.innerHTML = '';
+        ['call', ...this.core.recursiveTraversals[type], 'return'].forEach(line => {
+            const item = document.createElement('li');
+            item.className = `code-line ${line}`;
+            item.textContent = this.t(`recursion.line.${line}`, { name: name });
+            if (line === current) {
+                item.classList.add('current');
+                item.setAttribute('aria-current', 'step');
+            }
+            this.pseudocode.appendChild(item);
+        });
+        
+        // Llamadas y retornos desde la visita anterior
+        const changes = events.slice(previous + 1, index + 1)
+            .filter(event => event.type !== 'visit')
+            .map(event => this.t(`recursion.${event.type}`, { frame: frameText(event.node) }));
+        this.recursionLog.textContent = changes.length > 0 ? this.t('recursion.log', { events: changes.join(' · ') }) : '';
+        
+        // Nodos con una llamada pendiente, marcados en el árbol
+        this.treeContainer.querySelectorAll('.node-circle.on-stack').forEach(circle => circle.classList.remove('on-stack'));
+        stack.forEach(frame => {
+            const circle = document.getElementById(`circle-${frame.node.id}`);
+            if (circle) circle.classList.add('on-stack');
+        });
+    }
+
+    /**
+     * Actualiza el estado de los controles de reproducción y el contador de pasos
+     */
+    updatePlaybackControls() {
+        const total = this.currentTraversal ? this.currentTraversal.length : 0;
+        const hasTraversal = total > 0;
+        
+        this.playPauseBtn.disabled = !hasTraversal;
+        this.stepBackBtn.disabled = !hasTraversal || this.currentStep === 0;
+        this.stepForwardBtn.disabled = !hasTraversal || this.currentStep >= total;
+        this.playPauseBtn.textContent = this.t(this.isAnimating ? 'playback.pause' : 'playback.play');
+        this.recordBtn.disabled = !hasTraversal || this.recording;
+        this.recordFormatSelect.disabled = this.recording;
+        
+        if (!hasTraversal) {
+            this.stepCounter.textContent = '';
+        } else if (this.currentStep >= total) {
+            this.stepCounter.textContent = this.t('playback.completed', { count: total });
+        } else {
+            this.stepCounter.textContent = this.t('playback.step', { step: this.currentStep + 1, total: total });
         }
     }
 
@@ -489,6 +3808,8 @@ class ExpressionTreeVisualizer {
         stepElement.className = 'step';
         stepElement.textContent = value;
         stepElement.id = `step-${index}`;
+        stepElement.dataset.step = index;                   // Índice para saltar a este paso
+        stepElement.title = this.t('steps.goTo', { step: index + 1 });
         
         this.stepsContainer.appendChild(stepElement);
     }
@@ -510,10 +3831,44 @@ class ExpressionTreeVisualizer {
      * Limpia todas las clases CSS y resetea las variables
      */
     reset() {
+        // Cancelar cualquier paso pendiente antes de limpiar
+        this.pause();
+        
         // Resetear variables de estado
-        this.isAnimating = false;
         this.currentStep = 0;
         this.currentTraversal = null;
+        this.currentTraversalType = null;
+        this.tour = null;
+        this.tourPositions = null;
+        this.evaluation = null;
+        this.machine = null;
+        
+        // Volver al árbol original si se estaba mostrando una transformación
+        if (this.rewrite) {
+            this.tree = this.rewrite.original;
+            this.rewrite = null;
+            this.applyRewriteBtn.hidden = true;
+            this.renderTree();
+        }
+        
+        // Cerrar el panel de comparación
+        this.comparison = null;
+        this.comparedExpression = null;
+        this.comparisonPanel.hidden = true;
+        this.comparisonColumns.innerHTML = '';
+        
+        // Ocultar el panel de la pila de llamadas
+        this.recursion = null;
+        this.recursionPanel.hidden = true;
+        this.treeContainer.querySelectorAll('.node-circle.on-stack').forEach(circle => circle.classList.remove('on-stack'));
+        
+        // Ocultar el panel de la máquina de pila
+        this.machinePanel.hidden = true;
+        this.machineStack.innerHTML = '';
+        this.machineOutput.innerHTML = '';
+        
+        // Quitar los subresultados y marcas de momento mostrados junto a los nodos
+        this.treeContainer.querySelectorAll('.node-value, .moment-badge').forEach(label => label.remove());
         
         // Limpiar clases CSS de los nodos
         const circles = document.querySelectorAll('.node-circle');
@@ -524,14 +3879,19 @@ class ExpressionTreeVisualizer {
         // Limpiar clases CSS de las líneas de conexión
         const lines = document.querySelectorAll('.connection-line');
         lines.forEach(line => {
-            line.classList.remove('highlighted');
+            line.classList.remove('highlighted', 'returned');
         });
         
         // Limpiar la lista de pasos
         this.stepsContainer.innerHTML = '';
+        this.stepsContainer.classList.remove('evaluation');
+        
+        this.narration.textContent = '';
         
         // Restaurar mensaje inicial
-        this.resultDisplay.innerHTML = '<span class="result-text">Selecciona un tipo de recorrido para ver el resultado</span>';
+        this.resultDisplay.innerHTML = '<span class="result-text"></span>';
+        this.resultDisplay.firstChild.textContent = this.t('result.placeholder');
+        this.updatePlaybackControls();
     }
 }
 
@@ -545,12 +3905,12 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Mostrar mensaje de bienvenida en la consola
     setTimeout(() => {
-        console.log('🌳 Visualizador de Árbol de Expresiones iniciado');
-        console.log('📝 Expresión: (5*10)/((3-8)+5)');
-        console.log('🎯 Usa los botones para ver los diferentes tipos de recorrido');
-        console.log('📚 Tipos de recorrido disponibles:');
-        console.log('   • Prefija (Preorden): Raíz → Izquierda → Derecha');
-        console.log('   • Infija (Entreorden): Izquierda → Raíz → Derecha');
-        console.log('   • Postfija (Postorden): Izquierda → Derecha → Raíz');
+        console.log(visualizer.t('console.started'));
+        console.log(visualizer.t('console.expression', { expression: visualizer.sourceInfix.trim() }));
+        console.log(visualizer.t('console.hint'));
+        console.log(visualizer.t('console.traversals'));
+        console.log(visualizer.t('console.preorder'));
+        console.log(visualizer.t('console.inorder'));
+        console.log(visualizer.t('console.postorder'));
     }, 1000);
 });
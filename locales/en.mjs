@@ -0,0 +1,507 @@
+/**
+ * Mensajes en inglés
+ * Mismas claves que locales/es.mjs; los que falten se muestran en español
+ */
+
+export default {
+    // Aridad de operadores y funciones
+    'arity.operands': { one: '{count} operand', other: '{count} operands' },
+    'arity.arguments': { one: '{count} argument', other: '{count} arguments' },
+    'arity.atLeast.operands': { one: 'at least {count} operand', other: 'at least {count} operands' },
+    'arity.atLeast.arguments': { one: 'at least {count} argument', other: 'at least {count} arguments' },
+
+    // Errores de análisis
+    'parse.malformedNumber': 'Malformed number at column {column}',
+    'parse.unexpectedChar': "Unexpected character '{char}' at column {column}",
+    'parse.empty': 'The expression is empty',
+    'parse.unexpectedToken': "Unexpected token '{token}' at column {column}",
+    'parse.reserved': "'{name}' (column {column}) is reserved; write unary minus as '-'",
+    'parse.unknownFunction': "There is no function '{name}' (column {column})",
+    'parse.missingOperandAtEnd': 'Missing an operand at the end of the expression (column {column})',
+    'parse.expectedOperand': "Expected an operand or '(' at column {column}, found '{token}'",
+    'parse.functionNeedsParens': 'The function {name} (column {column}) needs its arguments in parentheses',
+    'parse.functionArity': 'The function {name} (column {column}) needs {arity} but got {count}',
+    'parse.expectedClosing': "Expected ')' at column {column} to close the '(' at column {opening}",
+    'parse.wordArity': "'{word}' at column {column}: {name} needs {arity}",
+    'parse.parensInNotation': "Parentheses are not used in {notation} notation (token '{word}' at column {column})",
+    'parse.unknownToken': "Unknown token '{word}' at column {column}",
+    'parse.prefix': 'prefix',
+    'parse.postfix': 'postfix',
+    'parse.extraToken': "Extra token '{token}' at column {column}: the expression was already complete",
+    'parse.missingOperands': "The operator '{operator}' at column {column} is missing operands",
+    'parse.notEnoughOperands': "The operator '{operator}' at column {column} needs {arity} operand(s) but there are only {count}",
+    'parse.extraOperands': {
+        one: "Too many operands: from '{token}' at column {column} there is 1 subexpression with no operator to combine it",
+        other: "Too many operands: from '{token}' at column {column} there are {count} subexpressions with no operator to combine them"
+    },
+    'parse.commaOutside': 'Comma outside the arguments of a function at column {column}',
+    'parse.unopenedParen': "Parenthesis ')' at column {column} was never opened",
+    'parse.unclosedParen': 'A parenthesis is never closed (column {column})',
+
+    // Importación de árboles JSON
+    'json.missingValue': 'The node {path} has no "value" text field',
+    'json.arity': "The operator '{operator}' ({path}) needs {arity} and has {count}",
+    'json.leafWithChildren': 'The leaf {value} ({path}) cannot have children',
+    'json.unknownValue': "Unknown value '{value}' at {path}",
+    'json.root': 'root',
+
+    // Pasos del algoritmo shunting-yard
+    'shunting.number': 'Number {value}: goes straight to the output',
+    'shunting.function': 'Function {name}: pushed until its arguments are closed',
+    'shunting.variable': 'Variable {name}: goes straight to the output',
+    'shunting.negativeNumber': 'Unary minus on a number: -{value} goes to the output',
+    'shunting.negate': 'Unary minus: the neg operator is pushed',
+    'shunting.unaryPlus': 'Unary plus: does not change the value, ignored',
+    'shunting.popHigher': "'{op}' has higher or equal precedence than '{operator}': goes to the output",
+    'shunting.pushOperator': "Operator '{operator}': pushed",
+    'shunting.leftParen': 'Left parenthesis: pushed',
+    'shunting.commaPop': "',': '{op}' is popped to the output until '(' is found",
+    'shunting.comma': 'Comma: the next argument starts',
+    'shunting.rightParenPop': "')': '{op}' is popped to the output until '(' is found",
+    'shunting.rightParen': "Right parenthesis: the matching '(' is discarded",
+    'shunting.callEnd': 'End of the arguments: the function {name} goes to the output',
+    'shunting.endPop': "End of input: '{op}' is popped to the output",
+    'shunting.end': 'End: the output queue holds the postfix notation',
+    'shunting.endLabel': 'end',
+
+    // Transformaciones: reglas de simplificación ("Nombre (fórmula)")
+    'rewrite.original': 'Original expression',
+    'rewrite.derive': 'Differentiate with respect to {variable}',
+    'rule.foldConstants': 'Constant folding',
+    'rule.addZero': 'Additive identity (x + 0 = x)',
+    'rule.subtractZero': 'Subtracting zero (x − 0 = x)',
+    'rule.subtractFromZero': 'Subtracting from zero (0 − x = −x)',
+    'rule.subtractSame': 'Difference of equals (x − x = 0)',
+    'rule.addSame': 'Sum of equals (x + x = 2 ∗ x)',
+    'rule.addOpposite': 'Adding an opposite (x + (−y) = x − y)',
+    'rule.subtractOpposite': 'Subtracting an opposite (x − (−y) = x + y)',
+    'rule.multiplyZero': 'Product by zero (x ∗ 0 = 0)',
+    'rule.multiplyOne': 'Multiplicative identity (x ∗ 1 = x)',
+    'rule.multiplyMinusOne': 'Product by −1 (x ∗ (−1) = −x)',
+    'rule.negativeFactor': 'Opposite in a product ((−x) ∗ y = −(x ∗ y))',
+    'rule.multiplySame': 'Product of equals (x ∗ x = x ^ 2)',
+    'rule.groupConstants': 'Grouping constants (a ∗ (b ∗ x) = (a ∗ b) ∗ x)',
+    'rule.divideOne': 'Dividing by one (x / 1 = x)',
+    'rule.zeroDividend': 'Zero divided (0 / x = 0)',
+    'rule.divideSame': 'Quotient of equals (x / x = 1)',
+    'rule.exponentOne': 'Exponent one (x ^ 1 = x)',
+    'rule.exponentZero': 'Exponent zero (x ^ 0 = 1)',
+    'rule.baseOne': 'Base one (1 ^ x = 1)',
+    'rule.doubleNegation': 'Double negation (−(−x) = x)',
+    'rule.derivative': 'derivative',
+
+    // Reglas de derivación
+    'derive.variable': 'Derivative of the variable (d{variable}/d{variable} = 1)',
+    'derive.constant': 'Derivative of a constant (= 0)',
+    'derive.sum': 'Sum rule',
+    'derive.difference': 'Difference rule',
+    'derive.negation': 'Negation rule',
+    'derive.product': "Product rule (u ∗ v)' = u' ∗ v + u ∗ v'",
+    'derive.quotient': "Quotient rule (u / v)' = (u' ∗ v − u ∗ v') / v ^ 2",
+    'derive.power': "Power rule (u ^ n)' = n ∗ u ^ (n − 1) ∗ u'",
+    'derive.exponential': "Exponential rule (a ^ v)' = a ^ v ∗ ln(a) ∗ v'",
+    'derive.logarithmic': "Logarithmic differentiation (u ^ v)' = u ^ v ∗ (v' ∗ ln(u) + v ∗ u' / u)",
+    'derive.sqrt': "Square root rule sqrt(u)' = u' / (2 ∗ sqrt(u))",
+    'derive.sin': "Chain rule with sin (sin(u)' = cos(u) ∗ u')",
+    'derive.cos': "Chain rule with cos (cos(u)' = −sin(u) ∗ u')",
+    'derive.tan': "Chain rule with tan (tan(u)' = u' / cos(u) ^ 2)",
+    'derive.ln': "Chain rule with ln (ln(u)' = u' / u)",
+    'derive.abs': "Chain rule with abs (abs(u)' = u / abs(u) ∗ u')",
+    'derive.unsupported': "Cannot differentiate '{name}': it is not differentiable everywhere",
+
+    // Evaluación
+    'eval.notExact': '{operation} cannot be computed with exact fractions: turn off exact mode',
+    'eval.divisionByZero': 'Division by zero: {operation}',
+    'eval.negativeSqrt': 'Square root of a negative number: {operation}',
+    'eval.nonPositiveLog': 'Logarithm of a non-positive number: {operation}',
+    'eval.unknownOperator': "Unknown operator '{operator}'",
+    'eval.notFinite': 'The result of {operation} is not a finite number',
+    'eval.unboundVariable': 'The variable {name} has no numeric value assigned',
+    'format.argumentSeparator': ', ',
+    'result.error': 'Error: {message}',
+    'result.value': 'Result: {value}',
+    'result.placeholder': 'Choose a traversal to see the result',
+
+    // Comparación de dos árboles
+    'compare.identical': 'Structurally equal: the two trees are identical',
+    'compare.commutative': {
+        one: 'Equal up to commutativity: {count} + or ∗ node has its operands swapped',
+        other: 'Equal up to commutativity: {count} + or ∗ nodes have their operands swapped'
+    },
+    'compare.equalValue': 'Different structure, same value: {value}',
+    'compare.equalSamples': {
+        one: 'Different structure, same value at the only test point',
+        other: 'Different structure, same value at all {count} test points'
+    },
+    'compare.differentValue': 'Different: {first} ≠ {second}',
+    'compare.differentSamples': 'Different: {first} ≠ {second} with {bindings}',
+    'compare.unknown': 'Different structure; the values could not be compared: {message}',
+
+    // Página: cabecera y entrada
+    'app.title': 'Expression Tree Visualizer',
+    'app.heading': '🌳 Expression Tree Visualizer',
+    'locale.label': 'Language',
+    'expression.display': 'Expression: {expression}',
+    'input.label': 'Type an expression:',
+    'input.notation': 'Input notation',
+    'input.build': 'Build tree',
+    'input.hint': 'Supports + − ∗ / ^, unary minus, the functions sqrt, sin, cos, tan, ln, abs, max and min, ' +
+        'and variables such as x or y. In prefix and postfix, max and min with more than two arguments ' +
+        'are written with their arity: <code>max/3 a b c</code>.',
+    'notation.infix': 'Infix',
+    'notation.prefix': 'Prefix',
+    'notation.postfix': 'Postfix',
+    'infixStyle.label': 'Parenthesis style',
+    'infixStyle.minimal': 'minimal parentheses',
+    'infixStyle.full': 'fully parenthesized',
+    'action.copy': 'Copy',
+    'action.copied': 'Copied!',
+    'action.copyFailed': 'Could not copy',
+    'bindings.legend': 'Variables',
+
+    // Controles de los recorridos
+    'controls.title': 'Choose a traversal:',
+    'controls.preorder': 'Prefix (Preorder)',
+    'controls.inorder': 'Infix (Inorder)',
+    'controls.postorder': 'Postfix (Postorder)',
+    'controls.euler': 'Euler tour',
+    'controls.evaluate': 'Evaluate',
+    'controls.stack': 'Stack machine (RPN)',
+    'controls.shunting': 'Infix → Postfix',
+    'controls.reset': 'Reset',
+    'controls.others': 'Other traversals:',
+    'controls.levelorder': 'Level order (BFS)',
+    'controls.reversePreorder': 'Reverse preorder',
+    'controls.reverseInorder': 'Reverse inorder',
+    'controls.reversePostorder': 'Reverse postorder',
+    'controls.iterativePreorder': 'Iterative preorder',
+    'controls.iterativeInorder': 'Iterative inorder',
+    'controls.iterativePostorder': 'Iterative postorder',
+    'controls.rewrites': 'Transformations:',
+    'controls.simplify': 'Simplify',
+    'controls.derive': 'Differentiate with respect to',
+    'controls.deriveVariable': 'Differentiation variable',
+    'controls.exact': 'Exact fractions when evaluating',
+    'controls.compare': 'Compare:',
+    'controls.compareTraversals': 'All three traversals at once',
+    'controls.compareExpression': 'Compare with',
+    'controls.compareExpressionLabel': 'Infix expression to compare with the current one',
+    'controls.compareExpressionPlaceholder': 'Another expression, e.g. 10∗5/(5+(3−8))',
+    'controls.shortcuts': 'Shortcuts: <kbd>1</kbd>–<kbd>8</kbd> start the traversals in the first row and BFS, ' +
+        '<kbd>Space</kbd> plays or pauses, <kbd>←</kbd> <kbd>→</kbd> step through and <kbd>R</kbd> resets. ' +
+        'Inside the tree: <kbd>↑</kbd> parent, <kbd>←</kbd> left child, <kbd>→</kbd> right child, ' +
+        '<kbd>↓</kbd> next sibling and <kbd>Home</kbd> root.',
+
+    // Exportación e importación
+    'export.title': 'Export the tree:',
+    'export.latex': 'LaTeX (forest/qtree)',
+    'export.import': 'Import JSON',
+    'export.filename': 'expression-tree',
+    'import.invalidJson': 'The file {file} is not valid JSON: {message}',
+    'import.failed': 'The file {file} could not be imported: {message}',
+
+    // Biblioteca de expresiones
+    'library.open': '📚 Library',
+    'library.title': '📚 Expression library',
+    'library.close': 'Close the library',
+    'library.set': 'Set',
+    'library.builtIn': '{name} (sample)',
+    'library.newSetName': 'Name of the new set',
+    'library.newSet': 'Create set',
+    'library.deleteSet': 'Delete set',
+    'library.export': 'Export JSON',
+    'library.import': 'Import JSON',
+    'library.tagFilter': 'Filter by tag',
+    'library.allTags': 'All tags',
+    'library.difficultyFilter': 'Filter by difficulty',
+    'library.allDifficulties': 'All difficulties',
+    'library.difficulty': 'Difficulty',
+    'library.difficulty.1': 'Easy',
+    'library.difficulty.2': 'Medium',
+    'library.difficulty.3': 'Hard',
+    'library.empty': 'No exercises match these filters',
+    'library.load': 'Load “{name}”',
+    'library.remove': 'Remove “{name}” from the set',
+    'library.saveTitle': 'Save the current expression',
+    'library.name': 'Name (optional)',
+    'library.tags': 'Tags, separated by commas',
+    'library.save': 'Save',
+    'library.saved': 'Saved to “{set}”',
+    'library.removed': 'Removed from “{set}”: {name}',
+    'library.setCreated': 'Set “{name}” created',
+    'library.setDeleted': 'Set “{name}” deleted',
+    'library.notSaved': '{message}, but it could not be stored in the browser: it will be lost when the page is reloaded',
+    'library.confirmDelete': {
+        one: 'Delete the set “{name}” and its exercise?',
+        other: 'Delete the set “{name}” and its {count} exercises?'
+    },
+    'library.imported': {
+        one: 'Imported “{name}” with 1 exercise',
+        other: 'Imported “{name}” with {count} exercises'
+    },
+    'library.untitled': 'Untitled',
+    'library.mySet': 'My expressions',
+    'library.missingExpression': 'The expression is missing',
+    'library.invalidExpression': "The expression '{expression}' is not valid: {message}",
+    'library.invalidDifficulty': "The difficulty '{difficulty}' is not valid: it must be 1, 2 or 3",
+    'library.invalidTags': 'The tags must be a list of strings',
+    'library.invalidFile': 'The file {file} does not contain an exercise set (the "exercises" list is missing)',
+    'library.invalidExercise': 'Exercise {number}: {message}',
+    'library.sample.basic': 'Basic operations',
+    'library.sample.example': 'Example from the page',
+    'library.sample.precedence': 'Precedence of multiplication',
+    'library.sample.parentheses': 'Parentheses',
+    'library.sample.subtraction': 'Chained subtractions',
+    'library.sample.powers': 'Chained powers',
+    'library.sample.functions': 'Functions and variables',
+    'library.sample.unaryMinus': 'Unary minus',
+    'library.sample.distance': 'Distance to the origin',
+    'library.sample.maximum': 'Maximum of three values',
+    'library.sample.identity': 'Trigonometric identity',
+    'library.sample.rewrite': 'To simplify and differentiate',
+    'library.sample.neutral': 'Identity elements',
+    'library.sample.folding': 'Constant folding',
+    'library.sample.product': 'Product rule',
+    'library.sample.chain': 'Chain rule',
+    'library.tag.parentheses': 'parentheses',
+    'library.tag.precedence': 'precedence',
+    'library.tag.associativity': 'associativity',
+    'library.tag.unary': 'unary operators',
+    'library.tag.variables': 'variables',
+    'library.tag.functions': 'functions',
+    'library.tag.simplify': 'simplify',
+    'library.tag.derive': 'differentiate',
+    'latex.generated': 'Expression tree generated by the Expression Tree Visualizer',
+    'latex.qtreePackage': 'For the qtree version:',
+    'latex.qtreeAlternative': 'qtree alternative:',
+
+    // Vista del árbol
+    'view.zoomOut': 'Zoom out',
+    'view.zoomIn': 'Zoom in',
+    'view.fit': 'Fit to screen',
+    'view.edgeStyle': 'Edge style',
+    'view.straight': 'Straight edges',
+    'view.curved': 'Curved edges',
+    'view.edit': '✏️ Edit tree',
+    'view.quiz': '🎓 Practice',
+    'view.accessible': 'High contrast, no animations',
+    'tree.label': 'Expression tree',
+    'tree.nodeWithChildren': { one: '{node}, 1 child', other: '{node}, {count} children' },
+    'node.variable': 'variable {value}',
+    'node.number': 'number {value}',
+    'node.function': 'function {value}',
+    'node.operator': 'operator {name}',
+    'operator.plus': 'plus',
+    'operator.minus': 'minus',
+    'operator.times': 'times',
+    'operator.divide': 'divided by',
+    'operator.power': 'power',
+    'operator.negate': 'unary minus',
+
+    // Editor del árbol
+    'editor.selected': 'Selected node: {value} (subtree: {subtree})',
+    'editor.hint': 'Click a node to select it, or drag a node onto another to swap their subtrees.',
+    'editor.valuePlaceholder': 'New value',
+    'editor.valueLabel': 'New node value',
+    'editor.editValue': 'Change value',
+    'editor.subtreePlaceholder': 'Subtree, e.g. 5 + 2',
+    'editor.subtreeLabel': 'Replacement subtree',
+    'editor.replace': 'Replace with subtree',
+    'editor.delete': 'Delete subtree',
+    'editor.swap': 'Swap children',
+    'editor.undo': '↶ Undo',
+    'editor.redo': '↷ Redo',
+    'editor.rewriteInProgress': 'Reset the transformation or use its result before editing the tree',
+    'editor.rejected': 'Edit rejected: {message}',
+    'editor.applied': 'Edit applied',
+    'editor.deleteRoot': 'The root of the tree cannot be deleted',
+    'editor.moveInside': 'A subtree cannot be moved inside itself',
+    'editor.undone': 'Edit undone',
+    'editor.redone': 'Edit redone',
+    'editor.rewriteApplied': 'Transformation applied',
+
+    // Modo de práctica
+    'quiz.depth': 'Depth',
+    'quiz.operators': 'Operators:',
+    'quiz.operatorsLabel': 'Exercise operators',
+    'quiz.traversal': 'Traversal',
+    'quiz.traversal.preorder': 'Prefix (preorder)',
+    'quiz.traversal.inorder': 'Infix (inorder)',
+    'quiz.traversal.postorder': 'Postfix (postorder)',
+    'quiz.answer': 'Answer',
+    'quiz.answer.type': 'Type the notation',
+    'quiz.answer.click': 'Click the nodes',
+    'quiz.new': 'New exercise',
+    'quiz.answerPlaceholder': 'E.g. + 3 ∗ 4 5',
+    'quiz.answerLabel': 'Your answer',
+    'quiz.undoClick': 'Remove last',
+    'quiz.check': 'Check',
+    'quiz.solution': 'Show solution',
+    'quiz.clearHistory': 'Clear history',
+    'quiz.chooseOperator': 'Choose at least one operator',
+    'quiz.start': 'Press “New exercise” to practise with a random tree.',
+    'quiz.question.click': 'Click the nodes in {traversal} order.',
+    'quiz.question.type': 'Type the {notation} notation ({traversal} traversal) of the tree, with tokens separated by spaces.',
+    'quiz.notation.preorder': 'prefix',
+    'quiz.notation.inorder': 'infix',
+    'quiz.notation.postorder': 'postfix',
+    'quiz.order.preorder': 'preorder',
+    'quiz.order.inorder': 'inorder',
+    'quiz.order.postorder': 'postorder',
+    'quiz.noClicks': 'You have not clicked any node yet',
+    'quiz.correct': '✔ Correct!',
+    'quiz.incomplete': '✘ Incomplete answer: after {count} correct tokens “{expected}” is missing',
+    'quiz.tooMany': '✘ Extra tokens from position {position}: the traversal has {count}',
+    'quiz.wrongNode': '✘ First mistake at position {position}: the value “{given}” is right, but it is not that node',
+    'quiz.mismatch': '✘ First mistake at position {position}: expected “{expected}” and you wrote “{given}”',
+    'quiz.score': 'Correct: {correct} of {total} ({percent}%)',
+    'quiz.emptyHistory': 'No exercises in the history yet',
+    'quiz.historyEntry': '{mark} {notation} · depth {depth} · {expression} · {date}',
+
+    // Resultados y reproducción
+    'results.title': 'Traversal result:',
+    'results.copy': 'Copy result',
+    'results.apply': 'Use as expression',
+    'results.link': '🔗 Copy link',
+    'results.linkTitle': 'Link to the tree, the traversal and the current step',
+    'rewrite.invalidVariable': "'{variable}' is not a valid variable name",
+    'rewrite.simplified': 'Simplified: {expression}',
+    'rewrite.unchanged': 'Cannot be simplified: {expression}',
+    'playback.back': '⏮ Back',
+    'playback.backTitle': 'Previous step',
+    'playback.forward': 'Forward ⏭',
+    'playback.forwardTitle': 'Next step',
+    'playback.play': '▶ Play',
+    'playback.pause': '⏸ Pause',
+    'playback.speed': 'Speed',
+    'playback.completed': { one: 'Completed (1 step)', other: 'Completed ({count} steps)' },
+    'playback.step': 'Step {step} of {total}',
+    'record.start': '⏺ Record the animation',
+    'record.format': 'Recording format',
+    'record.gif': 'Animated GIF',
+    'record.zip': 'ZIP of PNG images',
+    'record.progress': 'Recording frame {frame} of {total}…',
+    'record.done': { one: 'Recording ready: 1 frame', other: 'Recording ready: {count} frames' },
+    'record.unsupported': 'This browser cannot draw the recording frames',
+    'record.imageError': 'The tree could not be drawn in the recording',
+    'record.filename': 'animated-traversal',
+    'steps.title': 'Step by step (click a step to jump to it):',
+    'steps.goTo': 'Go to step {step}',
+
+    // Panel de comparación
+    'comparison.traversals': 'Preorder, inorder and postorder on the same tree',
+    'comparison.expressions': 'Comparing two expressions',
+    'comparison.first': 'A: {expression}',
+    'comparison.second': 'B: {expression}',
+    'comparison.swapped': 'Nodes with a dashed border have their operands swapped',
+    'comparison.invalid': 'Expression B is not valid: {message}',
+
+    // Narración para lectores de pantalla
+    'narration.completed': { one: 'Traversal completed, 1 step. {result}', other: 'Traversal completed, {count} steps. {result}' },
+    'narration.moment': '{moment} moment',
+    'narration.visiting': 'Visiting {node}',
+    'narration.step': '{text}, step {step} of {total}',
+    'narration.compare': '{traversal}: {node}',
+    'moment.pre': 'pre',
+    'moment.in': 'in',
+    'moment.post': 'post',
+    'moment.leaf': 'leaf',
+
+    // Máquinas de pila y cola
+    'machine.stack.title': 'Stack machine: postfix evaluation',
+    'machine.stack.stack': 'Operand stack',
+    'machine.shunting.title': 'Shunting-yard: infix → postfix',
+    'machine.shunting.stack': 'Operator stack',
+    'machine.shunting.output': 'Output queue',
+    'machine.queue.title': 'Level-order traversal (BFS)',
+    'machine.queue.output': 'Queue (front → back)',
+    'machine.iterative.title': 'Iterative traversal with an explicit stack',
+    'machine.iterative.stack': 'Stack',
+    'machine.rewrite.title': 'Tree transformation',
+    'levelorder.visit': 'Dequeue {node} from the front, visit it and enqueue its children {children}',
+    'levelorder.leaf': 'Dequeue {node} from the front and visit it (it is a leaf, nothing is enqueued)',
+    'iterative.push': 'push {nodes}',
+    'iterative.popVisit': 'pop {node} and visit it',
+    'iterative.rightFirst': '(the right one first)',
+    'iterative.resume': 'pop {node} (already visited)',
+    'iterative.resumeRepush': 'pop {node} (already visited) and push it back',
+    'iterative.repush': 'push it back (it has children left)',
+    'iterative.continueChild': 'continue with its child {node}',
+    'iterative.continueRight': 'continue with its right child {node}',
+    'iterative.childrenDone': '(its children were already visited)',
+    'iterative.leaf': '(it is a leaf)',
+    'stack.variable': 'Variable {name}',
+    'stack.operand': 'Operand',
+    'stack.pushVariable': 'Variable {name} = {value}: pushed',
+    'stack.pushOperand': 'Operand {value}: pushed',
+    'stack.function': "Function '{symbol}'",
+    'stack.operator': "Operator '{symbol}'",
+    'stack.pop': '{kind}: pops {values}',
+    'stack.pushResult': '{pops}; {result} is pushed',
+
+    // Pila de llamadas de los recorridos recursivos
+    'recursion.title': 'Recursion: call stack',
+    'recursion.stack': 'Call stack (top first)',
+    'recursion.code': 'Algorithm',
+    'recursion.empty': 'Empty stack: the traversal is over',
+    'recursion.frame': '{name}({node})',
+    'recursion.log': 'Since the previous step: {events}',
+    'recursion.call': '→ {frame}',
+    'recursion.return': '← {frame}',
+    'recursion.name.preorder': 'preorder',
+    'recursion.name.inorder': 'inorder',
+    'recursion.name.postorder': 'postorder',
+    'recursion.name.reversePreorder': 'reversePreorder',
+    'recursion.name.reverseInorder': 'reverseInorder',
+    'recursion.name.reversePostorder': 'reversePostorder',
+    'recursion.line.call': '{name}(node):',
+    'recursion.line.visit': 'visit(node)',
+    'recursion.line.left': '{name}(node.left)',
+    'recursion.line.right': '{name}(node.right)',
+    'recursion.line.return': 'return',
+    'recursion.at.call': 'entering',
+    'recursion.at.visit': 'visiting',
+    'recursion.at.left': 'in the left subtree',
+    'recursion.at.right': 'in the right subtree',
+    'recursion.at.return': 'returning',
+
+    // Información sobre las notaciones
+    'info.title': '📚 About the notations:',
+    'info.order': 'Order:',
+    'info.example': 'Example:',
+    'info.fullParens': 'Fully parenthesized:',
+    'info.idea': 'Idea:',
+    'info.result': 'Result:',
+    'info.key': 'Key point:',
+    'info.preorder.order': 'Root → Left → Right',
+    'info.inorder.order': 'Left → Root → Right',
+    'info.postorder.order': 'Left → Right → Root',
+    'info.arity.title': 'Arity, functions and variables',
+    'info.arity.label': 'Arity:',
+    'info.arity.text': 'the operator table fixes how many children each node has: neg and sqrt one, + and ^ two, max two or more',
+    'info.arity.example': 'max(x, 2 ^ 3, -y) → prefix max/3 x ^ 2 3 neg y',
+    'info.rewrite.title': 'Simplify and differentiate',
+    'info.rewrite.rulesLabel': 'Rules:',
+    'info.rewrite.rules': 'constant folding (3 − 8 → −5) and identities such as x ∗ 1 → x, x + 0 → x or x − x → 0',
+    'info.rewrite.derivativeLabel': 'Derivative:',
+    'info.rewrite.derivative': 'the d/dx node moves down the tree using the sum, product, quotient, power and chain rules',
+    'info.levelorder.order': 'level by level, left to right, using a queue',
+    'info.reversePreorder.order': 'Root → Right → Left',
+    'info.reverseInorder.order': 'Right → Root → Left',
+    'info.reversePostorder.order': 'Right → Left → Root',
+    'info.iterativePreorder.idea': 'pop and visit; push the right child, then the left one',
+    'info.iterativeInorder.idea': 'go down the left side pushing; pop, visit and continue to the right',
+    'info.iterativePostorder.idea': 'a node is popped and visited only once its right subtree has been traversed',
+    'info.iterative.result': 'the same order as the recursive version, with the stack in view',
+    'info.euler.order': 'walks around the tree, passing each node on the way down (pre), between its children (in) and on the way up (post)',
+    'info.euler.key': 'prefix, infix and postfix are the same walk; only the moment each node is written down changes',
+
+    // Consola
+    'console.started': '🌳 Expression Tree Visualizer started',
+    'console.expression': '📝 Expression: {expression}',
+    'console.hint': '🎯 Use the buttons to see the different traversals',
+    'console.traversals': '📚 Available traversals:',
+    'console.preorder': '   • Prefix (Preorder): Root → Left → Right',
+    'console.inorder': '   • Infix (Inorder): Left → Root → Right',
+    'console.postorder': '   • Postfix (Postorder): Left → Right → Root'
+};
@@ -0,0 +1,508 @@
+/**
+ * Mensajes en español (idioma original de la aplicación)
+ * Las claves agrupan los mensajes por zona: núcleo (parse, eval, rule, derive...) e interfaz
+ * Parámetros entre llaves; los objetos {one, other} son formas de plural según {count}
+ */
+
+export default {
+    // Aridad de operadores y funciones
+    'arity.operands': { one: '{count} operando', other: '{count} operandos' },
+    'arity.arguments': { one: '{count} argumento', other: '{count} argumentos' },
+    'arity.atLeast.operands': { one: 'al menos {count} operando', other: 'al menos {count} operandos' },
+    'arity.atLeast.arguments': { one: 'al menos {count} argumento', other: 'al menos {count} argumentos' },
+
+    // Errores de análisis
+    'parse.malformedNumber': 'Número mal formado en la columna {column}',
+    'parse.unexpectedChar': "Carácter inesperado '{char}' en la columna {column}",
+    'parse.empty': 'La expresión está vacía',
+    'parse.unexpectedToken': "Token inesperado '{token}' en la columna {column}",
+    'parse.reserved': "'{name}' (columna {column}) está reservado; el menos unario se escribe con '-'",
+    'parse.unknownFunction': "No existe la función '{name}' (columna {column})",
+    'parse.missingOperandAtEnd': 'Falta un operando al final de la expresión (columna {column})',
+    'parse.expectedOperand': "Se esperaba un operando o '(' en la columna {column}, se encontró '{token}'",
+    'parse.functionNeedsParens': 'La función {name} (columna {column}) necesita sus argumentos entre paréntesis',
+    'parse.functionArity': 'La función {name} (columna {column}) necesita {arity} pero recibió {count}',
+    'parse.expectedClosing': "Se esperaba ')' en la columna {column} para cerrar el '(' de la columna {opening}",
+    'parse.wordArity': "'{word}' en la columna {column}: {name} necesita {arity}",
+    'parse.parensInNotation': "Los paréntesis no se usan en notación {notation} (token '{word}' en la columna {column})",
+    'parse.unknownToken': "Token no reconocido '{word}' en la columna {column}",
+    'parse.prefix': 'prefija',
+    'parse.postfix': 'postfija',
+    'parse.extraToken': "Sobra el token '{token}' en la columna {column}: la expresión ya estaba completa",
+    'parse.missingOperands': "Al operador '{operator}' de la columna {column} le faltan operandos",
+    'parse.notEnoughOperands': "El operador '{operator}' de la columna {column} necesita {arity} operando(s) pero solo hay {count}",
+    'parse.extraOperands': {
+        one: "Sobran operandos: desde '{token}' en la columna {column} hay 1 subexpresión sin operador que la combine",
+        other: "Sobran operandos: desde '{token}' en la columna {column} hay {count} subexpresiones sin operador que las combine"
+    },
+    'parse.commaOutside': 'Coma fuera de los argumentos de una función en la columna {column}',
+    'parse.unopenedParen': "Paréntesis ')' sin abrir en la columna {column}",
+    'parse.unclosedParen': 'Falta cerrar un paréntesis (columna {column})',
+
+    // Importación de árboles JSON
+    'json.missingValue': 'El nodo {path} no tiene un campo "value" de texto',
+    'json.arity': "El operador '{operator}' ({path}) necesita {arity} y tiene {count}",
+    'json.leafWithChildren': 'La hoja {value} ({path}) no puede tener hijos',
+    'json.unknownValue': "Valor no reconocido '{value}' en {path}",
+    'json.root': 'raíz',
+
+    // Pasos del algoritmo shunting-yard
+    'shunting.number': 'Número {value}: pasa directamente a la salida',
+    'shunting.function': 'Función {name}: se apila hasta cerrar sus argumentos',
+    'shunting.variable': 'Variable {name}: pasa directamente a la salida',
+    'shunting.negativeNumber': 'Menos unario sobre un número: -{value} pasa a la salida',
+    'shunting.negate': 'Menos unario: se apila el operador neg',
+    'shunting.unaryPlus': 'Más unario: no cambia el valor, se ignora',
+    'shunting.popHigher': "'{op}' tiene precedencia mayor o igual que '{operator}': pasa a la salida",
+    'shunting.pushOperator': "Operador '{operator}': se apila",
+    'shunting.leftParen': 'Paréntesis izquierdo: se apila',
+    'shunting.commaPop': "',': se desapila '{op}' a la salida hasta encontrar '('",
+    'shunting.comma': 'Coma: empieza el siguiente argumento',
+    'shunting.rightParenPop': "')': se desapila '{op}' a la salida hasta encontrar '('",
+    'shunting.rightParen': "Paréntesis derecho: se descarta el '(' correspondiente",
+    'shunting.callEnd': 'Fin de los argumentos: la función {name} pasa a la salida',
+    'shunting.endPop': "Fin de la entrada: se desapila '{op}' a la salida",
+    'shunting.end': 'Fin: la cola de salida contiene la notación postfija',
+    'shunting.endLabel': 'fin',
+
+    // Transformaciones: reglas de simplificación ("Nombre (fórmula)")
+    'rewrite.original': 'Expresión original',
+    'rewrite.derive': 'Derivar respecto de {variable}',
+    'rule.foldConstants': 'Plegado de constantes',
+    'rule.addZero': 'Neutro de la suma (x + 0 = x)',
+    'rule.subtractZero': 'Restar cero (x − 0 = x)',
+    'rule.subtractFromZero': 'Restar de cero (0 − x = −x)',
+    'rule.subtractSame': 'Resta de iguales (x − x = 0)',
+    'rule.addSame': 'Suma de iguales (x + x = 2 ∗ x)',
+    'rule.addOpposite': 'Sumar un opuesto (x + (−y) = x − y)',
+    'rule.subtractOpposite': 'Restar un opuesto (x − (−y) = x + y)',
+    'rule.multiplyZero': 'Producto por cero (x ∗ 0 = 0)',
+    'rule.multiplyOne': 'Neutro del producto (x ∗ 1 = x)',
+    'rule.multiplyMinusOne': 'Producto por −1 (x ∗ (−1) = −x)',
+    'rule.negativeFactor': 'Opuesto en un producto ((−x) ∗ y = −(x ∗ y))',
+    'rule.multiplySame': 'Producto de iguales (x ∗ x = x ^ 2)',
+    'rule.groupConstants': 'Agrupar constantes (a ∗ (b ∗ x) = (a ∗ b) ∗ x)',
+    'rule.divideOne': 'Dividir entre uno (x / 1 = x)',
+    'rule.zeroDividend': 'Cero dividido (0 / x = 0)',
+    'rule.divideSame': 'Cociente de iguales (x / x = 1)',
+    'rule.exponentOne': 'Exponente uno (x ^ 1 = x)',
+    'rule.exponentZero': 'Exponente cero (x ^ 0 = 1)',
+    'rule.baseOne': 'Base uno (1 ^ x = 1)',
+    'rule.doubleNegation': 'Doble negación (−(−x) = x)',
+    'rule.derivative': 'derivada',
+
+    // Reglas de derivación
+    'derive.variable': 'Derivada de la variable (d{variable}/d{variable} = 1)',
+    'derive.constant': 'Derivada de una constante (= 0)',
+    'derive.sum': 'Regla de la suma',
+    'derive.difference': 'Regla de la resta',
+    'derive.negation': 'Regla del opuesto',
+    'derive.product': "Regla del producto (u ∗ v)' = u' ∗ v + u ∗ v'",
+    'derive.quotient': "Regla del cociente (u / v)' = (u' ∗ v − u ∗ v') / v ^ 2",
+    'derive.power': "Regla de la potencia (u ^ n)' = n ∗ u ^ (n − 1) ∗ u'",
+    'derive.exponential': "Regla de la exponencial (a ^ v)' = a ^ v ∗ ln(a) ∗ v'",
+    'derive.logarithmic': "Derivación logarítmica (u ^ v)' = u ^ v ∗ (v' ∗ ln(u) + v ∗ u' / u)",
+    'derive.sqrt': "Regla de la raíz sqrt(u)' = u' / (2 ∗ sqrt(u))",
+    'derive.sin': "Regla de la cadena con sin (sin(u)' = cos(u) ∗ u')",
+    'derive.cos': "Regla de la cadena con cos (cos(u)' = −sin(u) ∗ u')",
+    'derive.tan': "Regla de la cadena con tan (tan(u)' = u' / cos(u) ^ 2)",
+    'derive.ln': "Regla de la cadena con ln (ln(u)' = u' / u)",
+    'derive.abs': "Regla de la cadena con abs (abs(u)' = u / abs(u) ∗ u')",
+    'derive.unsupported': "No se sabe derivar '{name}': no es derivable en todos los puntos",
+
+    // Evaluación
+    'eval.notExact': '{operation} no se puede calcular con fracciones exactas: desactiva el modo exacto',
+    'eval.divisionByZero': 'División entre cero: {operation}',
+    'eval.negativeSqrt': 'Raíz cuadrada de un número negativo: {operation}',
+    'eval.nonPositiveLog': 'Logaritmo de un número no positivo: {operation}',
+    'eval.unknownOperator': "Operador desconocido '{operator}'",
+    'eval.notFinite': 'El resultado de {operation} no es un número finito',
+    'eval.unboundVariable': 'La variable {name} no tiene un valor numérico asignado',
+    'format.argumentSeparator': '; ',     // La coma ya es el separador decimal
+    'result.error': 'Error: {message}',
+    'result.value': 'Resultado: {value}',
+    'result.placeholder': 'Selecciona un tipo de recorrido para ver el resultado',
+
+    // Comparación de dos árboles
+    'compare.identical': 'Estructuralmente iguales: los dos árboles son idénticos',
+    'compare.commutative': {
+        one: 'Iguales salvo por la conmutatividad: {count} nodo + o ∗ tiene los operandos intercambiados',
+        other: 'Iguales salvo por la conmutatividad: {count} nodos + o ∗ tienen los operandos intercambiados'
+    },
+    'compare.equalValue': 'Distinta estructura, mismo valor: {value}',
+    'compare.equalSamples': {
+        one: 'Distinta estructura, mismo valor en el único punto de prueba',
+        other: 'Distinta estructura, mismo valor en los {count} puntos de prueba'
+    },
+    'compare.differentValue': 'Distintas: {first} ≠ {second}',
+    'compare.differentSamples': 'Distintas: {first} ≠ {second} con {bindings}',
+    'compare.unknown': 'Distinta estructura; no se pudo comparar el valor: {message}',
+
+    // Página: cabecera y entrada
+    'app.title': 'Visualizador de Árbol de Expresiones',
+    'app.heading': '🌳 Visualizador de Árbol de Expresiones',
+    'locale.label': 'Idioma',
+    'expression.display': 'Expresión: {expression}',
+    'input.label': 'Escribe una expresión:',
+    'input.notation': 'Notación de la entrada',
+    'input.build': 'Construir árbol',
+    'input.hint': 'Admite + − ∗ / ^, el menos unario, las funciones sqrt, sin, cos, tan, ln, abs, max y min, ' +
+        'y variables como x o y. En prefija y postfija, max y min con más de dos argumentos ' +
+        'se escriben con su aridad: <code>max/3 a b c</code>.',
+    'notation.infix': 'Infija',
+    'notation.prefix': 'Prefija',
+    'notation.postfix': 'Postfija',
+    'infixStyle.label': 'Estilo de paréntesis',
+    'infixStyle.minimal': 'paréntesis mínimos',
+    'infixStyle.full': 'todo entre paréntesis',
+    'action.copy': 'Copiar',
+    'action.copied': '¡Copiado!',
+    'action.copyFailed': 'No se pudo copiar',
+    'bindings.legend': 'Variables',
+
+    // Controles de los recorridos
+    'controls.title': 'Selecciona el tipo de recorrido:',
+    'controls.preorder': 'Prefija (Preorden)',
+    'controls.inorder': 'Infija (Entreorden)',
+    'controls.postorder': 'Postfija (Postorden)',
+    'controls.euler': 'Recorrido de Euler',
+    'controls.evaluate': 'Evaluar',
+    'controls.stack': 'Máquina de pila (RPN)',
+    'controls.shunting': 'Infija → Postfija',
+    'controls.reset': 'Reiniciar',
+    'controls.others': 'Otros recorridos:',
+    'controls.levelorder': 'Por niveles (BFS)',
+    'controls.reversePreorder': 'Preorden inverso',
+    'controls.reverseInorder': 'Infijo inverso',
+    'controls.reversePostorder': 'Postorden inverso',
+    'controls.iterativePreorder': 'Preorden iterativo',
+    'controls.iterativeInorder': 'Infijo iterativo',
+    'controls.iterativePostorder': 'Postorden iterativo',
+    'controls.rewrites': 'Transformaciones:',
+    'controls.simplify': 'Simplificar',
+    'controls.derive': 'Derivar respecto de',
+    'controls.deriveVariable': 'Variable de derivación',
+    'controls.exact': 'Fracciones exactas al evaluar',
+    'controls.compare': 'Comparar:',
+    'controls.compareTraversals': 'Los tres recorridos a la vez',
+    'controls.compareExpression': 'Comparar con',
+    'controls.compareExpressionLabel': 'Expresión infija que se compara con la actual',
+    'controls.compareExpressionPlaceholder': 'Otra expresión, ej: 10∗5/(5+(3−8))',
+    'controls.shortcuts': 'Atajos: <kbd>1</kbd>–<kbd>8</kbd> inician los recorridos de la primera fila y el BFS, ' +
+        '<kbd>Espacio</kbd> reproduce o pausa, <kbd>←</kbd> <kbd>→</kbd> avanzan paso a paso y <kbd>R</kbd> reinicia. ' +
+        'Dentro del árbol: <kbd>↑</kbd> padre, <kbd>←</kbd> hijo izquierdo, <kbd>→</kbd> hijo derecho, ' +
+        '<kbd>↓</kbd> hermano siguiente e <kbd>Inicio</kbd> raíz.',
+
+    // Exportación e importación
+    'export.title': 'Exportar el árbol:',
+    'export.latex': 'LaTeX (forest/qtree)',
+    'export.import': 'Importar JSON',
+    'export.filename': 'arbol-expresion',
+    'import.invalidJson': 'El archivo {file} no es JSON válido: {message}',
+    'import.failed': 'No se pudo importar el archivo {file}: {message}',
+
+    // Biblioteca de expresiones
+    'library.open': '📚 Biblioteca',
+    'library.title': '📚 Biblioteca de expresiones',
+    'library.close': 'Cerrar la biblioteca',
+    'library.set': 'Conjunto',
+    'library.builtIn': '{name} (ejemplo)',
+    'library.newSetName': 'Nombre del conjunto nuevo',
+    'library.newSet': 'Crear conjunto',
+    'library.deleteSet': 'Eliminar conjunto',
+    'library.export': 'Exportar JSON',
+    'library.import': 'Importar JSON',
+    'library.tagFilter': 'Filtrar por etiqueta',
+    'library.allTags': 'Todas las etiquetas',
+    'library.difficultyFilter': 'Filtrar por dificultad',
+    'library.allDifficulties': 'Todas las dificultades',
+    'library.difficulty': 'Dificultad',
+    'library.difficulty.1': 'Fácil',
+    'library.difficulty.2': 'Media',
+    'library.difficulty.3': 'Difícil',
+    'library.empty': 'No hay ejercicios con estos filtros',
+    'library.load': 'Cargar «{name}»',
+    'library.remove': 'Quitar «{name}» del conjunto',
+    'library.saveTitle': 'Guardar la expresión actual',
+    'library.name': 'Nombre (opcional)',
+    'library.tags': 'Etiquetas, separadas por comas',
+    'library.save': 'Guardar',
+    'library.saved': 'Guardada en «{set}»',
+    'library.removed': 'Quitada de «{set}»: {name}',
+    'library.setCreated': 'Conjunto «{name}» creado',
+    'library.setDeleted': 'Conjunto «{name}» eliminado',
+    'library.notSaved': '{message}, pero no se pudo guardar en el navegador: se perderá al recargar la página',
+    'library.confirmDelete': {
+        one: '¿Eliminar el conjunto «{name}» y su ejercicio?',
+        other: '¿Eliminar el conjunto «{name}» y sus {count} ejercicios?'
+    },
+    'library.imported': {
+        one: 'Importado «{name}» con 1 ejercicio',
+        other: 'Importado «{name}» con {count} ejercicios'
+    },
+    'library.untitled': 'Sin nombre',
+    'library.mySet': 'Mis expresiones',
+    'library.missingExpression': 'Falta la expresión',
+    'library.invalidExpression': "La expresión '{expression}' no es válida: {message}",
+    'library.invalidDifficulty': "La dificultad '{difficulty}' no es válida: debe ser 1, 2 o 3",
+    'library.invalidTags': 'Las etiquetas deben ser una lista de textos',
+    'library.invalidFile': 'El archivo {file} no contiene un conjunto de ejercicios (falta la lista "exercises")',
+    'library.invalidExercise': 'Ejercicio {number}: {message}',
+    'library.sample.basic': 'Operaciones básicas',
+    'library.sample.example': 'Ejemplo de la página',
+    'library.sample.precedence': 'Precedencia del producto',
+    'library.sample.parentheses': 'Paréntesis',
+    'library.sample.subtraction': 'Restas encadenadas',
+    'library.sample.powers': 'Potencias encadenadas',
+    'library.sample.functions': 'Funciones y variables',
+    'library.sample.unaryMinus': 'Menos unario',
+    'library.sample.distance': 'Distancia al origen',
+    'library.sample.maximum': 'Máximo de tres valores',
+    'library.sample.identity': 'Identidad trigonométrica',
+    'library.sample.rewrite': 'Para simplificar y derivar',
+    'library.sample.neutral': 'Elementos neutros',
+    'library.sample.folding': 'Plegado de constantes',
+    'library.sample.product': 'Regla del producto',
+    'library.sample.chain': 'Regla de la cadena',
+    'library.tag.parentheses': 'paréntesis',
+    'library.tag.precedence': 'precedencia',
+    'library.tag.associativity': 'asociatividad',
+    'library.tag.unary': 'operadores unarios',
+    'library.tag.variables': 'variables',
+    'library.tag.functions': 'funciones',
+    'library.tag.simplify': 'simplificar',
+    'library.tag.derive': 'derivar',
+    'latex.generated': 'Árbol de expresión generado por el Visualizador de Árbol de Expresiones',
+    'latex.qtreePackage': 'Para la versión con qtree:',
+    'latex.qtreeAlternative': 'Alternativa con qtree:',
+
+    // Vista del árbol
+    'view.zoomOut': 'Reducir',
+    'view.zoomIn': 'Ampliar',
+    'view.fit': 'Ajustar a la pantalla',
+    'view.edgeStyle': 'Estilo de las aristas',
+    'view.straight': 'Aristas rectas',
+    'view.curved': 'Aristas curvas',
+    'view.edit': '✏️ Editar árbol',
+    'view.quiz': '🎓 Practicar',
+    'view.accessible': 'Alto contraste y sin animaciones',
+    'tree.label': 'Árbol de la expresión',
+    'tree.nodeWithChildren': { one: '{node}, 1 hijo', other: '{node}, {count} hijos' },
+    'node.variable': 'variable {value}',
+    'node.number': 'número {value}',
+    'node.function': 'función {value}',
+    'node.operator': 'operador {name}',
+    'operator.plus': 'más',
+    'operator.minus': 'menos',
+    'operator.times': 'por',
+    'operator.divide': 'entre',
+    'operator.power': 'potencia',
+    'operator.negate': 'menos unario',
+
+    // Editor del árbol
+    'editor.selected': 'Nodo seleccionado: {value} (subárbol: {subtree})',
+    'editor.hint': 'Haz clic en un nodo para seleccionarlo, o arrastra un nodo sobre otro para intercambiar sus subárboles.',
+    'editor.valuePlaceholder': 'Nuevo valor',
+    'editor.valueLabel': 'Nuevo valor del nodo',
+    'editor.editValue': 'Cambiar valor',
+    'editor.subtreePlaceholder': 'Subárbol, ej: 5 + 2',
+    'editor.subtreeLabel': 'Subárbol de reemplazo',
+    'editor.replace': 'Reemplazar por subárbol',
+    'editor.delete': 'Eliminar subárbol',
+    'editor.swap': 'Intercambiar hijos',
+    'editor.undo': '↶ Deshacer',
+    'editor.redo': '↷ Rehacer',
+    'editor.rewriteInProgress': 'Reinicia la transformación o usa su resultado antes de editar el árbol',
+    'editor.rejected': 'Edición rechazada: {message}',
+    'editor.applied': 'Edición aplicada',
+    'editor.deleteRoot': 'No se puede eliminar la raíz del árbol',
+    'editor.moveInside': 'No se puede mover un subárbol dentro de sí mismo',
+    'editor.undone': 'Edición deshecha',
+    'editor.redone': 'Edición rehecha',
+    'editor.rewriteApplied': 'Transformación aplicada',
+
+    // Modo de práctica
+    'quiz.depth': 'Profundidad',
+    'quiz.operators': 'Operadores:',
+    'quiz.operatorsLabel': 'Operadores del ejercicio',
+    'quiz.traversal': 'Recorrido',
+    'quiz.traversal.preorder': 'Prefija (preorden)',
+    'quiz.traversal.inorder': 'Infija (infijo)',
+    'quiz.traversal.postorder': 'Postfija (postorden)',
+    'quiz.answer': 'Respuesta',
+    'quiz.answer.type': 'Escribir la notación',
+    'quiz.answer.click': 'Hacer clic en los nodos',
+    'quiz.new': 'Nuevo ejercicio',
+    'quiz.answerPlaceholder': 'Ej: + 3 ∗ 4 5',
+    'quiz.answerLabel': 'Tu respuesta',
+    'quiz.undoClick': 'Borrar último',
+    'quiz.check': 'Comprobar',
+    'quiz.solution': 'Ver solución',
+    'quiz.clearHistory': 'Borrar historial',
+    'quiz.chooseOperator': 'Elige al menos un operador',
+    'quiz.start': 'Pulsa «Nuevo ejercicio» para practicar con un árbol aleatorio.',
+    'quiz.question.click': 'Haz clic en los nodos en el orden del recorrido {traversal}.',
+    'quiz.question.type': 'Escribe la notación {notation} (recorrido {traversal}) del árbol, con los tokens separados por espacios.',
+    'quiz.notation.preorder': 'prefija',
+    'quiz.notation.inorder': 'infija',
+    'quiz.notation.postorder': 'postfija',
+    'quiz.order.preorder': 'preorden',
+    'quiz.order.inorder': 'infijo',
+    'quiz.order.postorder': 'postorden',
+    'quiz.noClicks': 'Aún no has pulsado ningún nodo',
+    'quiz.correct': '✔ ¡Correcto!',
+    'quiz.incomplete': '✘ Respuesta incompleta: después de {count} tokens correctos falta «{expected}»',
+    'quiz.tooMany': '✘ Sobran tokens a partir de la posición {position}: el recorrido tiene {count}',
+    'quiz.wrongNode': '✘ Primer error en la posición {position}: el valor «{given}» es correcto, pero no es ese nodo',
+    'quiz.mismatch': '✘ Primer error en la posición {position}: se esperaba «{expected}» y pusiste «{given}»',
+    'quiz.score': 'Aciertos: {correct} de {total} ({percent} %)',
+    'quiz.emptyHistory': 'Todavía no hay ejercicios en el historial',
+    'quiz.historyEntry': '{mark} {notation} · profundidad {depth} · {expression} · {date}',
+
+    // Resultados y reproducción
+    'results.title': 'Resultado del Recorrido:',
+    'results.copy': 'Copiar resultado',
+    'results.apply': 'Usar como expresión',
+    'results.link': '🔗 Copiar enlace',
+    'results.linkTitle': 'Enlace con el árbol, el recorrido y el paso actual',
+    'rewrite.invalidVariable': "'{variable}' no es un nombre de variable válido",
+    'rewrite.simplified': 'Simplificada: {expression}',
+    'rewrite.unchanged': 'No se puede simplificar: {expression}',
+    'playback.back': '⏮ Atrás',
+    'playback.backTitle': 'Paso anterior',
+    'playback.forward': 'Adelante ⏭',
+    'playback.forwardTitle': 'Paso siguiente',
+    'playback.play': '▶ Reproducir',
+    'playback.pause': '⏸ Pausa',
+    'playback.speed': 'Velocidad',
+    'playback.completed': { one: 'Completado (1 paso)', other: 'Completado ({count} pasos)' },
+    'playback.step': 'Paso {step} de {total}',
+    'record.start': '⏺ Grabar la animación',
+    'record.format': 'Formato de la grabación',
+    'record.gif': 'GIF animado',
+    'record.zip': 'ZIP de imágenes PNG',
+    'record.progress': 'Grabando el fotograma {frame} de {total}…',
+    'record.done': { one: 'Grabación lista: 1 fotograma', other: 'Grabación lista: {count} fotogramas' },
+    'record.unsupported': 'Este navegador no puede dibujar los fotogramas de la grabación',
+    'record.imageError': 'No se pudo dibujar el árbol en la grabación',
+    'record.filename': 'recorrido-animado',
+    'steps.title': 'Paso a paso (haz clic en un paso para saltar a él):',
+    'steps.goTo': 'Ir al paso {step}',
+
+    // Panel de comparación
+    'comparison.traversals': 'Preorden, infijo y postorden sobre el mismo árbol',
+    'comparison.expressions': 'Comparación de dos expresiones',
+    'comparison.first': 'A: {expression}',
+    'comparison.second': 'B: {expression}',
+    'comparison.swapped': 'Los nodos con borde discontinuo tienen los operandos intercambiados',
+    'comparison.invalid': 'La expresión B no es válida: {message}',
+
+    // Narración para lectores de pantalla
+    'narration.completed': { one: 'Recorrido completado, 1 paso. {result}', other: 'Recorrido completado, {count} pasos. {result}' },
+    'narration.moment': 'momento {moment}',
+    'narration.visiting': 'Visitando {node}',
+    'narration.step': '{text}, paso {step} de {total}',
+    'narration.compare': '{traversal}: {node}',
+    'moment.pre': 'pre',
+    'moment.in': 'in',
+    'moment.post': 'post',
+    'moment.leaf': 'hoja',
+
+    // Máquinas de pila y cola
+    'machine.stack.title': 'Máquina de pila: evaluación postfija',
+    'machine.stack.stack': 'Pila de operandos',
+    'machine.shunting.title': 'Shunting-yard: infija → postfija',
+    'machine.shunting.stack': 'Pila de operadores',
+    'machine.shunting.output': 'Cola de salida',
+    'machine.queue.title': 'Recorrido por niveles (BFS)',
+    'machine.queue.output': 'Cola (frente → final)',
+    'machine.iterative.title': 'Recorrido iterativo con pila explícita',
+    'machine.iterative.stack': 'Pila',
+    'machine.rewrite.title': 'Transformación del árbol',
+    'levelorder.visit': 'Sacar {node} del frente, visitarlo y encolar sus hijos {children}',
+    'levelorder.leaf': 'Sacar {node} del frente y visitarlo (es una hoja, no encola nada)',
+    'iterative.push': 'apilar {nodes}',
+    'iterative.popVisit': 'desapilar {node} y visitarlo',
+    'iterative.rightFirst': '(el de la derecha primero)',
+    'iterative.resume': 'desapilar {node} (ya visitado)',
+    'iterative.resumeRepush': 'desapilar {node} (ya visitado) y volver a apilarlo',
+    'iterative.repush': 'volver a apilarlo (le quedan hijos)',
+    'iterative.continueChild': 'continuar por su hijo {node}',
+    'iterative.continueRight': 'continuar por su hijo derecho {node}',
+    'iterative.childrenDone': '(sus hijos ya fueron visitados)',
+    'iterative.leaf': '(es una hoja)',
+    'stack.variable': 'Variable {name}',
+    'stack.operand': 'Operando',
+    'stack.pushVariable': 'Variable {name} = {value}: se apila',
+    'stack.pushOperand': 'Operando {value}: se apila',
+    'stack.function': "Función '{symbol}'",
+    'stack.operator': "Operador '{symbol}'",
+    'stack.pop': { one: '{kind}: se desapila {values}', other: '{kind}: se desapilan {values}' },
+    'stack.pushResult': '{pops}; {result} se apila',
+
+    // Pila de llamadas de los recorridos recursivos
+    'recursion.title': 'Recursión: pila de llamadas',
+    'recursion.stack': 'Pila de llamadas (cima arriba)',
+    'recursion.code': 'Algoritmo',
+    'recursion.empty': 'Pila vacía: el recorrido terminó',
+    'recursion.frame': '{name}({node})',
+    'recursion.log': 'Desde el paso anterior: {events}',
+    'recursion.call': '→ {frame}',
+    'recursion.return': '← {frame}',
+    'recursion.name.preorder': 'preorden',
+    'recursion.name.inorder': 'inorden',
+    'recursion.name.postorder': 'postorden',
+    'recursion.name.reversePreorder': 'preordenInverso',
+    'recursion.name.reverseInorder': 'inordenInverso',
+    'recursion.name.reversePostorder': 'postordenInverso',
+    'recursion.line.call': '{name}(nodo):',
+    'recursion.line.visit': 'visitar(nodo)',
+    'recursion.line.left': '{name}(nodo.izquierdo)',
+    'recursion.line.right': '{name}(nodo.derecho)',
+    'recursion.line.return': 'volver',
+    'recursion.at.call': 'entrando',
+    'recursion.at.visit': 'visitando',
+    'recursion.at.left': 'en el subárbol izquierdo',
+    'recursion.at.right': 'en el subárbol derecho',
+    'recursion.at.return': 'volviendo',
+
+    // Información sobre las notaciones
+    'info.title': '📚 Información sobre las Notaciones:',
+    'info.order': 'Orden:',
+    'info.example': 'Ejemplo:',
+    'info.fullParens': 'Con todos los paréntesis:',
+    'info.idea': 'Idea:',
+    'info.result': 'Resultado:',
+    'info.key': 'Clave:',
+    'info.preorder.order': 'Raíz → Izquierda → Derecha',
+    'info.inorder.order': 'Izquierda → Raíz → Derecha',
+    'info.postorder.order': 'Izquierda → Derecha → Raíz',
+    'info.arity.title': 'Aridad, funciones y variables',
+    'info.arity.label': 'Aridad:',
+    'info.arity.text': 'la tabla de operadores fija cuántos hijos tiene cada nodo: neg y sqrt uno, + y ^ dos, max dos o más',
+    'info.arity.example': 'max(x, 2 ^ 3, -y) → prefija max/3 x ^ 2 3 neg y',
+    'info.rewrite.title': 'Simplificar y derivar',
+    'info.rewrite.rulesLabel': 'Reglas:',
+    'info.rewrite.rules': 'plegado de constantes (3 − 8 → −5) e identidades como x ∗ 1 → x, x + 0 → x o x − x → 0',
+    'info.rewrite.derivativeLabel': 'Derivada:',
+    'info.rewrite.derivative': 'el nodo d/dx baja por el árbol con las reglas de la suma, el producto, el cociente, la potencia y la cadena',
+    'info.levelorder.order': 'nivel por nivel, de izquierda a derecha, usando una cola',
+    'info.reversePreorder.order': 'Raíz → Derecha → Izquierda',
+    'info.reverseInorder.order': 'Derecha → Raíz → Izquierda',
+    'info.reversePostorder.order': 'Derecha → Izquierda → Raíz',
+    'info.iterativePreorder.idea': 'desapilar y visitar; apilar el hijo derecho y luego el izquierdo',
+    'info.iterativeInorder.idea': 'bajar por la izquierda apilando; desapilar, visitar y seguir por la derecha',
+    'info.iterativePostorder.idea': 'un nodo se desapila y visita solo cuando ya se recorrió su subárbol derecho',
+    'info.iterative.result': 'el mismo orden que la versión recursiva, con la pila a la vista',
+    'info.euler.order': 'rodea el árbol pasando por cada nodo al bajar (pre), entre sus hijos (in) y al subir (post)',
+    'info.euler.key': 'prefija, infija y postfija son el mismo recorrido; solo cambia el momento en que se anota cada nodo',
+
+    // Consola
+    'console.started': '🌳 Visualizador de Árbol de Expresiones iniciado',
+    'console.expression': '📝 Expresión: {expression}',
+    'console.hint': '🎯 Usa los botones para ver los diferentes tipos de recorrido',
+    'console.traversals': '📚 Tipos de recorrido disponibles:',
+    'console.preorder': '   • Prefija (Preorden): Raíz → Izquierda → Derecha',
+    'console.inorder': '   • Infija (Entreorden): Izquierda → Raíz → Derecha',
+    'console.postorder': '   • Postfija (Postorden): Izquierda → Derecha → Raíz'
+};
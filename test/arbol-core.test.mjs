@@ -0,0 +1,349 @@
+/**
+ * Pruebas del núcleo de árboles de expresiones (sin navegador)
+ * Ejecutar con: node --test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ExpressionParseError, ExpressionParser, Fraction, ExpressionRewriter, ExpressionTree
+} from '../arbol-core.mjs';
+
+const tree = new ExpressionTree();
+const example = '(5∗10)/((3−8)+5)';   // Ejemplo documentado de la página
+
+// Valores de una lista de nodos, separados por espacios
+const values = (nodes) => nodes.map(node => node.value).join(' ');
+
+// Error de análisis esperado: tipo y columna
+const parseError = (position) => (error) =>
+    error instanceof ExpressionParseError && error.position === position;
+
+describe('ejemplo documentado', () => {
+    const root = tree.build(example);
+
+    test('las tres notaciones', () => {
+        assert.equal(tree.preorderResult(root), '/ * 5 10 + - 3 8 5');
+        assert.equal(tree.inorderResult(root), '5 * 10 / (3 - 8 + 5)');
+        assert.equal(tree.postorderResult(root), '5 10 * 3 8 - 5 + /');
+        assert.equal(tree.inorderResult(root, 'full'), '((5 * 10) / ((3 - 8) + 5))');
+    });
+
+    test('orden de los recorridos', () => {
+        assert.equal(values(tree.preorderTraversal(root)), '/ * 5 10 + - 3 8 5');
+        assert.equal(values(tree.inorderTraversal(root)), '5 * 10 / 3 - 8 + 5');
+        assert.equal(values(tree.postorderTraversal(root)), '5 10 * 3 8 - 5 + /');
+        assert.equal(values(tree.reversePreorderTraversal(root)), '/ + 5 - 8 3 * 10 5');
+        assert.equal(values(tree.reverseInorderTraversal(root)), '5 + 8 - 3 / 10 * 5');
+        assert.equal(values(tree.reversePostorderTraversal(root)), '5 8 3 - + 10 5 * /');
+    });
+
+    test('las tres notaciones de entrada dan el mismo árbol', () => {
+        const expected = tree.serializeTree(root);
+        assert.deepEqual(tree.serializeTree(tree.build('/ ∗ 5 10 + − 3 8 5', 'prefix')), expected);
+        assert.deepEqual(tree.serializeTree(tree.build('5 10 ∗ 3 8 − 5 + /', 'postfix')), expected);
+    });
+
+    test('todos los nodos quedan enlazados al árbol', () => {
+        // Un nodo creado pero sin enlazar a su padre no aparecería en los recorridos
+        assert.equal(tree.preorderTraversal(root).length, 9);
+        const ids = tree.preorderTraversal(root).map(node => node.id);
+        assert.equal(new Set(ids).size, ids.length);
+        ids.forEach(id => assert.ok(tree.findNode(root, id)));
+    });
+
+    test('la evaluación detecta la división entre cero', () => {
+        const evaluation = tree.evaluateTree(root, true);
+        assert.equal(evaluation.value, null);
+        assert.equal(tree.describeEvaluationResult(evaluation), 'Error: División entre cero: 50 / 0');
+        assert.equal(evaluation.error.node, root);
+    });
+});
+
+describe('ida y vuelta entre notaciones', () => {
+    const expressions = [
+        '1 + 2 * 3',
+        '(1 + 2) * 3',
+        'a - (b - c)',
+        'a / (b * c)',
+        '-x ^ 2',
+        '(-x) ^ 2',
+        '2 ^ 3 ^ 2',
+        '(2 ^ 3) ^ 2',
+        '-(a + b) * c',
+        'max(a, b, c) - sqrt(x)',
+        'min(1, 2) ^ (-x)',
+        'abs(x - 0.5) / -3'
+    ];
+
+    expressions.forEach(expression => {
+        test(expression, () => {
+            const root = tree.build(expression);
+            const expected = tree.serializeTree(root);
+            const again = (text, notation) => tree.serializeTree(tree.build(text, notation));
+
+            assert.deepEqual(again(tree.inorderResult(root), 'infix'), expected);
+            assert.deepEqual(again(tree.inorderResult(root, 'full'), 'infix'), expected);
+            assert.deepEqual(again(tree.preorderResult(root), 'prefix'), expected);
+            assert.deepEqual(again(tree.postorderResult(root), 'postfix'), expected);
+        });
+    });
+
+    test('las funciones variádicas indican su número de argumentos', () => {
+        const root = tree.build('max(a, b, c) - sqrt(x)');
+        assert.equal(tree.preorderResult(root), '- max/3 a b c sqrt x');
+        assert.equal(tree.postorderResult(root), 'a b c max/3 x sqrt -');
+    });
+
+    test('la serialización JSON se reconstruye igual', () => {
+        const root = tree.build('max(x, 2 ^ 3, -y) / 3');
+        const parser = new ExpressionParser();
+        const rebuilt = parser.fromJSON(JSON.parse(JSON.stringify(tree.serializeTree(root))));
+        assert.equal(tree.inorderResult(rebuilt), tree.inorderResult(root));
+    });
+});
+
+describe('errores de análisis', () => {
+    const cases = [
+        ['(1+2', 'infix', 5],
+        ['1+', 'infix', 3],
+        ['3 4', 'infix', 3],
+        ['1 + * 2', 'infix', 5],
+        [')', 'infix', 1],
+        ['2 $ 3', 'infix', 3],
+        ['max(1)', 'infix', 1],
+        ['foo(2)', 'infix', 1],
+        ['+ 1', 'prefix', 1],
+        ['1 2', 'prefix', 3],
+        ['1 +', 'postfix', 3],
+        ['1 2', 'postfix', 3]
+    ];
+
+    cases.forEach(([expression, notation, position]) => {
+        test(`${notation}: ${expression}`, () => {
+            assert.throws(() => tree.build(expression, notation), parseError(position));
+        });
+    });
+
+    test('árboles JSON mal formados', () => {
+        const parser = new ExpressionParser();
+        const invalid = [
+            [{}, /no tiene un campo "value"/],
+            [{ value: '?' }, /Valor no reconocido '\?'/],
+            [{ value: '+', children: [{ value: '1' }] }, /necesita 2 operandos y tiene 1/],
+            [{ value: 'max', children: [{ value: '1' }] }, /necesita al menos 2 argumentos/],
+            [{ value: '3', children: [{ value: '1' }] }, /no puede tener hijos/]
+        ];
+        invalid.forEach(([data, message]) => {
+            assert.throws(() => parser.fromJSON(data), (error) =>
+                error instanceof ExpressionParseError && message.test(error.message));
+        });
+    });
+});
+
+describe('evaluación', () => {
+    const evaluate = (expression, exact, bindings) =>
+        tree.evaluateTree(tree.build(expression), exact, bindings);
+
+    test('modo exacto con fracciones', () => {
+        const evaluation = evaluate('1/3 + 1/6', true);
+        assert.ok(evaluation.value instanceof Fraction);
+        assert.equal(evaluation.value.toString(), '1/2');
+        assert.equal(tree.describeEvaluationResult(evaluation), 'Resultado: 1/2 ≈ 0,5');
+        assert.equal(evaluate('2 ^ -2', true).value.toString(), '1/4');
+    });
+
+    test('aproximación decimal de fracciones muy grandes', () => {
+        const huge = evaluate('10^400 / (10^399 + 1)', true);
+        assert.ok(Math.abs(huge.value.toNumber() - 10) < 1e-9);
+        assert.match(tree.describeEvaluationResult(huge), / ≈ 10$/);
+        assert.equal(new Fraction(1n, 10n ** 400n).toNumber(), 0);
+        assert.doesNotMatch(tree.describeEvaluationResult(evaluate('10^400 / 3', true)), /≈/);   // No cabe: sin ≈
+    });
+
+    test('modo decimal', () => {
+        assert.equal(evaluate('1/3 + 1/6', false).value, 0.5);
+        assert.equal(tree.formatValue(evaluate('0.1 + 0.2', false).value), '0,3');   // Coma decimal en español
+        assert.equal(tree.formatValue(evaluate('-(10 ^ 300)', false).value), '−1E300');
+    });
+
+    test('un paso por nodo, en postorden', () => {
+        const evaluation = evaluate('2 * (3 + 4)', true);
+        assert.equal(values(evaluation.steps.map(step => step.node)), '2 3 4 + *');
+        assert.equal(evaluation.value.toString(), '14');
+    });
+
+    test('variables con valor asignado', () => {
+        assert.equal(evaluate('x * 2 + y', false, { x: '3', y: '0.5' }).value, 6.5);
+        assert.equal(evaluate('x * y', true, { x: '−2', y: '0.25' }).value.toString(), '-1/2');
+    });
+
+    test('errores de evaluación', () => {
+        assert.equal(tree.describeEvaluationResult(evaluate('x + 1', false)),
+            'Error: La variable x no tiene un valor numérico asignado');
+        assert.equal(tree.describeEvaluationResult(evaluate('sqrt(-1)', false)),
+            'Error: Raíz cuadrada de un número negativo: sqrt(−1)');
+        assert.match(tree.describeEvaluationResult(evaluate('4 / (2 - 2)', true)), /División entre cero/);
+    });
+
+    test('potencias exactas demasiado grandes', () => {
+        for (const expression of ['(10^1000)^1000', '((10^1000)^1000)^1000']) {
+            const { error } = evaluate(expression, true);
+            assert.equal(tree.inorderResult(error.node), '(10 ^ 1000) ^ 1000');   // Antes de calcularla
+            assert.match(error.message, /no se puede calcular con fracciones exactas/);
+        }
+        assert.equal(evaluate('(2^1000)^99', true).value.toString(), (2n ** 99000n).toString());
+    });
+
+    test('literal decimal de una fracción', () => {
+        assert.equal(new Fraction(1n, 4n).toDecimalString(), '0.25');
+        assert.equal(new Fraction(-3n, 8n).toDecimalString(), '-0.375');
+        assert.equal(new Fraction(6n, 3n).toDecimalString(), '2');
+        assert.equal(new Fraction(1n, 3n).toDecimalString(), null);
+    });
+});
+
+describe('simplificación y derivación', () => {
+    const parser = tree.parser;
+    const rewriter = new ExpressionRewriter(parser, (node) => {
+        const evaluation = tree.evaluateTree(node, true);
+        return evaluation.error ? null : evaluation.value;
+    });
+    const last = (steps) => tree.inorderResult(steps[steps.length - 1].tree);
+
+    test('plegado de constantes', () => {
+        assert.equal(last(rewriter.simplify(tree.build('(3 - 8)'))), '-5');
+        assert.equal(last(rewriter.simplify(tree.build('(3 - 8) + 5'))), '0');
+    });
+
+    test('elementos neutros', () => {
+        const steps = rewriter.simplify(tree.build('x * 1 + 0'));
+        assert.equal(last(steps), 'x');
+        assert.deepEqual(steps.slice(1).map(step => step.rule.split(' (')[0]),
+            ['Neutro del producto', 'Neutro de la suma']);
+    });
+
+    test('no se anulan expresiones que pueden no estar definidas', () => {
+        assert.equal(last(rewriter.simplify(tree.build('x / x'))), 'x / x');
+        assert.equal(last(rewriter.simplify(tree.build('0 * (1 / 0)'))), '0 * (1 / 0)');
+        assert.equal(last(rewriter.simplify(tree.build('0 * (x / y)'))), '0 * (x / y)');
+        assert.equal(last(rewriter.simplify(tree.build('0 / x'))), '0 / x');
+        assert.equal(last(rewriter.simplify(tree.build('1 / x - 1 / x'))), '1 / x - 1 / x');
+        assert.equal(last(rewriter.simplify(tree.build('ln(x) ^ 0'))), 'ln(x) ^ 0');
+        assert.equal(last(rewriter.simplify(tree.build('0 * (x ^ 2 + sin(x))'))), '0');
+        assert.equal(last(rewriter.differentiate(tree.build('3 * ln(x)'), 'x')), '3 * (1 / x)');   // Dentro del dominio
+    });
+
+    test('derivadas', () => {
+        assert.equal(last(rewriter.differentiate(tree.build('x ^ 2'), 'x')), '2 * x');
+        assert.equal(last(rewriter.differentiate(tree.build('sin(x)'), 'x')), 'cos(x)');
+        assert.equal(last(rewriter.differentiate(tree.build('3 * x + y'), 'x')), '3');
+    });
+
+    test('el árbol original no se modifica', () => {
+        const root = tree.build('x * 1 + 0');
+        const before = tree.serializeTree(root);
+        rewriter.simplify(root);
+        assert.deepEqual(tree.serializeTree(root), before);
+    });
+});
+
+describe('comparación de dos árboles', () => {
+    const compare = (a, b) => tree.compareTrees(tree.build(a), tree.build(b));
+
+    test('idénticos y conmutados', () => {
+        assert.equal(tree.describeComparison(compare(example, '5 * 10 / (3 - 8 + 5)')),
+            'Estructuralmente iguales: los dos árboles son idénticos');
+
+        const b = tree.build('(10 * 5) / (5 + (3 - 8))');
+        const comparison = tree.compareTrees(tree.build(example), b);
+        assert.equal(comparison.structural, false);
+        assert.equal(comparison.commutative, true);
+        assert.deepEqual(comparison.swapped.map(id => tree.findNode(b, id).value).sort(), ['*', '+']);
+    });
+
+    test('la resta y la división no conmutan', () => {
+        const comparison = compare('3 - 8', '8 - 3');
+        assert.equal(comparison.commutative, false);
+        assert.equal(tree.describeComparison(comparison), 'Distintas: −5 ≠ 5');
+    });
+
+    test('mismo valor con distinta estructura', () => {
+        assert.equal(tree.describeComparison(compare('1/3 + 1/6', '0.5')), 'Distinta estructura, mismo valor: 1/2');
+        assert.equal(tree.describeComparison(compare('(x + 1) ^ 2', 'x^2 + 2*x + 1')),
+            'Distinta estructura, mismo valor en los 5 puntos de prueba');
+        assert.equal(compare('sin(x)^2 + cos(x)^2', '1').value, 'equal');
+    });
+
+    test('contraejemplo con variables', () => {
+        assert.equal(tree.describeComparison(compare('x * y', 'x + y')),
+            'Distintas: 1,33 ≠ 2,6 con x = 0,7; y = 1,9');
+    });
+
+    test('valores que no se pueden comparar', () => {
+        assert.equal(tree.describeComparison(compare('1 / 0', '2 / 0')),
+            'Distinta estructura; no se pudo comparar el valor: División entre cero: 1 / 0');
+    });
+});
+
+describe('exportación a LaTeX', () => {
+    test('árbol en forest y qtree', () => {
+        const root = tree.build('sqrt(x) * max(a, b, c)');
+        assert.equal(tree.forestResult(root), '[$\\ast$ [$\\mathrm{sqrt}$ [$x$]] [$\\max$ [$a$] [$b$] [$c$]]]');
+        assert.equal(tree.qtreeResult(root), '[.{$\\ast$} [.{$\\mathrm{sqrt}$} {$x$} ] [.{$\\max$} {$a$} {$b$} {$c$} ] ]');
+        assert.equal(tree.latexNotation(tree.preorderResult(root)), '\\ast\\;\\mathrm{sqrt}\\;x\\;\\max/3\\;a\\;b\\;c');
+    });
+
+    test('el guion bajo no se convierte en subíndice', () => {
+        assert.equal(tree.latexValue('_'), '\\_');
+        assert.equal(tree.latexValue('x_1'), '\\mathrm{x\\_1}');
+        assert.equal(tree.latexNotation(tree.inorderResult(tree.build('_ + y'))), '\\_\\;+\\;y');
+    });
+});
+
+describe('traza de la recursión', () => {
+    const traversals = {
+        preorder: 'preorderTraversal', inorder: 'inorderTraversal', postorder: 'postorderTraversal',
+        reversePreorder: 'reversePreorderTraversal', reverseInorder: 'reverseInorderTraversal',
+        reversePostorder: 'reversePostorderTraversal'
+    };
+
+    // Nodo y línea de cada llamada de la pila, ej: "/:left +:visit"
+    const frames = (event) => event.stack.map(frame => `${frame.node.value}:${frame.line}`).join(' ');
+
+    test('las visitas siguen el orden de cada recorrido', () => {
+        [example, '-(a + b) * max(x, 2, -y)', 'sqrt(x ^ 2 + y ^ 2)'].forEach(expression => {
+            const root = tree.build(expression);
+            Object.entries(traversals).forEach(([type, method]) => {
+                const visits = tree.recursionTrace(root, type).filter(event => event.type === 'visit');
+                assert.equal(values(visits.map(event => event.node)), values(tree[method](root)), `${type}: ${expression}`);
+            });
+        });
+    });
+
+    test('cada llamada vuelve, y al visitar un nodo la pila es su camino desde la raíz', () => {
+        const root = tree.build(example);
+        const events = tree.recursionTrace(root, 'postorder');
+        assert.equal(events.filter(event => event.type === 'call').length, 9);
+        assert.equal(events.filter(event => event.type === 'return').length, 9);
+        assert.equal(events[events.length - 1].stack.length, 1);              // Retorno de la raíz
+
+        const visitThree = events.find(event => event.type === 'visit' && event.node.value === '3');
+        assert.equal(frames(visitThree), '/:right +:left -:left 3:visit');
+    });
+
+    test('líneas del pseudocódigo en infijo', () => {
+        const events = tree.recursionTrace(tree.build('1 - 2'), 'inorder');
+        assert.deepEqual(events.map(event => `${event.type} ${frames(event)}`), [
+            'call -:call',
+            'call -:left 1:call',
+            'visit -:left 1:visit',
+            'return -:left 1:return',
+            'visit -:visit',
+            'call -:right 2:call',
+            'visit -:right 2:visit',
+            'return -:right 2:return',
+            'return -:return'
+        ]);
+    });
+});
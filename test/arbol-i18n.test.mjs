@@ -0,0 +1,89 @@
+/**
+ * Pruebas de la traducción: catálogos, parámetros, plurales y formato de números
+ * Ejecutar con: node --test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Translator } from '../arbol-i18n.mjs';
+import { ExpressionParseError, ExpressionParser, ExpressionTree } from '../arbol-core.mjs';
+import es from '../locales/es.mjs';
+import en from '../locales/en.mjs';
+
+describe('catálogos', () => {
+    test('los dos idiomas tienen las mismas claves', () => {
+        assert.deepEqual(Object.keys(en).sort(), Object.keys(es).sort());
+    });
+
+    test('los plurales tienen siempre la forma general (other)', () => {
+        Object.keys(es).forEach(key => {
+            if (typeof es[key] === 'object') assert.ok(es[key].other, key);
+            if (typeof en[key] === 'object') assert.ok(en[key].other, key);
+        });
+    });
+});
+
+describe('traductor', () => {
+    const spanish = new Translator('es');
+    const english = new Translator('en');
+
+    test('parámetros y plurales', () => {
+        assert.equal(english.t('playback.step', { step: 3, total: 9 }), 'Step 3 of 9');
+        assert.equal(spanish.t('playback.completed', { count: 1 }), 'Completado (1 paso)');
+        assert.equal(spanish.t('playback.completed', { count: 9 }), 'Completado (9 pasos)');
+        assert.equal(english.t('arity.atLeast.arguments', { count: 2 }), 'at least 2 arguments');
+    });
+
+    test('claves que faltan', () => {
+        assert.equal(english.t('no.existe'), 'no.existe');
+        assert.equal(new Translator('fr').locale, 'es');             // Idioma no disponible: español
+    });
+
+    test('idioma preferido del navegador', () => {
+        assert.equal(Translator.match(['en-GB', 'es']), 'en');
+        assert.equal(Translator.match(['de-DE', 'es-MX']), 'es');
+        assert.equal(Translator.match(['de-DE']), 'es');
+    });
+
+    test('números y enumeraciones según el idioma', () => {
+        assert.equal(spanish.formatNumber(0.5), '0,5');
+        assert.equal(english.formatNumber(0.5), '0.5');
+        assert.equal(english.formatNumber(12345.5), '12345.5');       // Sin separador de miles
+        assert.equal(english.formatNumber(123456789012), '123456789012');
+        assert.equal(english.formatNumber(1e300), '1E300');           // Notación científica: cabe en los nodos
+        assert.equal(spanish.formatNumber(-1.5e12), '-1,5E12');
+        assert.equal(spanish.formatNumber(2.5e-10), '2,5E-10');
+        assert.equal(english.formatNumber(0), '0');
+        assert.equal(spanish.formatList(['a', 'b', 'c']), 'a, b y c');
+        assert.equal(english.formatList(['a', 'b']), 'a and b');
+    });
+});
+
+describe('núcleo en inglés', () => {
+    const tree = new ExpressionTree(new ExpressionParser(new Translator('en')));
+
+    test('errores de análisis', () => {
+        assert.throws(() => tree.build('(1+2'), (error) => error instanceof ExpressionParseError &&
+            error.message === "Expected ')' at column 5 to close the '(' at column 1");
+    });
+
+    test('resultados de la evaluación', () => {
+        const evaluation = tree.evaluateTree(tree.build('1/3 + 1/6'), true);
+        assert.equal(tree.describeEvaluationResult(evaluation), 'Result: 1/2 ≈ 0.5');
+        assert.equal(tree.describeEvaluationResult(tree.evaluateTree(tree.build('max(x, 1)'), false, { x: '0.5' })),
+            'Result: 1');
+        const error = tree.evaluateTree(tree.build('max(0.5, 1) / 0'), false);
+        assert.equal(tree.describeEvaluationResult(error), 'Error: Division by zero: 1 / 0');
+    });
+
+    test('argumentos de las funciones en los pasos', () => {
+        const evaluation = tree.evaluateTree(tree.build('max(1.5, 2)'), false);
+        assert.equal(evaluation.steps[evaluation.steps.length - 1].text, 'max(1.5, 2) = 2');
+    });
+
+    test('comparación de dos árboles', () => {
+        const compare = (a, b) => tree.describeComparison(tree.compareTrees(tree.build(a), tree.build(b)));
+        assert.equal(compare('x * (y + 1)', '(1 + y) * x'), 'Equal up to commutativity: 2 + or ∗ nodes have their operands swapped');
+        assert.equal(compare('x - y', 'y - x'), 'Different: −1.2 ≠ 1.2 with x = 0.7, y = 1.9');
+    });
+});
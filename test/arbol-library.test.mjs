@@ -0,0 +1,110 @@
+/**
+ * Pruebas de la biblioteca de expresiones: ejemplos, validación, filtros y archivos JSON
+ * Ejecutar con: node --test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { LibraryError, ExpressionLibrary } from '../arbol-library.mjs';
+import { ExpressionParser, ExpressionTree } from '../arbol-core.mjs';
+import { Translator } from '../arbol-i18n.mjs';
+
+const library = new ExpressionLibrary(new ExpressionTree());
+
+// Error de la biblioteca con el mensaje esperado
+const libraryError = (message) => (error) =>
+    error instanceof LibraryError && error.message === message;
+
+describe('ejemplos incluidos', () => {
+    test('todas las expresiones de ejemplo se pueden analizar', () => {
+        library.sampleSets().forEach(set => {
+            assert.ok(set.builtIn);
+            set.exercises.forEach(exercise => assert.deepEqual(library.createExercise(exercise), exercise));
+        });
+    });
+
+    test('la página arranca con el primer ejemplo', () => {
+        const [first] = library.sampleSets();
+        assert.equal(library.defaultExpression(), '(5∗10)/((3−8)+5)');
+        assert.equal(first.exercises[0].expression, library.defaultExpression());
+        assert.equal(first.name, 'Operaciones básicas');
+    });
+
+    test('nombres y etiquetas en el idioma activo', () => {
+        const english = new ExpressionLibrary(new ExpressionTree(new ExpressionParser(new Translator('en'))));
+        const [, functions] = english.sampleSets();
+        assert.equal(functions.exercises[1].name, 'Distance to the origin');
+        assert.deepEqual(functions.exercises[1].tags, ['functions', 'variables']);
+    });
+});
+
+describe('ejercicios', () => {
+    test('valores por defecto y normalización', () => {
+        assert.deepEqual(library.createExercise({ expression: ' x + 1 ' }),
+            { name: 'x + 1', expression: 'x + 1', tags: [], difficulty: 1 });
+        assert.deepEqual(library.createExercise({ name: 'Suma', expression: 'x+1', tags: [' a ', 'a', ''], difficulty: '3' }),
+            { name: 'Suma', expression: 'x+1', tags: ['a'], difficulty: 3 });
+        assert.deepEqual(library.parseTags('potencias; variables, potencias,'), ['potencias', 'variables']);
+    });
+
+    test('errores de validación', () => {
+        assert.throws(() => library.createExercise({ name: 'vacío' }),
+            libraryError('Falta la expresión'));
+        assert.throws(() => library.createExercise({ expression: 'x', difficulty: 4 }),
+            libraryError("La dificultad '4' no es válida: debe ser 1, 2 o 3"));
+        assert.throws(() => library.createExercise({ expression: 'x', tags: 'a, b' }), LibraryError);
+        assert.throws(() => library.createExercise({ expression: '(1+2' }),
+            (error) => error instanceof LibraryError && error.message.startsWith("La expresión '(1+2' no es válida"));
+    });
+
+    test('filtros por etiqueta y dificultad', () => {
+        const [basic] = library.sampleSets();
+        assert.deepEqual(library.collectTags(basic.exercises), ['asociatividad', 'paréntesis', 'precedencia']);
+        const names = (filter) => library.filterExercises(basic.exercises, filter).map(exercise => exercise.expression);
+        assert.deepEqual(names({ tag: 'precedencia', difficulty: '' }), ['(5∗10)/((3−8)+5)', '3 + 4 ∗ 2', '2 ^ 3 ^ 2']);
+        assert.deepEqual(names({ tag: 'precedencia', difficulty: '2' }), ['2 ^ 3 ^ 2']);
+        assert.equal(names({ tag: '', difficulty: '' }).length, basic.exercises.length);
+    });
+});
+
+describe('archivos de ejercicios', () => {
+    const set = {
+        id: 'set-1',
+        name: 'Tema 3',
+        exercises: [
+            library.createExercise({ name: 'Potencias', expression: 'x ^ 2 ^ 3', tags: ['potencias'], difficulty: 2 }),
+            library.createExercise({ expression: 'max(a, b, c)' })
+        ]
+    };
+
+    test('exportar e importar conserva los ejercicios', () => {
+        const imported = library.importSet(library.exportSet(set), 'tema3.json', [set]);
+        assert.equal(imported.id, 'set-2');                      // ID nuevo, sin chocar con el existente
+        assert.equal(imported.name, 'Tema 3');
+        assert.deepEqual(imported.exercises, set.exercises);
+        assert.equal(JSON.parse(library.exportSet(set)).format, 'arbol-ejercicios');
+    });
+
+    test('archivos no válidos', () => {
+        assert.throws(() => library.importSet('{', 'roto.json', []),
+            (error) => error instanceof LibraryError && error.message.startsWith('El archivo roto.json no es JSON válido'));
+        assert.throws(() => library.importSet('[1, 2]', 'lista.json', []),
+            libraryError('El archivo lista.json no contiene un conjunto de ejercicios (falta la lista "exercises")'));
+        assert.throws(() => library.importSet('{"exercises": [{"expression": "1"}, {"expression": "1", "difficulty": 0}]}', 'x.json', []),
+            libraryError("Ejercicio 2: La dificultad '0' no es válida: debe ser 1, 2 o 3"));
+        assert.equal(library.importSet('{"exercises": []}', 'repaso.json', []).name, 'repaso');
+    });
+
+    test('lo guardado en el navegador se recupera sin los ejercicios dañados', () => {
+        const restored = library.restoreSets([set, { id: 'set-3', exercises: [{ expression: '1 +' }, { expression: '2' }] }, null]);
+        assert.deepEqual(restored[0], set);
+        assert.deepEqual(restored[1].exercises.map(exercise => exercise.expression), ['2']);
+        assert.deepEqual(library.restoreSets('no es una lista'), []);
+    });
+
+    test('un ejercicio que falla de forma inesperada no vacía la biblioteca', () => {
+        const broken = { get expression() { throw new TypeError('dato inesperado'); } };
+        const restored = library.restoreSets([{ id: 'set-1', name: 'Tema 1', exercises: [broken, { expression: 'x + 1' }] }]);
+        assert.deepEqual(restored[0].exercises.map(exercise => exercise.expression), ['x + 1']);
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Pruebas de la grabación: GIF animado y ZIP, comprobados decodificándolos
+ * Ejecutar con: node --test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GifEncoder, ZipWriter } from '../arbol-recording.mjs';
+
+// Fotograma RGBA de ancho × alto con el color de cada píxel según su posición
+const frame = (width, height, color) => {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            pixels.set([...color(x, y), 255], (y * width + x) * 4);
+        }
+    }
+    return pixels;
+};
+
+// Decodificador mínimo: duración y píxeles RGB de cada fotograma (solo lo que escribe GifEncoder)
+const decodeGif = (bytes) => {
+    assert.equal(String.fromCharCode(...bytes.subarray(0, 6)), 'GIF89a');
+    const word = (position) => bytes[position] | (bytes[position + 1] << 8);
+    const width = word(6), height = word(8);
+    const frames = [];
+    let position = 13, delay = 0, loops = false;
+
+    while (bytes[position] !== 0x3B) {
+        if (bytes[position] === 0x21) {
+            if (bytes[position + 1] === 0xF9) delay = word(position + 4) * 10;
+            if (bytes[position + 1] === 0xFF) loops = true;
+            position += 2;
+            while (bytes[position] !== 0) position += bytes[position] + 1;
+            position++;
+            continue;
+        }
+
+        assert.equal(bytes[position], 0x2C);
+        const palette = bytes.subarray(position + 10, position + 10 + 768);
+        position += 10 + 768;
+        const minCodeSize = bytes[position++];
+        const data = [];
+        while (bytes[position] !== 0) {
+            data.push(...bytes.subarray(position + 1, position + 1 + bytes[position]));
+            position += bytes[position] + 1;
+        }
+        position++;
+
+        // LZW: la tabla guarda cada código como secuencia de índices
+        const clearCode = 1 << minCodeSize;
+        const indices = [];
+        let table, codeSize, previous = null, bit = 0;
+        const reset = () => {
+            table = Array.from({ length: clearCode + 2 }, (_, index) => [index]);
+            codeSize = minCodeSize + 1;
+            previous = null;
+        };
+        reset();
+        for (;;) {
+            let code = 0;
+            for (let index = 0; index < codeSize; index++, bit++) {
+                code |= ((data[bit >> 3] >> (bit & 7)) & 1) << index;
+            }
+            if (code === clearCode) { reset(); continue; }
+            if (code === clearCode + 1) break;
+            const entry = code < table.length ? table[code] : [...table[previous], table[previous][0]];
+            indices.push(...entry);
+            if (previous !== null && table.length < 4096) table.push([...table[previous], entry[0]]);
+            if (table.length === (1 << codeSize) && codeSize < 12) codeSize++;
+            previous = code;
+        }
+
+        assert.equal(indices.length, width * height);
+        frames.push({ delay, rgb: indices.map(index => [...palette.subarray(index * 3, index * 3 + 3)]) });
+    }
+    return { width, height, loops, frames };
+};
+
+describe('GIF animado', () => {
+    test('los fotogramas se decodifican con sus colores y su duración', () => {
+        const gif = new GifEncoder(7, 3);
+        const stripes = (x) => (x % 2 ? [255, 255, 255] : [192, 86, 33]);
+        gif.addFrame(frame(7, 3, stripes), 1000);
+        gif.addFrame(frame(7, 3, () => [72, 187, 120]), 250);
+        const decoded = decodeGif(gif.finish());
+
+        assert.equal(decoded.width, 7);
+        assert.equal(decoded.height, 3);
+        assert.ok(decoded.loops);                                   // Se repite sin fin
+        assert.deepEqual(decoded.frames.map(item => item.delay), [1000, 250]);
+        assert.deepEqual(decoded.frames[0].rgb.slice(0, 7), [0, 1, 2, 3, 4, 5, 6].map(stripes));
+        assert.ok(decoded.frames[1].rgb.every(rgb => rgb.join() === '72,187,120'));
+    });
+
+    test('imágenes grandes: la tabla de LZW se llena y se limpia', () => {
+        const gif = new GifEncoder(160, 120);
+        const pixels = frame(160, 120, (x, y) => [(x * 7 + y * 3) % 256, (x * y) % 256, (x ^ y) % 256]);
+        gif.addFrame(pixels, 40);
+        const [decoded] = decodeGif(gif.finish()).frames;
+
+        // Más de 256 colores: cada píxel recibe el color de la paleta que le asignó la reducción
+        const { palette, indices } = gif.quantize(pixels);
+        assert.deepEqual(decoded.rgb, [...indices].map(index => [...palette.subarray(index * 3, index * 3 + 3)]));
+    });
+});
+
+describe('ZIP', () => {
+    test('CRC-32', () => {
+        assert.equal(ZipWriter.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    });
+
+    test('el directorio central enlaza cada archivo con su contenido', () => {
+        const zip = new ZipWriter();
+        const files = [['recorrido/paso-01.png', 'uno'], ['recorrido/paso-02.png', 'dos dos']];
+        files.forEach(([name, text]) => zip.addFile(name, new TextEncoder().encode(text), new Date(2026, 9, 18, 12, 30)));
+        const bytes = zip.finish();
+        const view = new DataView(bytes.buffer);
+
+        // Fin del directorio central: número de archivos y posición del directorio
+        const end = bytes.length - 22;
+        assert.equal(view.getUint32(end, true), 0x06054B50);
+        assert.equal(view.getUint16(end + 10, true), 2);
+        let position = view.getUint32(end + 16, true);
+
+        files.forEach(([name, text]) => {
+            assert.equal(view.getUint32(position, true), 0x02014B50);
+            const nameLength = view.getUint16(position + 28, true);
+            assert.equal(new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength)), name);
+            assert.equal(view.getUint16(position + 14, true), (2026 - 1980) << 9 | 10 << 5 | 18);
+
+            const local = view.getUint32(position + 42, true);
+            assert.equal(view.getUint32(local, true), 0x04034B50);
+            const start = local + 30 + view.getUint16(local + 26, true);
+            const content = bytes.subarray(start, start + view.getUint32(local + 22, true));
+            assert.equal(new TextDecoder().decode(content), text);
+            assert.equal(view.getUint32(position + 16, true), ZipWriter.crc32(content));
+            position += 46 + nameLength;
+        });
+    });
+});